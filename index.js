@@ -14,19 +14,36 @@ import doctorRoutes from "./routes/doctors.js";
 import patientRoutes from "./routes/patients.js";
 import appointmentRoutes from "./routes/appointments.js";
 import recordsRoutes from "./routes/records.js";
+import waitlistRoutes from "./routes/waitlist.js";
+import adminRoutes from "./routes/admin.js";
+import fileRoutes from "./routes/files.js";
 
 import { initEmail, sendEmail } from "./utils/email.js"; // init + sender
+import { markNoShows, getNoShowPolicy } from "./utils/noShow.js";
+import { expireWaitlistOffers } from "./utils/waitlist.js";
+import { purgeStaleSessions } from "./utils/sessions.js";
+import { purgeOldLoginAttempts } from "./utils/loginThrottle.js";
+import { remindPendingReviews } from "./utils/emergencyAccess.js";
+import { purgeDeletedRecords } from "./utils/recordVersions.js";
 
 /* -------------------- App & middleware -------------------- */
 const app = express();
 app.use(
   cors({
     origin: "https://healthcareblobstorage.z29.web.core.windows.net",
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "Range"],
+    exposedHeaders: [
+      "X-Total-Count",
+      "Content-Range",
+      "Accept-Ranges",
+      "Content-Disposition",
+    ],
   })
 );
 
+// Azure App Service fronts the app with one proxy; req.ip is then the client
+app.set("trust proxy", 1);
 app.use(express.json());
 console.log("✅ Routes mounted");
 /* -------------------- DB connection -------------------- */
@@ -57,6 +74,9 @@ app.use("/api/doctor", doctorRoutes);
 app.use("/api/patient", patientRoutes);
 app.use("/api/appointments", appointmentRoutes);
 app.use("/api/records", recordsRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/files", fileRoutes); // signed links of the local storage driver
 
 // Swagger
 app.use(
@@ -145,6 +165,103 @@ cron.schedule(
   { timezone: "Asia/Kolkata" } // 👈 run at 9AM IST
 );
 
+/* -------------------- No-show cron -------------------- */
+/**
+ * Every 15 minutes: appointments still 'Scheduled' more than
+ * NO_SHOW_GRACE_MINUTES after their start are marked 'NoShow'
+ * (see utils/noShow.js for the booking policy that uses them).
+ */
+cron.schedule(
+  "*/15 * * * *",
+  async () => {
+    try {
+      const marked = await markNoShows();
+      if (marked) {
+        console.log(
+          `🚫 Marked ${marked} no-show(s) (grace ${
+            getNoShowPolicy().graceMinutes
+          } min)`
+        );
+      }
+    } catch (e) {
+      console.error("No-show cron error:", e?.message || e);
+    }
+  },
+  { timezone: "Asia/Kolkata" }
+);
+
+/* -------------------- Waitlist offer expiry cron -------------------- */
+/**
+ * Every 5 minutes: held slots nobody accepted in time expire and roll to the
+ * next waitlisted patient (utils/waitlist.js).
+ */
+cron.schedule("*/5 * * * *", async () => {
+  try {
+    const expired = await expireWaitlistOffers();
+    if (expired) console.log(`⏳ Expired ${expired} waitlist offer(s)`);
+  } catch (e) {
+    console.error("Waitlist cron error:", e?.message || e);
+  }
+});
+
+/* -------------------- Auth cleanup cron -------------------- */
+/**
+ * Daily at 03:00: remove refresh-token sessions that expired or were
+ * revoked more than a week ago (utils/sessions.js) and login attempts
+ * older than 30 days (utils/loginThrottle.js).
+ */
+cron.schedule(
+  "0 3 * * *",
+  async () => {
+    try {
+      const purged = await purgeStaleSessions();
+      if (purged) console.log(`🧹 Purged ${purged} stale session(s)`);
+      const attempts = await purgeOldLoginAttempts();
+      if (attempts) console.log(`🧹 Purged ${attempts} old login attempt(s)`);
+    } catch (e) {
+      console.error("Auth cleanup cron error:", e?.message || e);
+    }
+  },
+  { timezone: "Asia/Kolkata" }
+);
+
+/* -------------------- Record purge cron -------------------- */
+/**
+ * Daily at 03:30: permanently remove medical records deleted longer ago than
+ * the retention window, with all their versions' files (utils/recordVersions.js).
+ */
+cron.schedule(
+  "30 3 * * *",
+  async () => {
+    try {
+      const purged = await purgeDeletedRecords();
+      if (purged) console.log(`🗑️ Purged ${purged} deleted record(s)`);
+    } catch (e) {
+      console.error("Record purge cron error:", e?.message || e);
+    }
+  },
+  { timezone: "Asia/Kolkata" }
+);
+
+/* -------------------- Emergency access review cron -------------------- */
+/**
+ * Daily at 09:00: remind admins of break-the-glass grants still unreviewed
+ * a day after they were opened (utils/emergencyAccess.js).
+ */
+cron.schedule(
+  "0 9 * * *",
+  async () => {
+    try {
+      const overdue = await remindPendingReviews();
+      if (overdue)
+        console.log(`🚨 ${overdue} emergency access review(s) overdue`);
+    } catch (e) {
+      console.error("Emergency review cron error:", e?.message || e);
+    }
+  },
+  { timezone: "Asia/Kolkata" }
+);
+
 /* -------------------- Start server -------------------- */
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`🚀 Backend running on port ${PORT}`));
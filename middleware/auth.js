@@ -1,35 +1,23 @@
 // middleware/auth.js
-import jwt from "jsonwebtoken";
-
-export const authenticate = (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  if (!authHeader) return res.status(401).json({ error: "No token provided" });
-
-  const token = authHeader.split(" ")[1];
-  if (!token) return res.status(401).json({ error: "Invalid token" });
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: "Invalid token" });
-    req.user = user;
-    next();
-  });
-};
-
-export const authorizeRole = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user || !req.user.role) {
-      return res.status(401).json({ error: "Unauthorized" });
-    }
-
-    // convert both DB value and allowed roles to lowercase
-    const userRole = req.user.role.toLowerCase();
-    const allowedRoles = roles.map(r => r.toLowerCase());
-
-    if (!allowedRoles.includes(userRole)) {
-      return res.status(403).json({ error: "Access denied" });
-    }
-
+import { verifyAccessToken } from "../utils/sessions.js";
+
+/**
+ * The only token check. 401 = not authenticated (missing, invalid, expired
+ * or revoked token); what the user may then do is a 403 from
+ * requirePermission (permissions.js) or a resource policy (policies.js).
+ */
+export const authenticate = async (req, res, next) => {
+  const token = (req.headers["authorization"] || "").split(" ")[1];
+  if (!token) return res.status(401).json({ error: "No token provided" });
+
+  try {
+    // also rejects tokens whose session was logged out / revoked
+    const user = await verifyAccessToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    req.user = user; // { user_id, role, sid }
     next();
-  };
+  } catch (err) {
+    console.error("❌ Auth error:", err);
+    res.status(500).json({ error: "Failed to verify token" });
+  }
 };
-
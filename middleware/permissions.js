@@ -0,0 +1,59 @@
+// middleware/permissions.js
+
+/**
+ * What each role may do, by named permission. Routers ask for a permission
+ * (requirePermission) rather than comparing role names, so a role such as
+ * Receptionist can get calendar access without also getting medical files.
+ * Rules about *which* appointment / patient / record live in policies.js.
+ */
+export const ROLE_PERMISSIONS = {
+  Patient: [
+    "patient:self", // own profile, appointments, records list, waitlist
+    "appointments:book-own",
+    "records:access",
+  ],
+  Provider: [
+    "provider:self", // own profile, schedule, time off, calendar
+    "appointments:book-for-patient",
+    "records:access",
+    "records:read-patient",
+    "records:emergency-access", // break the glass (reviewed by an admin)
+  ],
+  Receptionist: [
+    "patients:search",
+    "appointments:book-any",
+    "appointments:manage-any",
+    "schedule:view-day",
+  ],
+  Admin: [
+    "users:manage",
+    "holidays:manage",
+    "patients:search",
+    "schedule:view-day",
+  ],
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+export function hasPermission(role, permission) {
+  const key = ROLES.find((r) => r.toLowerCase() === (role || "").toLowerCase());
+  return !!key && ROLE_PERMISSIONS[key].includes(permission);
+}
+
+/**
+ * Route guard: the authenticated user needs every listed permission.
+ * 401 without a user (use after authenticate), 403 when a permission is missing.
+ *
+ *   router.get("/search", authenticate, requirePermission("patients:search"), handler)
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user || !req.user.role) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    if (!permissions.every((p) => hasPermission(req.user.role, p))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    next();
+  };
+};
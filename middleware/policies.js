@@ -0,0 +1,313 @@
+// middleware/policies.js
+import sql from "mssql";
+import { instantToWall } from "../utils/schedule.js";
+import { hasPermission } from "./permissions.js";
+import { consentCoversRecord, hasActiveConsent } from "../utils/consent.js";
+import { hasEmergencyAccess } from "../utils/emergencyAccess.js";
+
+const is = (role, name) => (role || "").toLowerCase() === name.toLowerCase();
+
+/**
+ * Who is acting: role plus the patient_id / doctor_id behind the JWT user_id.
+ * Cached on req so several policies in one request share the lookups.
+ */
+export async function resolveActor(req) {
+  if (req.actor) return req.actor;
+
+  const { user_id, role } = req.user || {};
+  const actor = { user_id, role, patient_id: null, doctor_id: null };
+
+  if (is(role, "Patient")) {
+    const r =
+      await sql.query`SELECT patient_id FROM Patients WHERE user_id=${user_id}`;
+    actor.patient_id = r.recordset[0]?.patient_id || null;
+  } else if (is(role, "Provider")) {
+    const r =
+      await sql.query`SELECT doctor_id FROM Doctors WHERE user_id=${user_id}`;
+    actor.doctor_id = r.recordset[0]?.doctor_id || null;
+  }
+
+  req.actor = actor;
+  return actor;
+}
+
+/**
+ * The provider–patient relationship: the doctor has at least one appointment
+ * (any status) with the patient. Gates a provider's access to that patient.
+ */
+export async function providerHasPatient(doctorId, patientId) {
+  if (!doctorId || !patientId) return false;
+  const r = await sql.query`
+    SELECT TOP 1 1 AS ok FROM Appointments
+    WHERE patient_id = ${patientId} AND doctor_id = ${doctorId}
+  `;
+  return r.recordset.length > 0;
+}
+
+const isOwner = (actor, appt) =>
+  is(actor.role, "Patient") &&
+  !!actor.patient_id &&
+  actor.patient_id === appt.patient_id;
+const isAssigned = (actor, appt) =>
+  is(actor.role, "Provider") &&
+  !!actor.doctor_id &&
+  actor.doctor_id === appt.doctor_id;
+// front desk: any doctor's calendar, never medical files
+const isFrontDesk = (actor) =>
+  hasPermission(actor.role, "appointments:manage-any");
+// statuses the front desk may set (Completed stays with the provider)
+const FRONT_DESK_STATUSES = ["CheckedIn", "Cancelled", "NoShow"];
+// appointment_date is clinic wall time, so compare against "now" in the clinic
+const isFuture = (appt) => appt.appointment_date > instantToWall(new Date());
+
+/**
+ * Appointment rules. Each returns null when allowed, or a message for a 403.
+ * `body` is the request body for actions that depend on it (status changes).
+ */
+export const appointmentPolicies = {
+  view(actor, appt) {
+    if (isOwner(actor, appt) || isAssigned(actor, appt)) return null;
+    if (isFrontDesk(actor)) return null;
+    return "Not allowed";
+  },
+
+  cancel(actor, appt) {
+    if (isAssigned(actor, appt)) return null;
+    if (isOwner(actor, appt) || isFrontDesk(actor)) {
+      return isFuture(appt) ? null : "Past appointments cannot be cancelled";
+    }
+    return "Not allowed";
+  },
+
+  reschedule(actor, appt) {
+    return appointmentPolicies.cancel(actor, appt);
+  },
+
+  updateStatus(actor, appt, body = {}) {
+    if (body.status === "Completed" && !is(actor.role, "Provider")) {
+      return "Only providers can mark appointments Completed";
+    }
+    if (isAssigned(actor, appt)) return null;
+    if (isFrontDesk(actor)) {
+      return FRONT_DESK_STATUSES.includes(body.status)
+        ? null
+        : `Front desk may only set ${FRONT_DESK_STATUSES.join(", ")}`;
+    }
+    // patients may only withdraw their own upcoming visit
+    if (isOwner(actor, appt) && body.status === "Cancelled") {
+      return appointmentPolicies.cancel(actor, appt);
+    }
+    return "Not allowed";
+  },
+};
+
+/**
+ * Patient data rules (async: relationship / consent checks hit the DB).
+ * Each resolves to null when allowed, or a message for a 403.
+ */
+export const patientPolicies = {
+  // a patient's records in general (listing, uploading for them): the patient
+  // themself, or a provider they have seen, granted access to, or who broke
+  // the glass. Which individual records a provider sees is decided by
+  // recordPolicies.view.
+  async records(actor, patientId) {
+    if (is(actor.role, "Patient")) {
+      return actor.patient_id && actor.patient_id === patientId
+        ? null
+        : "Not allowed";
+    }
+    if (is(actor.role, "Provider")) {
+      if (!actor.doctor_id) return "Doctor profile not found";
+      if (await providerHasPatient(actor.doctor_id, patientId)) return null;
+      if (await hasActiveConsent(actor.doctor_id, patientId)) return null;
+      if (await hasEmergencyAccess(actor.doctor_id, patientId)) return null;
+      return "No relationship with patient";
+    }
+    return "Not allowed";
+  },
+};
+
+/** Single-record rules; `record` is a MedicalRecords row. */
+export const recordPolicies = {
+  // the owner, the provider it belongs to, or one holding a consent grant
+  // or emergency access
+  async view(actor, record) {
+    if (is(actor.role, "Patient")) {
+      return actor.patient_id === record.patient_id ? null : "Not allowed";
+    }
+    if (is(actor.role, "Provider")) {
+      return (await consentCoversRecord(actor.doctor_id, record))
+        ? null
+        : "Patient has not shared this record with you";
+    }
+    return "Not allowed";
+  },
+
+  // shared access is read-only: only the owner or the filing provider
+  async delete(actor, record) {
+    if (is(actor.role, "Patient")) {
+      return actor.patient_id === record.patient_id ? null : "Not allowed";
+    }
+    if (is(actor.role, "Provider")) {
+      return actor.doctor_id && actor.doctor_id === record.doctor_id
+        ? null
+        : "Only the patient or the provider who filed it can delete a record";
+    }
+    return "Not allowed";
+  },
+
+  // new versions: same people who may delete it
+  async update(actor, record) {
+    return recordPolicies.delete(actor, record);
+  },
+
+  // undo a delete: the owning patient (admins restore via /api/admin)
+  async restore(actor, record) {
+    return is(actor.role, "Patient") && actor.patient_id === record.patient_id
+      ? null
+      : "Only the patient can restore a record";
+  },
+};
+
+/**
+ * Route guard for the patient id in `req.params[param]`: apply
+ * patientPolicies[action]. Sets req.patientId.
+ */
+export const authorizePatient = (action, param = "patientId") => {
+  const policy = patientPolicies[action];
+  if (!policy) throw new Error(`Unknown patient policy: ${action}`);
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+
+      const patientId = Number(req.params[param]);
+      if (!patientId)
+        return res.status(400).json({ error: "Invalid patientId" });
+
+      const actor = await resolveActor(req);
+      const denied = await policy(actor, patientId);
+      if (denied) return res.status(403).json({ error: denied });
+
+      req.patientId = patientId;
+      next();
+    } catch (err) {
+      console.error("❌ Patient policy error:", err);
+      res.status(500).json({ error: "Failed to authorize request" });
+    }
+  };
+};
+
+/**
+ * Route guard: load MedicalRecords row `req.params[param]` into req.record and
+ * apply recordPolicies[action]. Soft-deleted records are 404 except to
+ * "restore", which only sees deleted ones.
+ */
+export const authorizeRecord = (action, param = "recordId") => {
+  const policy = recordPolicies[action];
+  if (!policy) throw new Error(`Unknown record policy: ${action}`);
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+
+      const id = Number(req.params[param]);
+      if (!id) return res.status(400).json({ error: "Invalid recordId" });
+
+      const r = await sql.query`
+        SELECT TOP 1 record_id, patient_id, doctor_id, file_path, deleted_at
+        FROM MedicalRecords
+        WHERE record_id = ${id}
+      `;
+      const record = r.recordset[0];
+      const wantDeleted = action === "restore";
+      if (!record || !!record.deleted_at !== wantDeleted)
+        return res.status(404).json({ error: "Record not found" });
+
+      const actor = await resolveActor(req);
+      const denied = await policy(actor, record);
+      if (denied) return res.status(403).json({ error: denied });
+
+      req.record = record;
+      next();
+    } catch (err) {
+      console.error("❌ Record policy error:", err);
+      res.status(500).json({ error: "Failed to authorize request" });
+    }
+  };
+};
+
+/**
+ * Route guard: load Appointments row `req.params[param]` into req.appointment
+ * and apply appointmentPolicies[action]. Use after an auth middleware.
+ *
+ *   router.delete("/:id", auth, authorizeAppointment("cancel"), handler)
+ */
+export const authorizeAppointment = (action, param = "id") => {
+  const policy = appointmentPolicies[action];
+  if (!policy) throw new Error(`Unknown appointment policy: ${action}`);
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+
+      const id = Number(req.params[param]);
+      if (!id) return res.status(400).json({ error: "Invalid appointment id" });
+
+      const r = await sql.query`
+        SELECT appointment_id, patient_id, doctor_id, appointment_date, status
+        FROM Appointments
+        WHERE appointment_id = ${id}
+      `;
+      const appt = r.recordset[0];
+      if (!appt)
+        return res.status(404).json({ error: "Appointment not found" });
+
+      const actor = await resolveActor(req);
+      const denied = policy(actor, appt, req.body);
+      if (denied) return res.status(403).json({ error: denied });
+
+      req.appointment = appt;
+      next();
+    } catch (err) {
+      console.error("❌ Appointment policy error:", err);
+      res.status(500).json({ error: "Failed to authorize request" });
+    }
+  };
+};
+
+/**
+ * Route guard for AppointmentSeries `req.params[param]`: the patient who owns
+ * the series or the doctor it is with. Loads the row into req.series.
+ * Per-occurrence rules (e.g. only future visits) are applied by the handler.
+ */
+export const authorizeSeries = (param = "seriesId") => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+
+      const id = Number(req.params[param]);
+      if (!id) return res.status(400).json({ error: "Invalid series id" });
+
+      const r = await sql.query`
+        SELECT series_id, patient_id, doctor_id, frequency, interval_n,
+               CONVERT(char(10), start_date, 23) AS start_date, start_time,
+               occurrences, status, created_by, created_at
+        FROM AppointmentSeries
+        WHERE series_id = ${id}
+      `;
+      const series = r.recordset[0];
+      if (!series) return res.status(404).json({ error: "Series not found" });
+
+      const actor = await resolveActor(req);
+      const denied = appointmentPolicies.view(actor, series);
+      if (denied) return res.status(403).json({ error: denied });
+
+      req.series = series;
+      next();
+    } catch (err) {
+      console.error("❌ Series policy error:", err);
+      res.status(500).json({ error: "Failed to authorize request" });
+    }
+  };
+};
@@ -0,0 +1,676 @@
+// routes/admin.js
+import express from "express";
+import sql from "mssql";
+import { authenticate } from "../middleware/auth.js";
+import { sendEmail, escapeHtml } from "../utils/email.js";
+import { revokeAllSessions } from "../utils/sessions.js";
+import { sendPasswordResetEmail } from "../utils/accountTokens.js";
+import { clearLoginFailures } from "../utils/loginThrottle.js";
+import { ROLES, requirePermission } from "../middleware/permissions.js";
+import { logRecordAccess, parseLogRange, toCsv } from "../utils/accessLog.js";
+import { RETENTION_DAYS, restoreRecord } from "../utils/recordVersions.js";
+import { REVIEW_OUTCOMES } from "../utils/emergencyAccess.js";
+import { listQuarantined, deleteQuarantined } from "../utils/quarantine.js";
+
+const router = express.Router();
+
+const STATUSES = ["Active", "PendingApproval", "Rejected", "Deactivated"];
+const MAX_PAGE_SIZE = 100;
+const ACCESS_LOG_COLUMNS = [
+  "log_id",
+  "accessed_at",
+  "action",
+  "record_id",
+  "patient_id",
+  "patient_name",
+  "actor_user_id",
+  "actor_name",
+  "actor_role",
+  "ip_address",
+];
+
+// every route in this file is admin-only
+router.use(authenticate, requirePermission("users:manage"));
+
+/* ----------------- Helpers ----------------- */
+const userIdParam = (req) => Number(req.params.userId) || null;
+const grantIdParam = (req) => Number(req.params.grantId) || null;
+
+async function loadUser(userId) {
+  const r = await sql.query`
+    SELECT user_id, full_name, email, user_role, account_status
+    FROM Users WHERE user_id = ${userId}
+  `;
+  return r.recordset[0] || null;
+}
+
+/**
+ * Move `user` to `status`, remembering who did it and why.
+ * Only applies when the current status is one of `from`; returns false otherwise.
+ */
+async function setAccountStatus(user, status, { from, reason, adminId }) {
+  if (!from.includes(user.account_status)) return false;
+
+  // conditional on the status we checked, in case another admin got there first
+  const r = await sql.query`
+    UPDATE Users
+    SET account_status = ${status},
+        status_reason = ${reason || null},
+        status_changed_by = ${adminId},
+        status_changed_at = GETUTCDATE()
+    WHERE user_id = ${user.user_id}
+      AND account_status = ${user.account_status}
+  `;
+  return r.rowsAffected[0] > 0;
+}
+
+async function notify(user, subject, html) {
+  try {
+    await sendEmail({ to: user.email, subject, html });
+  } catch (e) {
+    console.warn("Admin notification email failed:", e?.message || e);
+  }
+}
+
+/* =========================================================
+ * GET /api/admin/users?q=&role=&status=&page=1&page_size=25
+ * Search by name or email; newest first.
+ * ========================================================= */
+router.get("/users", async (req, res) => {
+  const q = (req.query.q || "").trim();
+  const role = req.query.role || null;
+  const status = req.query.status || null;
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const pageSize = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, Number(req.query.page_size) || 25)
+  );
+
+  if (role && !ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of ${ROLES}` });
+  }
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${STATUSES}` });
+  }
+
+  const like = q ? `%${q}%` : null;
+  const offset = (page - 1) * pageSize;
+
+  try {
+    const result = await sql.query`
+      SELECT u.user_id, u.full_name, u.email, u.phone_number, u.user_role,
+             u.account_status, u.status_reason, u.email_verified,
+             u.totp_enabled, u.locked_until, u.created_at,
+             COUNT(*) OVER () AS total
+      FROM Users u
+      WHERE (${like} IS NULL OR u.full_name LIKE ${like} OR u.email LIKE ${like})
+        AND (${role} IS NULL OR u.user_role = ${role})
+        AND (${status} IS NULL OR u.account_status = ${status})
+      ORDER BY u.created_at DESC, u.user_id DESC
+      OFFSET ${offset} ROWS FETCH NEXT ${pageSize} ROWS ONLY
+    `;
+
+    const rows = result.recordset;
+    const total = rows[0]?.total || 0;
+    rows.forEach((r) => delete r.total);
+    res.json({ page, page_size: pageSize, total, users: rows });
+  } catch (err) {
+    console.error("❌ Admin user search error:", err);
+    res.status(500).json({ error: "Failed to search users" });
+  }
+});
+
+/* =========================================================
+ * GET /api/admin/providers/pending
+ * Provider registrations waiting for approval, oldest first.
+ * ========================================================= */
+router.get("/providers/pending", async (_req, res) => {
+  try {
+    const result = await sql.query`
+      SELECT u.user_id, u.full_name, u.email, u.phone_number, u.email_verified,
+             u.created_at, d.doctor_id, d.specialization, d.experience_years
+      FROM Users u
+      LEFT JOIN Doctors d ON d.user_id = u.user_id
+      WHERE u.user_role = 'Provider' AND u.account_status = 'PendingApproval'
+      ORDER BY u.created_at
+    `;
+    res.json(result.recordset);
+  } catch (err) {
+    console.error("❌ Pending providers error:", err);
+    res.status(500).json({ error: "Failed to load pending providers" });
+  }
+});
+
+/* =========================================================
+ * POST /api/admin/providers/:userId/approve
+ * ========================================================= */
+router.post("/providers/:userId/approve", async (req, res) => {
+  const userId = userIdParam(req);
+  if (!userId) return res.status(400).json({ error: "Invalid user id" });
+
+  try {
+    const user = await loadUser(userId);
+    if (!user || user.user_role !== "Provider") {
+      return res.status(404).json({ error: "Provider not found" });
+    }
+
+    const ok = await setAccountStatus(user, "Active", {
+      from: ["PendingApproval", "Rejected"],
+      adminId: req.user.user_id,
+    });
+    if (!ok) {
+      return res
+        .status(409)
+        .json({ error: `Account is ${user.account_status}, not pending` });
+    }
+
+    await notify(
+      user,
+      "Your provider account has been approved",
+      `<p>Hi ${escapeHtml(user.full_name)},</p>
+       <p>Your provider account has been approved. You can now log in.</p>`
+    );
+    res.json({ message: "Provider approved" });
+  } catch (err) {
+    console.error("❌ Approve provider error:", err);
+    res.status(500).json({ error: "Failed to approve provider" });
+  }
+});
+
+/* =========================================================
+ * POST /api/admin/providers/:userId/reject   Body: { reason? }
+ * ========================================================= */
+router.post("/providers/:userId/reject", async (req, res) => {
+  const userId = userIdParam(req);
+  if (!userId) return res.status(400).json({ error: "Invalid user id" });
+  const reason = req.body?.reason || null;
+
+  try {
+    const user = await loadUser(userId);
+    if (!user || user.user_role !== "Provider") {
+      return res.status(404).json({ error: "Provider not found" });
+    }
+
+    const ok = await setAccountStatus(user, "Rejected", {
+      from: ["PendingApproval"],
+      reason,
+      adminId: req.user.user_id,
+    });
+    if (!ok) {
+      return res
+        .status(409)
+        .json({ error: `Account is ${user.account_status}, not pending` });
+    }
+
+    // the reason is free text from the admin; names come from sign-up
+    const why = reason ? ` Reason: ${escapeHtml(reason)}` : "";
+    await notify(
+      user,
+      "Your provider registration was not approved",
+      `<p>Hi ${escapeHtml(user.full_name)},</p>
+       <p>Your provider registration was not approved.${why}</p>`
+    );
+    res.json({ message: "Provider rejected" });
+  } catch (err) {
+    console.error("❌ Reject provider error:", err);
+    res.status(500).json({ error: "Failed to reject provider" });
+  }
+});
+
+/* =========================================================
+ * POST /api/admin/users/:userId/deactivate   Body: { reason? }
+ * Logs the user out everywhere.
+ * ========================================================= */
+router.post("/users/:userId/deactivate", async (req, res) => {
+  const userId = userIdParam(req);
+  if (!userId) return res.status(400).json({ error: "Invalid user id" });
+  if (userId === req.user.user_id) {
+    return res.status(400).json({ error: "You cannot deactivate yourself" });
+  }
+
+  try {
+    const user = await loadUser(userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const ok = await setAccountStatus(user, "Deactivated", {
+      from: ["Active", "PendingApproval"],
+      reason: req.body?.reason,
+      adminId: req.user.user_id,
+    });
+    if (!ok) {
+      return res
+        .status(409)
+        .json({ error: `Account is already ${user.account_status}` });
+    }
+    await revokeAllSessions(userId, "Deactivated");
+
+    res.json({ message: "Account deactivated" });
+  } catch (err) {
+    console.error("❌ Deactivate user error:", err);
+    res.status(500).json({ error: "Failed to deactivate account" });
+  }
+});
+
+/* =========================================================
+ * POST /api/admin/users/:userId/reactivate
+ * ========================================================= */
+router.post("/users/:userId/reactivate", async (req, res) => {
+  const userId = userIdParam(req);
+  if (!userId) return res.status(400).json({ error: "Invalid user id" });
+
+  try {
+    const user = await loadUser(userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const ok = await setAccountStatus(user, "Active", {
+      from: ["Deactivated"],
+      adminId: req.user.user_id,
+    });
+    if (!ok) {
+      return res
+        .status(409)
+        .json({ error: `Account is ${user.account_status}, not deactivated` });
+    }
+    res.json({ message: "Account reactivated" });
+  } catch (err) {
+    console.error("❌ Reactivate user error:", err);
+    res.status(500).json({ error: "Failed to reactivate account" });
+  }
+});
+
+/* =========================================================
+ * PUT /api/admin/users/:userId/role   Body: { role }
+ * Creates the Patients / Doctors profile row if the user has none, and
+ * logs them out so the next token carries the new role.
+ * ========================================================= */
+router.put("/users/:userId/role", async (req, res) => {
+  const userId = userIdParam(req);
+  const role = req.body?.role;
+  if (!userId) return res.status(400).json({ error: "Invalid user id" });
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of ${ROLES}` });
+  }
+  if (userId === req.user.user_id) {
+    return res.status(400).json({ error: "You cannot change your own role" });
+  }
+
+  const tx = new sql.Transaction();
+  try {
+    const user = await loadUser(userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.user_role === role) {
+      return res.json({ message: `Role is already ${role}` });
+    }
+
+    await tx.begin();
+    await new sql.Request(tx).query`
+      UPDATE Users SET user_role = ${role} WHERE user_id = ${userId}
+    `;
+    if (role === "Provider") {
+      await new sql.Request(tx).query`
+        IF NOT EXISTS (SELECT 1 FROM Doctors WHERE user_id = ${userId})
+          INSERT INTO Doctors (user_id, specialization, experience_years, available_days, created_at)
+          VALUES (${userId}, 'General', 0, 'Mon,Wed,Fri', GETDATE())
+      `;
+    } else if (role === "Patient") {
+      await new sql.Request(tx).query`
+        IF NOT EXISTS (SELECT 1 FROM Patients WHERE user_id = ${userId})
+          INSERT INTO Patients (user_id, gender, address, emergency_contact, created_at)
+          VALUES (${userId}, 'Unknown', 'N/A', 'N/A', GETDATE())
+      `;
+    }
+    await tx.commit();
+
+    await revokeAllSessions(userId, "RoleChanged");
+    res.json({ message: `Role changed to ${role}` });
+  } catch (err) {
+    try {
+      await tx.rollback();
+    } catch {}
+    console.error("❌ Change role error:", err);
+    res.status(500).json({ error: "Failed to change role" });
+  }
+});
+
+/* =========================================================
+ * POST /api/admin/users/:userId/reset-credentials
+ * Body: { reset_two_factor?: boolean }
+ * Emails a password reset link, lifts any lockout and logs the user out
+ * everywhere. Optionally clears 2FA so they can enroll a new device.
+ * ========================================================= */
+router.post("/users/:userId/reset-credentials", async (req, res) => {
+  const userId = userIdParam(req);
+  if (!userId) return res.status(400).json({ error: "Invalid user id" });
+
+  try {
+    const user = await loadUser(userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (req.body?.reset_two_factor) {
+      await sql.query`
+        UPDATE Users
+        SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled = 0,
+            totp_enabled_at = NULL, totp_last_step = NULL
+        WHERE user_id = ${userId}
+      `;
+      await sql.query`
+        DELETE FROM TwoFactorRecoveryCodes WHERE user_id = ${userId}
+      `;
+    }
+    await clearLoginFailures(userId);
+    const revoked = await revokeAllSessions(userId, "AdminReset");
+    await sendPasswordResetEmail(user);
+
+    res.json({
+      message: "Password reset email sent",
+      sessions_revoked: revoked,
+    });
+  } catch (err) {
+    console.error("❌ Reset credentials error:", err);
+    res.status(500).json({ error: "Failed to reset credentials" });
+  }
+});
+
+/* =========================================================
+ * POST /api/admin/users/:userId/unlock
+ * Lift a login lockout early.
+ * ========================================================= */
+router.post("/users/:userId/unlock", async (req, res) => {
+  const userId = userIdParam(req);
+  if (!userId) return res.status(400).json({ error: "Invalid user id" });
+
+  try {
+    const found = await clearLoginFailures(userId);
+    if (!found) return res.status(404).json({ error: "User not found" });
+    res.json({ message: "Account unlocked" });
+  } catch (err) {
+    console.error("❌ Unlock Error:", err);
+    res.status(500).json({ error: "Failed to unlock account" });
+  }
+});
+
+/* =========================================================
+ * GET /api/admin/access-log?from=&to=&patient_id=&format=csv|json
+ * Medical record access log export for a date range (UTC, max one year;
+ * default the last 30 days), oldest first. CSV downloads as an attachment.
+ * ========================================================= */
+router.get("/access-log", async (req, res) => {
+  const range = parseLogRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+  const patientId = Number(req.query.patient_id) || null;
+  const format = req.query.format || "json";
+  if (!["csv", "json"].includes(format)) {
+    return res.status(400).json({ error: "format must be csv or json" });
+  }
+
+  try {
+    const result = await sql.query`
+      SELECT l.log_id, l.accessed_at, l.action, l.record_id, l.patient_id,
+             pu.full_name AS patient_name, l.actor_user_id,
+             au.full_name AS actor_name, l.actor_role, l.ip_address
+      FROM RecordAccessLog l
+      LEFT JOIN Patients p ON p.patient_id = l.patient_id
+      LEFT JOIN Users pu   ON pu.user_id = p.user_id
+      LEFT JOIN Users au   ON au.user_id = l.actor_user_id
+      WHERE l.accessed_at >= ${range.from} AND l.accessed_at < ${range.to}
+        AND (${patientId} IS NULL OR l.patient_id = ${patientId})
+      ORDER BY l.accessed_at, l.log_id
+    `;
+
+    if (format === "json") {
+      return res.json({
+        from: range.from,
+        to: range.to,
+        entries: result.recordset,
+      });
+    }
+
+    const day = (d) => d.toISOString().slice(0, 10);
+    const filename = `record-access-${day(range.from)}-${day(range.to)}.csv`;
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.attachment(filename);
+    res.send(toCsv(result.recordset, ACCESS_LOG_COLUMNS));
+  } catch (err) {
+    console.error("❌ Access log export error:", err);
+    res.status(500).json({ error: "Failed to export access log" });
+  }
+});
+
+/* =========================================================
+ * GET /api/admin/emergency-access?status=pending|reviewed|all&page=1&page_size=25
+ * Break-the-glass grants, newest first (default: awaiting review).
+ * ========================================================= */
+router.get("/emergency-access", async (req, res) => {
+  const status = req.query.status || "pending";
+  if (!["pending", "reviewed", "all"].includes(status)) {
+    return res
+      .status(400)
+      .json({ error: "status must be pending, reviewed or all" });
+  }
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const pageSize = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, Number(req.query.page_size) || 25)
+  );
+  const offset = (page - 1) * pageSize;
+
+  try {
+    const result = await sql.query`
+      SELECT g.grant_id, g.doctor_id, du.full_name AS doctor_name,
+             g.patient_id, pu.full_name AS patient_name, g.reason,
+             g.granted_at, g.expires_at, g.revoked_at, g.reviewed_at,
+             g.reviewed_by, g.review_outcome, g.review_notes,
+             COUNT(*) OVER () AS total
+      FROM EmergencyAccessGrants g
+      JOIN Doctors d  ON d.doctor_id = g.doctor_id
+      JOIN Users du   ON du.user_id = d.user_id
+      JOIN Patients p ON p.patient_id = g.patient_id
+      JOIN Users pu   ON pu.user_id = p.user_id
+      WHERE ${status} = 'all'
+         OR (${status} = 'pending' AND g.reviewed_at IS NULL)
+         OR (${status} = 'reviewed' AND g.reviewed_at IS NOT NULL)
+      ORDER BY g.granted_at DESC, g.grant_id DESC
+      OFFSET ${offset} ROWS FETCH NEXT ${pageSize} ROWS ONLY
+    `;
+
+    const rows = result.recordset;
+    const total = rows[0]?.total || 0;
+    rows.forEach((r) => delete r.total);
+    res.json({ page, page_size: pageSize, total, grants: rows });
+  } catch (err) {
+    console.error("❌ Emergency access list error:", err);
+    res.status(500).json({ error: "Failed to fetch emergency access grants" });
+  }
+});
+
+/* =========================================================
+ * GET /api/admin/emergency-access/:grantId
+ * One grant plus what the provider accessed while it was open.
+ * ========================================================= */
+router.get("/emergency-access/:grantId", async (req, res) => {
+  const grantId = grantIdParam(req);
+  if (!grantId) return res.status(400).json({ error: "Invalid grant id" });
+
+  try {
+    const g = await sql.query`
+      SELECT g.*, d.user_id AS doctor_user_id
+      FROM EmergencyAccessGrants g
+      JOIN Doctors d ON d.doctor_id = g.doctor_id
+      WHERE g.grant_id = ${grantId}
+    `;
+    const grant = g.recordset[0];
+    if (!grant) return res.status(404).json({ error: "Grant not found" });
+
+    // access ends at expiry or revocation, whichever came first
+    const until =
+      grant.revoked_at && grant.revoked_at < grant.expires_at
+        ? grant.revoked_at
+        : grant.expires_at;
+    const accesses = await sql.query`
+      SELECT log_id, accessed_at, action, record_id, ip_address
+      FROM RecordAccessLog
+      WHERE actor_user_id = ${grant.doctor_user_id}
+        AND patient_id = ${grant.patient_id}
+        AND accessed_at >= ${grant.granted_at} AND accessed_at < ${until}
+      ORDER BY accessed_at, log_id
+    `;
+
+    res.json({ ...grant, accesses: accesses.recordset });
+  } catch (err) {
+    console.error("❌ Emergency access detail error:", err);
+    res.status(500).json({ error: "Failed to fetch emergency access grant" });
+  }
+});
+
+/* =========================================================
+ * POST /api/admin/emergency-access/:grantId/review
+ * Body: { outcome: "Justified"|"Unjustified", notes? }
+ * Unjustified also ends the access if it is still open.
+ * ========================================================= */
+router.post("/emergency-access/:grantId/review", async (req, res) => {
+  const grantId = grantIdParam(req);
+  if (!grantId) return res.status(400).json({ error: "Invalid grant id" });
+  const { outcome } = req.body || {};
+  const notes = (req.body?.notes || "").trim() || null;
+  if (!REVIEW_OUTCOMES.includes(outcome)) {
+    return res
+      .status(400)
+      .json({ error: `outcome must be one of ${REVIEW_OUTCOMES}` });
+  }
+  if (outcome === "Unjustified" && !notes) {
+    return res
+      .status(400)
+      .json({ error: "notes are required for an Unjustified outcome" });
+  }
+
+  try {
+    const revoke = outcome === "Unjustified";
+    // conditional on reviewed_at, so a grant is only ever reviewed once
+    const r = await sql.query`
+      UPDATE EmergencyAccessGrants
+      SET reviewed_at = GETUTCDATE(),
+          reviewed_by = ${req.user.user_id},
+          review_outcome = ${outcome},
+          review_notes = ${notes},
+          revoked_at = CASE
+            WHEN ${revoke} = 1 AND EXISTS (
+              SELECT 1 FROM ActiveEmergencyAccessGrants g
+              WHERE g.grant_id = EmergencyAccessGrants.grant_id
+            )
+            THEN GETUTCDATE()
+            ELSE revoked_at
+          END
+      OUTPUT INSERTED.grant_id, INSERTED.review_outcome, INSERTED.revoked_at
+      WHERE grant_id = ${grantId} AND reviewed_at IS NULL
+    `;
+    if (!r.recordset.length) {
+      const exists = await sql.query`
+        SELECT 1 AS ok FROM EmergencyAccessGrants WHERE grant_id = ${grantId}
+      `;
+      return exists.recordset.length
+        ? res.status(409).json({ error: "Grant has already been reviewed" })
+        : res.status(404).json({ error: "Grant not found" });
+    }
+
+    res.json({ message: "Review recorded", ...r.recordset[0] });
+  } catch (err) {
+    console.error("❌ Emergency access review error:", err);
+    res.status(500).json({ error: "Failed to record review" });
+  }
+});
+
+/* =========================================================
+ * GET /api/admin/records/deleted?patient_id=
+ * Deleted medical records still inside the retention window.
+ * ========================================================= */
+router.get("/records/deleted", async (req, res) => {
+  const patientId = Number(req.query.patient_id) || null;
+
+  try {
+    const result = await sql.query`
+      SELECT mr.record_id, mr.patient_id, pu.full_name AS patient_name,
+             mr.description, mr.uploaded_at, mr.deleted_at,
+             mr.deleted_by, du.full_name AS deleted_by_name,
+             DATEADD(day, ${RETENTION_DAYS}, mr.deleted_at) AS restorable_until
+      FROM MedicalRecords mr
+      JOIN Patients p ON p.patient_id = mr.patient_id
+      JOIN Users pu   ON pu.user_id = p.user_id
+      LEFT JOIN Users du ON du.user_id = mr.deleted_by
+      WHERE mr.deleted_at > DATEADD(day, -${RETENTION_DAYS}, GETUTCDATE())
+        AND (${patientId} IS NULL OR mr.patient_id = ${patientId})
+      ORDER BY mr.deleted_at DESC
+    `;
+    res.json(result.recordset);
+  } catch (err) {
+    console.error("❌ Deleted records list error:", err);
+    res.status(500).json({ error: "Failed to fetch deleted records" });
+  }
+});
+
+/* =========================================================
+ * POST /api/admin/records/:recordId/restore
+ * Undo a record deletion within the retention window.
+ * ========================================================= */
+router.post("/records/:recordId/restore", async (req, res) => {
+  const recordId = Number(req.params.recordId) || null;
+  if (!recordId) return res.status(400).json({ error: "Invalid record id" });
+
+  try {
+    const r = await sql.query`
+      SELECT record_id, patient_id, deleted_at
+      FROM MedicalRecords WHERE record_id = ${recordId}
+    `;
+    const record = r.recordset[0];
+    if (!record) return res.status(404).json({ error: "Record not found" });
+    if (!record.deleted_at) {
+      return res.status(409).json({ error: "Record is not deleted" });
+    }
+
+    if (!(await restoreRecord(recordId))) {
+      const error = "Retention window has passed; record cannot be restored";
+      return res.status(410).json({ error });
+    }
+    await logRecordAccess(req, "Restore", [record]);
+    res.json({ message: "Record restored" });
+  } catch (err) {
+    console.error("❌ Restore record error:", err);
+    res.status(500).json({ error: "Failed to restore record" });
+  }
+});
+
+/* =========================================================
+ * GET /api/admin/quarantine
+ * Uploads the malware scan flagged, newest first. The files themselves
+ * stay in the quarantine storage area and are never served.
+ * ========================================================= */
+router.get("/quarantine", async (_req, res) => {
+  try {
+    res.json(await listQuarantined());
+  } catch (err) {
+    console.error("❌ Quarantine list error:", err);
+    res.status(500).json({ error: "Failed to fetch quarantined uploads" });
+  }
+});
+
+/* =========================================================
+ * DELETE /api/admin/quarantine/:quarantineId
+ * Permanently delete a quarantined file and its entry.
+ * ========================================================= */
+router.delete("/quarantine/:quarantineId", async (req, res) => {
+  const quarantineId = Number(req.params.quarantineId) || null;
+  if (!quarantineId) {
+    return res.status(400).json({ error: "Invalid quarantine id" });
+  }
+
+  try {
+    if (!(await deleteQuarantined(quarantineId))) {
+      return res.status(404).json({ error: "Quarantined upload not found" });
+    }
+    res.json({ message: "Quarantined upload deleted" });
+  } catch (err) {
+    console.error("❌ Quarantine delete error:", err);
+    res.status(500).json({ error: "Failed to delete quarantined upload" });
+  }
+});
+
+export default router;
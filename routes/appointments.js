@@ -1,24 +1,61 @@
 // routes/appointments.js
 import express from "express";
 import sql from "mssql";
-import jwt from "jsonwebtoken";
 import { sendEmail } from "../utils/email.js";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import {
+  resolveActor,
+  providerHasPatient,
+  authorizeAppointment,
+  authorizeSeries,
+} from "../middleware/policies.js";
+import {
+  APPOINTMENT_STATUSES,
+  transitionError,
+  changeAppointmentStatus,
+} from "../utils/appointmentStatus.js";
+import {
+  scheduleAppointment,
+  moveAppointment,
+  sendBookingConfirmation,
+  bookingErrorResponse,
+} from "../utils/booking.js";
+import { noShowBookingBlock } from "../utils/noShow.js";
+import { offerFreedSlot } from "../utils/waitlist.js";
+import {
+  addDays,
+  wallClock,
+  weekdayOf,
+  loadWeeklySchedule,
+  loadBlockedPeriods,
+  findBlockingPeriod,
+  slotStartsForDay,
+  validateRequestedSlot,
+  recurrenceDates,
+  instantToWall,
+  toSqlWallClock,
+} from "../utils/schedule.js";
 
 const router = express.Router();
 
-/* ----------------- Auth helpers ----------------- */
-function auth(req, res, next) {
-  const token = (req.headers["authorization"] || "").split(" ")[1];
-  if (!token) return res.status(401).json({ error: "No token provided" });
-  try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET); // { user_id, role }
-    next();
-  } catch {
-    return res.status(401).json({ error: "Invalid token" });
-  }
-}
-const isRole = (role, ...allowed) =>
-  allowed.map((r) => r.toLowerCase()).includes((role || "").toLowerCase());
+/* ----------------- Auth ----------------- */
+router.use(authenticate);
+
+// role permissions live in middleware/permissions.js
+const patientOnly = requirePermission("patient:self");
+const canBookOwn = requirePermission("appointments:book-own");
+const providerOnly = requirePermission("provider:self");
+const canBookForPatient = requirePermission("appointments:book-for-patient");
+const canBookAny = requirePermission("appointments:book-any");
+const canViewDay = requirePermission("schedule:view-day");
+
+// ownership / assignment rules live in middleware/policies.js
+const canView = authorizeAppointment("view");
+const canCancel = authorizeAppointment("cancel");
+const canReschedule = authorizeAppointment("reschedule");
+const canUpdateStatus = authorizeAppointment("updateStatus");
+const canViewSeries = authorizeSeries();
 
 /* ----------------- Utils ----------------- */
 const pad = (n) => String(n).padStart(2, "0");
@@ -55,14 +92,8 @@ async function getPatientIdForUser(userId) {
    Patient books via dbo.ScheduleAppointment(date, time)
    Body: { doctor_id, date: "YYYY-MM-DD", time: "HH:mm" | "HH:mm:ss" }
    ========================================================= */
-router.post("/my", auth, async (req, res) => {
+router.post("/my", canBookOwn, async (req, res) => {
   try {
-    if (!isRole(req.user.role, "Patient")) {
-      return res
-        .status(403)
-        .json({ error: "Only patients can book appointments" });
-    }
-
     const { doctor_id, date, time } = req.body;
     if (!doctor_id || !date || !time) {
       return res
@@ -74,108 +105,36 @@ router.post("/my", auth, async (req, res) => {
     if (!patient_id)
       return res.status(404).json({ error: "Patient record not found" });
 
-    const { dateOnly, timeOnly } = splitToDateAndTime(date, time);
-
-    // Execute SP (send time as VarChar to avoid TZ issues)
-    const result = await new sql.Request()
-      .input("patient_id", sql.Int, Number(patient_id))
-      .input("doctor_id", sql.Int, Number(doctor_id))
-      .input("appointment_date", sql.Date, dateOnly)
-      .input("appointment_time", sql.VarChar, timeOnly)
-      .execute("dbo.ScheduleAppointment");
+    // clinic no-show policy (NO_SHOW_LIMIT in NO_SHOW_WINDOW_DAYS)
+    const blocked = await noShowBookingBlock(patient_id);
+    if (blocked) return res.status(403).json({ error: blocked });
 
-    const appointment_id = result.recordset?.[0]?.appointment_id;
-    if (!appointment_id)
-      return res
-        .status(500)
-        .json({ error: "SP did not return appointment_id" });
-
-    // === Send confirmation email (best effort) & log Notification ===
-    // inside routes/appointments.js, after you get appointment_id
-    try {
-      const info = await sql.query`
-    SELECT 
-      u.email       AS patient_email,
-      u.full_name   AS patient_name,
-      a.appointment_date,
-      du.full_name  AS doctor_name
-    FROM Appointments a
-    JOIN Patients p   ON a.patient_id = p.patient_id
-    JOIN Users u      ON p.user_id    = u.user_id
-    JOIN Doctors d    ON a.doctor_id  = d.doctor_id
-    JOIN Users du     ON d.user_id    = du.user_id
-    WHERE a.appointment_id = ${appointment_id}
-  `;
-
-      const row = info.recordset[0];
-      const toEmail = (row?.patient_email ?? "").toString().trim();
-      const docName = (row?.doctor_name ?? "").toString();
-      const patName = (row?.patient_name ?? "").toString();
-      function fmtClinic(dt) {
-        const d = new Date(dt);
-        // subtract 5h30m
-        d.setMinutes(d.getMinutes() - 330);
-        return new Intl.DateTimeFormat("en-IN", {
-          timeZone: "Asia/Kolkata",
-          year: "numeric",
-          month: "numeric",
-          day: "numeric",
-          hour: "numeric",
-          minute: "2-digit",
-          hour12: true,
-        }).format(d);
-      }
+    const { dateOnly, timeOnly } = splitToDateAndTime(date, time);
 
-      const whenIST = fmtClinic(row?.appointment_date);
+    // Same open-slot logic as GET /api/doctor/:id/slots (template, time off, bookings)
+    const check = await validateRequestedSlot(
+      Number(doctor_id),
+      dateOnly,
+      timeOnly
+    );
+    if (check.error) {
+      return res.status(check.status).json({ error: check.error });
+    }
 
-      let sentOK = false;
+    const appointment_id = await scheduleAppointment({
+      patientId: patient_id,
+      doctorId: doctor_id,
+      dateOnly,
+      timeOnly,
+      bookedBy: req.user.user_id,
+    });
 
-      try {
-        await sendEmail({
-          to: toEmail,
-          subject: `Appointment Confirmed with ${docName}`,
-          html: `
-        <p>Hi ${patName || "there"},</p>
-        <p>Your appointment with <b>${
-          docName || "our provider"
-        }</b> is confirmed for 
-        <b>${whenIST}</b>.</p>
-        <p>Thanks!</p>
-      `,
-        });
-        sentOK = true;
-      } catch (e) {
-        console.warn("Confirmation email send failed:", e?.message || e);
-      }
-
-      if (sentOK) {
-        await sql.query`
-      INSERT INTO Notifications (appointment_id, sent_at, status)
-      VALUES (${appointment_id}, GETUTCDATE(), 'Sent')
-    `;
-      } else {
-        await sql.query`
-      INSERT INTO Notifications (appointment_id, sent_at, status)
-      VALUES (${appointment_id}, NULL, 'Failed')
-    `;
-      }
-    } catch (e) {
-      console.warn("⚠️ Confirmation logging failed:", e?.message || e);
-    }
+    await sendBookingConfirmation(appointment_id);
 
     return res.status(201).json({ appointment_id });
   } catch (err) {
-    const num = err?.originalError?.info?.number || err?.number;
-    const msg = err?.originalError?.info?.message || err.message;
-
-    // surface your SP guard messages
-    if ([50001, 50002, 50003, 50004, 50005, 50006].includes(num)) {
-      return res.status(400).json({ error: msg });
-    }
-    if (num === 547) {
-      // FK errors
-      return res.status(400).json({ error: msg });
-    }
+    const spErr = bookingErrorResponse(err);
+    if (spErr) return res.status(spErr.status).json({ error: spErr.error });
     console.error("❌ Create /my error:", err);
     return res.status(500).json({ error: "Failed to book appointment" });
   }
@@ -187,12 +146,8 @@ router.post("/my", auth, async (req, res) => {
    ========================================================= */
 
 // routes/appointments.js (GET /api/appointments/my)
-router.get("/my", auth, async (req, res) => {
+router.get("/my", patientOnly, async (req, res) => {
   try {
-    if (req.user.role.toLowerCase() !== "patient") {
-      return res.status(403).json({ error: "Only patients can view this" });
-    }
-
     const p = await sql.query`
       SELECT patient_id FROM Patients WHERE user_id = ${req.user.user_id}
     `;
@@ -208,6 +163,7 @@ router.get("/my", auth, async (req, res) => {
         a.doctor_id,
         a.status,
         a.appointment_date,
+        a.booking_source,
         -- Display in IST so the UI can render text directly (no Date parsing)
         FORMAT(
           SWITCHOFFSET(CONVERT(datetimeoffset, a.appointment_date), '+05:30'),
@@ -226,7 +182,7 @@ router.get("/my", auth, async (req, res) => {
 });
 //fetch booked slots for a given doctor & date
 // routes/appointments.js
-router.get("/doctor/:doctorId/booked", auth, async (req, res) => {
+router.get("/doctor/:doctorId/booked", async (req, res) => {
   try {
     const doctorId = Number(req.params.doctorId);
     const { date } = req.query; // YYYY-MM-DD
@@ -235,6 +191,9 @@ router.get("/doctor/:doctorId/booked", auth, async (req, res) => {
       return res.status(400).json({ error: "doctorId and date are required" });
     }
 
+    // appointment_date holds clinic wall time, so "now" must too
+    const now = instantToWall(new Date());
+
     // get all appointments for that doctor on that date (not cancelled)
     const result = await sql.query`
       SELECT appointment_date
@@ -242,18 +201,180 @@ router.get("/doctor/:doctorId/booked", auth, async (req, res) => {
       WHERE doctor_id = ${doctorId}
         AND CAST(appointment_date AS date) = ${date}
         AND status != 'Cancelled'
-        AND appointment_date > GETUTCDATE() -- filter out past times
+        AND appointment_date > ${toSqlWallClock(now)} -- filter out past times
     `;
 
+    // slots covered by time off / clinic holidays are reported as taken too
+    const unavailable = [];
+    const schedule = await loadWeeklySchedule(doctorId);
+    const day = schedule?.days.find((d) => d.weekday === weekdayOf(date));
+    if (day) {
+      const blocks = await loadBlockedPeriods(doctorId, date, addDays(date, 1));
+      for (const t of slotStartsForDay(day)) {
+        const start = wallClock(date, t);
+        if (
+          start > now &&
+          findBlockingPeriod(blocks, start, day.slot_minutes)
+        ) {
+          unavailable.push(start);
+        }
+      }
+    }
+
     // return raw datetime values (backend UTC)
-    res.json(result.recordset.map((r) => r.appointment_date));
+    res.json([
+      ...result.recordset.map((r) => r.appointment_date),
+      ...unavailable,
+    ]);
   } catch (err) {
     console.error("❌ Fetch booked slots error:", err);
     res.status(500).json({ error: "Failed to fetch booked slots" });
   }
 });
 
-router.get("/doctor/appointments", auth, async (req, res) => {
+/* =========================================================
+   POST /api/appointments/doctor/book
+   Provider books a follow-up for one of their patients (same validation
+   as POST /my), the patient is emailed and the booking is marked as
+   provider-initiated.
+   Body: { patient_id, date: "YYYY-MM-DD", time: "HH:mm" | "HH:mm:ss" }
+   ========================================================= */
+router.post("/doctor/book", canBookForPatient, async (req, res) => {
+  try {
+    const { patient_id, date, time } = req.body || {};
+    if (!patient_id || !date || !time) {
+      return res
+        .status(400)
+        .json({ error: "patient_id, date, and time are required" });
+    }
+
+    const doctorId = (await resolveActor(req)).doctor_id;
+    if (!doctorId) {
+      return res.status(403).json({ error: "Not a valid doctor" });
+    }
+
+    // only patients this doctor has already seen / booked
+    if (!(await providerHasPatient(doctorId, Number(patient_id)))) {
+      return res.status(403).json({ error: "No relationship with patient" });
+    }
+
+    const { dateOnly, timeOnly } = splitToDateAndTime(date, time);
+    const check = await validateRequestedSlot(doctorId, dateOnly, timeOnly);
+    if (check.error) {
+      return res.status(check.status).json({ error: check.error });
+    }
+
+    const appointment_id = await scheduleAppointment({
+      patientId: patient_id,
+      doctorId,
+      dateOnly,
+      timeOnly,
+      bookedBy: req.user.user_id,
+      source: "Provider",
+      reason: "Booked by provider",
+    });
+
+    await sendBookingConfirmation(appointment_id, {
+      intro: "Your provider has booked an appointment for you. Your visit",
+    });
+
+    return res.status(201).json({ appointment_id });
+  } catch (err) {
+    const spErr = bookingErrorResponse(err);
+    if (spErr) return res.status(spErr.status).json({ error: spErr.error });
+    console.error("❌ Provider booking error:", err);
+    return res.status(500).json({ error: "Failed to book appointment" });
+  }
+});
+
+/* =========================================================
+   POST /api/appointments/book
+   Front desk books for any patient with any doctor (same slot
+   validation as POST /my; the online no-show block does not apply).
+   Body: { patient_id, doctor_id, date: "YYYY-MM-DD", time: "HH:mm" | "HH:mm:ss" }
+   ========================================================= */
+router.post("/book", canBookAny, async (req, res) => {
+  try {
+    const { patient_id, doctor_id, date, time } = req.body || {};
+    if (!patient_id || !doctor_id || !date || !time) {
+      return res
+        .status(400)
+        .json({ error: "patient_id, doctor_id, date, and time are required" });
+    }
+
+    const { dateOnly, timeOnly } = splitToDateAndTime(date, time);
+    const check = await validateRequestedSlot(
+      Number(doctor_id),
+      dateOnly,
+      timeOnly
+    );
+    if (check.error) {
+      return res.status(check.status).json({ error: check.error });
+    }
+
+    const appointment_id = await scheduleAppointment({
+      patientId: patient_id,
+      doctorId: doctor_id,
+      dateOnly,
+      timeOnly,
+      bookedBy: req.user.user_id,
+      source: "FrontDesk",
+      reason: "Booked by front desk",
+    });
+
+    await sendBookingConfirmation(appointment_id, {
+      intro: "The clinic has booked an appointment for you. Your visit",
+    });
+
+    return res.status(201).json({ appointment_id });
+  } catch (err) {
+    const spErr = bookingErrorResponse(err);
+    if (spErr) return res.status(spErr.status).json({ error: spErr.error });
+    console.error("❌ Front desk booking error:", err);
+    return res.status(500).json({ error: "Failed to book appointment" });
+  }
+});
+
+/* =========================================================
+   GET /api/appointments/schedule?date=YYYY-MM-DD&doctor_id=
+   The clinic's day across all doctors (or one), for the front desk.
+   Calendar data only: no records or visit notes.
+   ========================================================= */
+router.get("/schedule", canViewDay, async (req, res) => {
+  try {
+    const { date } = req.query;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+      return res.status(400).json({ error: "date (YYYY-MM-DD) is required" });
+    }
+    const doctorId = Number(req.query.doctor_id) || null;
+
+    const result = await sql.query`
+      SELECT a.appointment_id,
+             a.appointment_date,
+             a.status,
+             a.booking_source,
+             a.doctor_id,
+             du.full_name AS doctor_name,
+             a.patient_id,
+             pu.full_name AS patient_name,
+             pu.phone_number AS patient_phone
+      FROM Appointments a
+      JOIN Doctors d  ON a.doctor_id  = d.doctor_id
+      JOIN Users du   ON d.user_id    = du.user_id
+      JOIN Patients p ON a.patient_id = p.patient_id
+      JOIN Users pu   ON p.user_id    = pu.user_id
+      WHERE CAST(a.appointment_date AS DATE) = ${date}
+        AND (${doctorId} IS NULL OR a.doctor_id = ${doctorId})
+      ORDER BY a.appointment_date, du.full_name
+    `;
+    res.json(result.recordset);
+  } catch (err) {
+    console.error("❌ Day schedule error:", err);
+    res.status(500).json({ error: "Failed to fetch schedule" });
+  }
+});
+
+router.get("/doctor/appointments", providerOnly, async (req, res) => {
   try {
     // step 1: map logged in user → doctor_id
     const docRes = await sql.query`
@@ -278,6 +399,7 @@ router.get("/doctor/appointments", auth, async (req, res) => {
       SELECT a.appointment_id, 
              a.appointment_date, 
              a.status,
+             a.booking_source,
              p.patient_id, 
              u.full_name AS patient_name
       FROM Appointments a
@@ -298,33 +420,83 @@ router.get("/doctor/appointments", auth, async (req, res) => {
 
 /* =========================================================
    PUT /api/appointments/:id
-   Update appointment status
-   Body: { status: "Scheduled" | "Completed" | "Cancelled" }
+   Move an appointment along its lifecycle
+   Body: { status, reason? }
+   Requested -> Scheduled -> CheckedIn -> InProgress -> Completed,
+   plus Cancelled / NoShow (see utils/appointmentStatus.js)
+   - Provider: appointments assigned to them
+   - Patient: may only set Cancelled on their own upcoming appointment
+   - Front desk: CheckedIn / Cancelled / NoShow on any appointment
    ========================================================= */
-router.put("/:id", auth, async (req, res) => {
+router.put("/:id", canUpdateStatus, async (req, res) => {
   try {
-    const { id } = req.params;
     const { status } = req.body;
-    if (!["Scheduled", "Completed", "Cancelled"].includes(status)) {
+    if (!APPOINTMENT_STATUSES.includes(status)) {
       return res.status(400).json({ error: "Invalid status" });
     }
 
-    const result = await sql.query`
-      UPDATE Appointments
-      SET status = ${status}
-      WHERE appointment_id = ${id};
-      SELECT @@ROWCOUNT AS affected;
-    `;
-    if (result.recordset[0].affected === 0) {
-      return res.status(404).json({ error: "Appointment not found" });
+    const appt = req.appointment;
+    const invalid = transitionError(appt.status, status);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const reason =
+      (req.body.reason ?? "").toString().trim().slice(0, 255) || null;
+
+    const tx = new sql.Transaction();
+    await tx.begin();
+    try {
+      const changed = await changeAppointmentStatus(
+        {
+          appointmentId: appt.appointment_id,
+          from: appt.status,
+          to: status,
+          changedBy: req.user.user_id,
+          reason,
+        },
+        tx
+      );
+      if (!changed) {
+        await tx.rollback();
+        return res
+          .status(409)
+          .json({ error: "Appointment changed; try again" });
+      }
+      await tx.commit();
+    } catch (e) {
+      try {
+        await tx.rollback();
+      } catch {}
+      throw e;
     }
-    res.json({ message: "Appointment updated" });
+
+    res.json({ message: "Appointment updated", status });
   } catch (err) {
     console.error("❌ Update error:", err);
     res.status(500).json({ error: "Failed to update appointment" });
   }
 });
 
+/* =========================================================
+   GET /api/appointments/:id/history
+   Status audit trail (patient owner / assigned provider)
+   ========================================================= */
+router.get("/:id/history", canView, async (req, res) => {
+  try {
+    const r = await sql.query`
+      SELECT h.history_id, h.from_status, h.to_status, h.reason, h.changed_at,
+             h.changed_by, u.full_name AS changed_by_name, u.user_role AS changed_by_role
+      FROM AppointmentStatusHistory h
+      LEFT JOIN Users u ON h.changed_by = u.user_id
+      WHERE h.appointment_id = ${req.appointment.appointment_id}
+      ORDER BY h.changed_at ASC, h.history_id ASC
+    `;
+    res.json(r.recordset);
+  } catch (err) {
+    console.error("❌ Status history error:", err);
+    res.status(500).json({ error: "Failed to fetch status history" });
+  }
+});
+
 /* =========================================================
    DELETE /api/appointments/:id
    Soft cancel appointment + clear unsent notifications
@@ -345,8 +517,23 @@ function formatIST(date) {
   }).format(new Date(date));
 }
 
+// appointment_date holds clinic wall time in its UTC fields -> "2 Sept 2025, 12:00 pm"
+function formatWallClock(date) {
+  return new Intl.DateTimeFormat("en-IN", {
+    timeZone: "UTC",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  }).format(new Date(date));
+}
+
 // CANCEL (soft-delete) an appointment and remove pending notifications
-router.delete("/:id", auth, async (req, res) => {
+// Patients: own future appointments only; Providers: assigned appointments;
+// front desk: any future appointment
+router.delete("/:id", canCancel, async (req, res) => {
   const apptId = Number(req.params.id);
   if (!apptId) return res.status(400).json({ error: "Invalid appointment id" });
 
@@ -354,22 +541,29 @@ router.delete("/:id", auth, async (req, res) => {
   try {
     await tx.begin();
 
-    // 1) mark as Cancelled
-    let affected = 0;
+    // 1) mark as Cancelled (only from a state that allows it)
     {
-      const r1 = new sql.Request(tx);
-      r1.input("id", sql.Int, apptId);
-      const upd = await r1.query(`
-        UPDATE Appointments
-        SET status = 'Cancelled'
-        WHERE appointment_id = @id;
-
-        SELECT @@ROWCOUNT AS affected;
-      `);
-      affected = upd.recordset?.[0]?.affected || 0;
-      if (affected === 0) {
+      const from = req.appointment.status;
+      const invalid = transitionError(from, "Cancelled");
+      if (invalid) {
+        await tx.rollback();
+        return res.status(400).json({ error: invalid });
+      }
+      const changed = await changeAppointmentStatus(
+        {
+          appointmentId: apptId,
+          from,
+          to: "Cancelled",
+          changedBy: req.user.user_id,
+          reason: (req.body?.reason ?? "").toString().slice(0, 255) || null,
+        },
+        tx
+      );
+      if (!changed) {
         await tx.rollback();
-        return res.status(404).json({ error: "Appointment not found" });
+        return res
+          .status(409)
+          .json({ error: "Appointment changed; try again" });
       }
     }
 
@@ -420,6 +614,16 @@ router.delete("/:id", auth, async (req, res) => {
       }
     }
 
+    // hand the freed slot to the waitlist (best effort)
+    try {
+      await offerFreedSlot(
+        req.appointment.doctor_id,
+        req.appointment.appointment_date
+      );
+    } catch (e) {
+      console.warn("⚠️ Waitlist offer failed:", e?.message || e);
+    }
+
     res.json({ message: "Appointment cancelled and email sent" });
   } catch (err) {
     try {
@@ -430,4 +634,476 @@ router.delete("/:id", auth, async (req, res) => {
   }
 });
 
+/* =========================================================
+   POST /api/appointments/:id/reschedule
+   Move a Scheduled appointment to a new slot in one transaction.
+   Body: { date: "YYYY-MM-DD", time: "HH:mm" | "HH:mm:ss", reason? }
+   - Patient: own future appointments only
+   - Provider: appointments assigned to them only
+   - Front desk: any future appointment
+   ========================================================= */
+router.post("/:id/reschedule", canReschedule, async (req, res) => {
+  const apptId = req.appointment.appointment_id;
+
+  const { date, time } = req.body || {};
+  if (!date || !time) {
+    return res.status(400).json({ error: "date and time are required" });
+  }
+  const reason =
+    (req.body.reason ?? "").toString().trim().slice(0, 255) || null;
+
+  try {
+    const appt = req.appointment;
+
+    const { dateOnly, timeOnly } = splitToDateAndTime(date, time);
+    const moved = await moveAppointment(appt, dateOnly, timeOnly, {
+      changedBy: req.user.user_id,
+      reason,
+    });
+    if (moved.error) {
+      return res.status(moved.status).json({ error: moved.error });
+    }
+    const { newDate } = moved;
+
+    // === Single "rescheduled" email (best effort) & log Notification ===
+    try {
+      const info = await sql.query`
+        SELECT
+          pu.email     AS patient_email,
+          pu.full_name AS patient_name,
+          du.full_name AS doctor_name
+        FROM Appointments a
+        JOIN Patients p ON a.patient_id = p.patient_id
+        JOIN Users pu   ON p.user_id    = pu.user_id
+        JOIN Doctors d  ON a.doctor_id  = d.doctor_id
+        JOIN Users du   ON d.user_id    = du.user_id
+        WHERE a.appointment_id = ${apptId}
+      `;
+      const row = info.recordset[0];
+
+      let sentOK = false;
+      try {
+        await sendEmail({
+          to: row?.patient_email,
+          subject: `Appointment with ${row?.doctor_name} rescheduled`,
+          html: `
+            <p>Hi ${row?.patient_name || "there"},</p>
+            <p>Your appointment with <b>${
+              row?.doctor_name || "our provider"
+            }</b> has moved
+            from <b>${formatWallClock(appt.appointment_date)}</b>
+            to <b>${formatWallClock(`${newDate}Z`)}</b>.</p>
+            <p>Thanks!</p>
+          `,
+        });
+        sentOK = true;
+      } catch (e) {
+        console.warn("Reschedule email send failed:", e?.message || e);
+      }
+
+      if (sentOK) {
+        await sql.query`
+          INSERT INTO Notifications (appointment_id, sent_at, status)
+          VALUES (${apptId}, GETUTCDATE(), 'Sent')
+        `;
+      } else {
+        await sql.query`
+          INSERT INTO Notifications (appointment_id, sent_at, status)
+          VALUES (${apptId}, NULL, 'Failed')
+        `;
+      }
+    } catch (e) {
+      console.warn("⚠️ Reschedule logging failed:", e?.message || e);
+    }
+
+    // the old slot is free now
+    try {
+      await offerFreedSlot(appt.doctor_id, appt.appointment_date);
+    } catch (e) {
+      console.warn("⚠️ Waitlist offer failed:", e?.message || e);
+    }
+
+    res.json({
+      message: "Appointment rescheduled",
+      appointment_id: apptId,
+      previous_date: appt.appointment_date,
+      appointment_date: new Date(`${newDate}Z`),
+    });
+  } catch (err) {
+    console.error("❌ Reschedule error:", err);
+    res.status(500).json({ error: "Failed to reschedule appointment" });
+  }
+});
+
+/* =========================================================
+   GET /api/appointments/:id/reschedules
+   Where this appointment has been moved from (patient owner / assigned provider)
+   ========================================================= */
+router.get("/:id/reschedules", canView, async (req, res) => {
+  try {
+    const apptId = req.appointment.appointment_id;
+
+    const r = await sql.query`
+      SELECT r.reschedule_id, r.previous_date, r.new_date, r.reason, r.created_at,
+             u.full_name AS rescheduled_by
+      FROM AppointmentReschedules r
+      JOIN Users u ON r.rescheduled_by = u.user_id
+      WHERE r.appointment_id = ${apptId}
+      ORDER BY r.created_at ASC
+    `;
+    res.json(r.recordset);
+  } catch (err) {
+    console.error("❌ Reschedule history error:", err);
+    res.status(500).json({ error: "Failed to fetch reschedule history" });
+  }
+});
+
+/* ----------------- Recurring series ----------------- */
+const MAX_SERIES_OCCURRENCES = 52;
+
+// patient + doctor names for series emails
+async function getSeriesContacts(seriesId) {
+  const r = await sql.query`
+    SELECT pu.email AS patient_email, pu.full_name AS patient_name,
+           du.full_name AS doctor_name
+    FROM AppointmentSeries s
+    JOIN Patients p ON s.patient_id = p.patient_id
+    JOIN Users pu   ON p.user_id    = pu.user_id
+    JOIN Doctors d  ON s.doctor_id  = d.doctor_id
+    JOIN Users du   ON d.user_id    = du.user_id
+    WHERE s.series_id = ${seriesId}
+  `;
+  return r.recordset[0] || null;
+}
+
+// one summary email per series operation instead of one per occurrence;
+// "{doctor}" in `intro` is replaced with the doctor's name
+async function sendSeriesEmail(seriesId, subject, intro, dates) {
+  try {
+    const row = await getSeriesContacts(seriesId);
+    if (!row || !dates.length) return;
+    await sendEmail({
+      to: row.patient_email,
+      subject: `${subject} with ${row.doctor_name}`,
+      html: `
+        <p>Hi ${row.patient_name || "there"},</p>
+        <p>${intro.replace("{doctor}", `<b>${row.doctor_name}</b>`)}:</p>
+        <ul>${dates.map((d) => `<li>${formatWallClock(d)}</li>`).join("")}</ul>
+        <p>Thanks!</p>
+      `,
+    });
+  } catch (e) {
+    console.warn("Series email send failed:", e?.message || e);
+  }
+}
+
+// future Scheduled occurrences of a series, optionally from a date on
+async function getRemainingOccurrences(seriesId, fromDate) {
+  const now = toSqlWallClock(instantToWall(new Date()));
+  const since =
+    weekdayOf(fromDate) !== null ? toSqlWallClock(wallClock(fromDate)) : now;
+  const r = await sql.query`
+    SELECT appointment_id, patient_id, doctor_id, appointment_date, status
+    FROM Appointments
+    WHERE series_id = ${seriesId}
+      AND status = 'Scheduled'
+      AND appointment_date > ${now}
+      AND appointment_date >= ${since}
+    ORDER BY appointment_date
+  `;
+  return r.recordset;
+}
+
+/* =========================================================
+   POST /api/appointments/series
+   Patient books a recurring series; each occurrence is validated like
+   POST /my and conflicts are reported per occurrence.
+   Body: { doctor_id, start_date: "YYYY-MM-DD", time: "HH:mm",
+           frequency: "weekly" | "monthly", interval?: 1, count: 8 }
+   ========================================================= */
+router.post("/series", canBookOwn, async (req, res) => {
+  try {
+    const { doctor_id, start_date, time, frequency } = req.body || {};
+    const interval = Number(req.body?.interval ?? 1);
+    const count = Number(req.body?.count);
+    if (!doctor_id || !start_date || !time) {
+      return res
+        .status(400)
+        .json({ error: "doctor_id, start_date, and time are required" });
+    }
+    if (weekdayOf(start_date) === null) {
+      return res.status(400).json({ error: "start_date must be YYYY-MM-DD" });
+    }
+    if (!["weekly", "monthly"].includes(frequency)) {
+      return res
+        .status(400)
+        .json({ error: "frequency must be weekly or monthly" });
+    }
+    if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+      return res.status(400).json({ error: "interval must be 1..12" });
+    }
+    if (
+      !Number.isInteger(count) ||
+      count < 2 ||
+      count > MAX_SERIES_OCCURRENCES
+    ) {
+      return res.status(400).json({
+        error: `count must be between 2 and ${MAX_SERIES_OCCURRENCES}`,
+      });
+    }
+
+    const patient_id = await getPatientIdForUser(req.user.user_id);
+    if (!patient_id)
+      return res.status(404).json({ error: "Patient record not found" });
+
+    const blocked = await noShowBookingBlock(patient_id);
+    if (blocked) return res.status(403).json({ error: blocked });
+
+    const { timeOnly } = splitToDateAndTime(start_date, time);
+    const dates = recurrenceDates(start_date, frequency, interval, count);
+
+    // validate everything first so an all-conflict request creates nothing
+    const conflicts = [];
+    const bookable = [];
+    for (const d of dates) {
+      const check = await validateRequestedSlot(Number(doctor_id), d, timeOnly);
+      if (check.status === 404) {
+        return res.status(404).json({ error: check.error });
+      }
+      if (check.error) conflicts.push({ date: d, error: check.error });
+      else bookable.push(d);
+    }
+    if (!bookable.length) {
+      return res
+        .status(400)
+        .json({ error: "No occurrence of the series is available", conflicts });
+    }
+
+    const ins = await sql.query`
+      INSERT INTO AppointmentSeries
+        (patient_id, doctor_id, frequency, interval_n, start_date, start_time,
+         occurrences, created_by)
+      OUTPUT INSERTED.series_id
+      VALUES (${patient_id}, ${Number(doctor_id)}, ${frequency}, ${interval},
+              ${start_date}, ${timeOnly}, ${count}, ${req.user.user_id})
+    `;
+    const series_id = ins.recordset[0].series_id;
+
+    const booked = [];
+    for (const d of bookable) {
+      try {
+        const appointment_id = await scheduleAppointment({
+          patientId: patient_id,
+          doctorId: doctor_id,
+          dateOnly: d,
+          timeOnly,
+          bookedBy: req.user.user_id,
+          reason: `Series #${series_id}`,
+        });
+        await sql.query`
+          UPDATE Appointments SET series_id = ${series_id}
+          WHERE appointment_id = ${appointment_id}
+        `;
+        booked.push({ date: d, appointment_id });
+      } catch (e) {
+        const spErr = bookingErrorResponse(e);
+        if (!spErr) throw e;
+        conflicts.push({ date: d, error: spErr.error });
+      }
+    }
+
+    await sendSeriesEmail(
+      series_id,
+      "Recurring appointments confirmed",
+      "Your recurring appointments with {doctor} are confirmed",
+      booked.map((b) => `${b.date}T${timeOnly}Z`)
+    );
+
+    conflicts.sort((a, b) => a.date.localeCompare(b.date));
+    return res.status(201).json({ series_id, booked, conflicts });
+  } catch (err) {
+    console.error("❌ Create series error:", err);
+    return res.status(500).json({ error: "Failed to book series" });
+  }
+});
+
+/* =========================================================
+   GET /api/appointments/series/:seriesId
+   Series rule + all occurrences (patient owner / assigned provider)
+   ========================================================= */
+router.get("/series/:seriesId", canViewSeries, async (req, res) => {
+  try {
+    const occ = await sql.query`
+      SELECT appointment_id, appointment_date, status
+      FROM Appointments
+      WHERE series_id = ${req.series.series_id}
+      ORDER BY appointment_date
+    `;
+    res.json({ ...req.series, appointments: occ.recordset });
+  } catch (err) {
+    console.error("❌ Get series error:", err);
+    res.status(500).json({ error: "Failed to fetch series" });
+  }
+});
+
+/* =========================================================
+   DELETE /api/appointments/series/:seriesId?from_date=YYYY-MM-DD
+   Cancel every remaining (future, Scheduled) occurrence, optionally only
+   from a date on. Cancel a single occurrence with DELETE /:id instead.
+   ========================================================= */
+router.delete("/series/:seriesId", canViewSeries, async (req, res) => {
+  try {
+    const seriesId = req.series.series_id;
+    const remaining = await getRemainingOccurrences(
+      seriesId,
+      req.query.from_date
+    );
+
+    const cancelled = [];
+    for (const appt of remaining) {
+      const tx = new sql.Transaction();
+      await tx.begin();
+      try {
+        const changed = await changeAppointmentStatus(
+          {
+            appointmentId: appt.appointment_id,
+            from: "Scheduled",
+            to: "Cancelled",
+            changedBy: req.user.user_id,
+            reason: `Series #${seriesId} cancelled`,
+          },
+          tx
+        );
+        if (changed) {
+          await new sql.Request(tx)
+            .input("id", sql.Int, appt.appointment_id)
+            .query(
+              `DELETE FROM Notifications WHERE appointment_id = @id AND sent_at IS NULL`
+            );
+        }
+        await tx.commit();
+        if (changed) cancelled.push(appt);
+      } catch (e) {
+        try {
+          await tx.rollback();
+        } catch {}
+        throw e;
+      }
+    }
+
+    if (!req.query.from_date) {
+      await sql.query`
+        UPDATE AppointmentSeries SET status = 'Cancelled'
+        WHERE series_id = ${seriesId}
+      `;
+    }
+
+    await sendSeriesEmail(
+      seriesId,
+      "Recurring appointments canceled",
+      "These appointments with {doctor} have been canceled",
+      cancelled.map((a) => a.appointment_date)
+    );
+
+    for (const appt of cancelled) {
+      try {
+        await offerFreedSlot(appt.doctor_id, appt.appointment_date);
+      } catch (e) {
+        console.warn("⚠️ Waitlist offer failed:", e?.message || e);
+      }
+    }
+
+    res.json({
+      message: "Series cancelled",
+      cancelled: cancelled.map((a) => a.appointment_id),
+    });
+  } catch (err) {
+    console.error("❌ Cancel series error:", err);
+    res.status(500).json({ error: "Failed to cancel series" });
+  }
+});
+
+/* =========================================================
+   POST /api/appointments/series/:seriesId/reschedule
+   Move every remaining occurrence: shift by N days and/or change the time.
+   Body: { time?: "HH:mm", shift_days?: 0, from_date?: "YYYY-MM-DD", reason? }
+   Occurrences that cannot move are reported and left where they are.
+   Reschedule a single occurrence with POST /:id/reschedule instead.
+   ========================================================= */
+router.post("/series/:seriesId/reschedule", canViewSeries, async (req, res) => {
+  try {
+    const seriesId = req.series.series_id;
+    const shift = Number(req.body?.shift_days ?? 0);
+    const { time, from_date } = req.body || {};
+    if (!Number.isInteger(shift) || (!shift && !time)) {
+      return res
+        .status(400)
+        .json({ error: "Provide time and/or an integer shift_days" });
+    }
+    const reason =
+      (req.body.reason ?? "").toString().trim().slice(0, 255) || null;
+
+    const newTime = time
+      ? splitToDateAndTime(req.series.start_date, time).timeOnly
+      : null;
+
+    const remaining = await getRemainingOccurrences(seriesId, from_date);
+    const moved = [];
+    const conflicts = [];
+    for (const appt of remaining) {
+      const iso = appt.appointment_date.toISOString();
+      const dateOnly = addDays(iso.slice(0, 10), shift);
+      const timeOnly = newTime || iso.slice(11, 19);
+
+      const r = await moveAppointment(appt, dateOnly, timeOnly, {
+        changedBy: req.user.user_id,
+        reason: reason || `Series #${seriesId} rescheduled`,
+      });
+      if (r.error) {
+        conflicts.push({
+          appointment_id: appt.appointment_id,
+          date: dateOnly,
+          error: r.error,
+        });
+      } else {
+        moved.push({ ...appt, newDate: r.newDate });
+      }
+    }
+
+    if (newTime && !from_date && !conflicts.length) {
+      await sql.query`
+          UPDATE AppointmentSeries SET start_time = ${newTime}
+          WHERE series_id = ${seriesId}
+        `;
+    }
+
+    await sendSeriesEmail(
+      seriesId,
+      "Recurring appointments rescheduled",
+      "Your recurring appointments with {doctor} have moved to",
+      moved.map((m) => `${m.newDate}Z`)
+    );
+
+    for (const appt of moved) {
+      try {
+        await offerFreedSlot(appt.doctor_id, appt.appointment_date);
+      } catch (e) {
+        console.warn("⚠️ Waitlist offer failed:", e?.message || e);
+      }
+    }
+
+    res.json({
+      moved: moved.map((m) => ({
+        appointment_id: m.appointment_id,
+        previous_date: m.appointment_date,
+        appointment_date: new Date(`${m.newDate}Z`),
+      })),
+      conflicts,
+    });
+  } catch (err) {
+    console.error("❌ Reschedule series error:", err);
+    res.status(500).json({ error: "Failed to reschedule series" });
+  }
+});
+
 export default router;
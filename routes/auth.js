@@ -2,7 +2,42 @@
 import express from "express";
 import sql from "mssql";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
+import { authenticate } from "../middleware/auth.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} from "../utils/sessions.js";
+import {
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} from "../utils/accountTokens.js";
+import {
+  checkIpAllowed,
+  checkAccountAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  clearLoginFailures,
+} from "../utils/loginThrottle.js";
+import {
+  CHALLENGE_MINUTES,
+  isTwoFactorRequired,
+  generateSecret,
+  verifyTotp,
+  otpauthUri,
+  signChallenge,
+  verifyChallenge,
+  useTotpCode,
+  useRecoveryCode,
+  regenerateRecoveryCodes,
+} from "../utils/twoFactor.js";
+
+const MIN_PASSWORD_LENGTH = 8;
+// same answer whether or not the email exists, so these can't probe accounts
+const EMAIL_SENT_MESSAGE =
+  "If that account exists, we've sent an email with further instructions";
 
 const router = express.Router();
 
@@ -22,15 +57,23 @@ router.post("/register", async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // 3. Normalize role (important!)
-    let role = user_role;
-    if (role.toLowerCase() === "doctor") role = "Provider";
+    let role = user_role || "";
+    if (["doctor", "provider"].includes(role.toLowerCase())) role = "Provider";
     if (role.toLowerCase() === "patient") role = "Patient";
+    // Admins are created by other admins, never self-registered
+    if (!["Provider", "Patient"].includes(role)) {
+      return res
+        .status(400)
+        .json({ error: "user_role must be Patient or Provider" });
+    }
+    // providers can see patient data, so an admin approves them first
+    const status = role === "Provider" ? "PendingApproval" : "Active";
 
     // 4. Insert into Users
     const result = await sql.query`
-      INSERT INTO Users (full_name, email, password_hash, phone_number, user_role, created_at)
+      INSERT INTO Users (full_name, email, password_hash, phone_number, user_role, account_status, created_at)
       OUTPUT INSERTED.user_id
-      VALUES (${full_name}, ${email}, ${hashedPassword}, ${phone_number}, ${role}, GETDATE())
+      VALUES (${full_name}, ${email}, ${hashedPassword}, ${phone_number}, ${role}, ${status}, GETDATE())
     `;
 
     const userId = result.recordset[0].user_id;
@@ -66,77 +109,465 @@ router.post("/register", async (req, res) => {
   `;
     }
 
-    res.json({ message: "User registered successfully", user_id: userId });
+    // 7. Ask them to prove they own the email (best-effort; they can re-request)
+    try {
+      await sendVerificationEmail({ user_id: userId, email, full_name });
+    } catch (e) {
+      console.warn("Verification email failed:", e?.message || e);
+    }
+
+    res.json({
+      message:
+        status === "PendingApproval"
+          ? "User registered successfully. Please verify your email; an administrator will review your provider account."
+          : "User registered successfully. Please verify your email.",
+      user_id: userId,
+      account_status: status,
+    });
   } catch (err) {
     console.error("❌ Register Error:", err.message);
     res.status(500).json({ error: "Failed to register user" });
   }
 });
 
+// Issue tokens for a fully authenticated user and send the login response
+async function completeLogin(user, req, res, extra = {}) {
+  // 🔑 short-lived JWT + rotating refresh token for this device
+  const { token, refresh_token, expires_in } = await createSession(user, req);
+
+  // 📌 Fetch extra info
+  let extraInfo = {};
+  if (user.user_role === "Patient") {
+    const patientRes = await sql.query`
+      SELECT patient_id FROM Patients WHERE user_id = ${user.user_id}
+    `;
+    if (patientRes.recordset.length > 0) {
+      extraInfo.patient_id = patientRes.recordset[0].patient_id;
+    }
+  } else if (user.user_role === "Provider") {
+    const doctorRes = await sql.query`
+      SELECT doctor_id FROM Doctors WHERE user_id = ${user.user_id}
+    `;
+    if (doctorRes.recordset.length > 0) {
+      extraInfo.doctor_id = doctorRes.recordset[0].doctor_id;
+    }
+  }
+
+  res.json({
+    token,
+    refresh_token,
+    expires_in,
+    role: user.user_role,
+    full_name: user.full_name,
+    user_id: user.user_id,
+    ...extraInfo,
+    ...extra,
+  });
+}
+
+// 423/429 from utils/loginThrottle.js
+function refuse(res, { status, error, retryAfter }) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(status).json({ error, retry_after: retryAfter });
+}
+
+async function loadUser(userId) {
+  const r = await sql.query`SELECT * FROM Users WHERE user_id = ${userId}`;
+  return r.recordset[0] || null;
+}
+
+// 2FA enrollment: a logged-in user, or a Provider mid-login whose clinic
+// requires 2FA (holding a "2fa-setup" challenge instead of a session)
+function enrollmentAuth(req, res, next) {
+  const challenge = req.body?.challenge_token;
+  if (!challenge) return authenticate(req, res, next);
+
+  const userId = verifyChallenge(challenge, "2fa-setup");
+  if (!userId) {
+    return res.status(401).json({ error: "Invalid or expired challenge" });
+  }
+  req.user = { user_id: userId };
+  req.viaChallenge = true;
+  next();
+}
+
 // LOGIN
 router.post("/login", async (req, res) => {
   console.log("entered in login");
   const { email, password } = req.body;
 
+  const ip = req.ip;
+
   try {
+    const ipBlock = await checkIpAllowed(ip);
+    if (ipBlock) return refuse(res, ipBlock);
+
     const result = await sql.query`SELECT * FROM Users WHERE email=${email}`;
     if (result.recordset.length === 0) {
+      await recordFailedLogin({ email, ip });
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
     const user = result.recordset[0];
+    const accountBlock = checkAccountAllowed(user);
+    if (accountBlock) return refuse(res, accountBlock);
+
     const isMatch = await bcrypt.compare(password, user.password_hash);
     if (!isMatch) {
+      const locked = await recordFailedLogin({ email, user, ip });
+      if (locked) {
+        return res.status(423).json({
+          error: "Account temporarily locked after too many failed attempts",
+        });
+      }
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    // 🔑 JWT
-    const token = jwt.sign(
-      { user_id: user.user_id, role: user.user_role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
-
-    // 📌 Fetch extra info
-    let extraInfo = {};
-    if (user.user_role === "Patient") {
-      const patientRes = await sql.query`
-        SELECT patient_id FROM Patients WHERE user_id = ${user.user_id}
-      `;
-      if (patientRes.recordset.length > 0) {
-        extraInfo.patient_id = patientRes.recordset[0].patient_id;
-      }
-    } else if (user.user_role === "Provider") {
-      const doctorRes = await sql.query`
-        SELECT doctor_id FROM Doctors WHERE user_id = ${user.user_id}
-      `;
-      if (doctorRes.recordset.length > 0) {
-        extraInfo.doctor_id = doctorRes.recordset[0].doctor_id;
-      }
+    if (!user.email_verified) {
+      return res.status(403).json({
+        error: "Please verify your email before logging in",
+        code: "EMAIL_NOT_VERIFIED",
+      });
     }
 
-    res.json({
-      token,
-      role: user.user_role,
-      full_name: user.full_name,
-      user_id: user.user_id,
-      ...extraInfo,
-    });
+    if (user.account_status !== "Active") {
+      const pending = user.account_status === "PendingApproval";
+      return res.status(403).json({
+        error: pending
+          ? "Your account is awaiting administrator approval"
+          : "Your account is not active",
+        code: pending ? "ACCOUNT_PENDING_APPROVAL" : "ACCOUNT_INACTIVE",
+      });
+    }
+
+    // 🔐 second factor: enrolled users (and Providers when the clinic
+    // requires it) get a short-lived challenge instead of tokens
+    if (user.totp_enabled) {
+      return res.json({
+        two_factor_required: true,
+        challenge_token: signChallenge(user.user_id, "2fa"),
+        expires_in: CHALLENGE_MINUTES * 60,
+      });
+    }
+    if (isTwoFactorRequired(user.user_role)) {
+      return res.json({
+        two_factor_setup_required: true,
+        challenge_token: signChallenge(user.user_id, "2fa-setup"),
+        expires_in: CHALLENGE_MINUTES * 60,
+      });
+    }
+
+    await recordSuccessfulLogin({ user, ip });
+    await completeLogin(user, req, res);
   } catch (err) {
     console.error("❌ Login Error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-router.get("/me", (req, res) => {
+// LOGIN step 2: exchange the challenge + a TOTP or recovery code for tokens
+router.post("/login/2fa", async (req, res) => {
+  const { challenge_token, code, recovery_code } = req.body || {};
+  const userId = verifyChallenge(challenge_token, "2fa");
+  if (!userId) {
+    return res.status(401).json({ error: "Invalid or expired challenge" });
+  }
+  if (!code && !recovery_code) {
+    return res.status(400).json({ error: "code or recovery_code is required" });
+  }
+
+  const ip = req.ip;
+
+  try {
+    const ipBlock = await checkIpAllowed(ip);
+    if (ipBlock) return refuse(res, ipBlock);
+
+    const user = await loadUser(userId);
+    if (!user || !user.totp_enabled) {
+      return res.status(401).json({ error: "Invalid or expired challenge" });
+    }
+    const accountBlock = checkAccountAllowed(user);
+    if (accountBlock) return refuse(res, accountBlock);
+
+    const ok = code
+      ? await useTotpCode(user, code)
+      : await useRecoveryCode(user.user_id, recovery_code);
+    if (!ok) {
+      const locked = await recordFailedLogin({ email: user.email, user, ip });
+      if (locked) {
+        return res.status(423).json({
+          error: "Account temporarily locked after too many failed attempts",
+        });
+      }
+      return res.status(401).json({ error: "Invalid code" });
+    }
+
+    await recordSuccessfulLogin({ user, ip });
+    await completeLogin(user, req, res);
+  } catch (err) {
+    console.error("❌ 2FA Login Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// 2FA: start enrollment (returns the secret and an otpauth:// URI for a QR code)
+router.post("/2fa/enroll", enrollmentAuth, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: "Two-factor is already enabled" });
+    }
+
+    const secret = generateSecret();
+    await sql.query`
+      UPDATE Users SET totp_pending_secret = ${secret}
+      WHERE user_id = ${user.user_id}
+    `;
+    res.json({ secret, otpauth_uri: otpauthUri(secret, user.email) });
+  } catch (err) {
+    console.error("❌ 2FA Enroll Error:", err);
+    res.status(500).json({ error: "Failed to start enrollment" });
+  }
+});
+
+// 2FA: confirm enrollment with a first code; returns recovery codes (once)
+router.post("/2fa/enroll/confirm", enrollmentAuth, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    if (!user?.totp_pending_secret) {
+      return res.status(400).json({ error: "No enrollment in progress" });
+    }
+
+    const step = verifyTotp(user.totp_pending_secret, req.body?.code);
+    if (step === null) return res.status(400).json({ error: "Invalid code" });
+
+    const r = await sql.query`
+      UPDATE Users
+      SET totp_secret = totp_pending_secret,
+          totp_pending_secret = NULL,
+          totp_enabled = 1,
+          totp_enabled_at = GETUTCDATE(),
+          totp_last_step = ${step}
+      WHERE user_id = ${user.user_id}
+        AND totp_pending_secret = ${user.totp_pending_secret}
+    `;
+    if (r.rowsAffected[0] === 0) {
+      return res.status(409).json({ error: "Enrollment changed; start again" });
+    }
+    const recovery_codes = await regenerateRecoveryCodes(user.user_id);
+
+    // finishing a required enrollment also finishes the login
+    if (req.viaChallenge) {
+      await recordSuccessfulLogin({ user, ip: req.ip });
+      return completeLogin(user, req, res, { recovery_codes });
+    }
+    res.json({ message: "Two-factor enabled", recovery_codes });
+  } catch (err) {
+    console.error("❌ 2FA Confirm Error:", err);
+    res.status(500).json({ error: "Failed to confirm enrollment" });
+  }
+});
+
+// 2FA: replace recovery codes (needs a current code)
+router.post("/2fa/recovery-codes", authenticate, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    if (!user?.totp_enabled) {
+      return res.status(400).json({ error: "Two-factor is not enabled" });
+    }
+    if (!(await useTotpCode(user, req.body?.code))) {
+      return res.status(401).json({ error: "Invalid code" });
+    }
+
+    const recovery_codes = await regenerateRecoveryCodes(user.user_id);
+    res.json({ recovery_codes });
+  } catch (err) {
+    console.error("❌ Recovery Codes Error:", err);
+    res.status(500).json({ error: "Failed to regenerate recovery codes" });
+  }
+});
+
+// 2FA: turn off (password + current code; not allowed when the clinic requires it)
+router.post("/2fa/disable", authenticate, async (req, res) => {
+  const { password, code } = req.body || {};
+  try {
+    const user = await loadUser(req.user.user_id);
+    if (!user?.totp_enabled) {
+      return res.status(400).json({ error: "Two-factor is not enabled" });
+    }
+    if (isTwoFactorRequired(user.user_role)) {
+      return res
+        .status(403)
+        .json({ error: "Two-factor is required for your role" });
+    }
+
+    const passwordOk = await bcrypt.compare(password || "", user.password_hash);
+    if (!passwordOk || !(await useTotpCode(user, code))) {
+      return res.status(401).json({ error: "Invalid password or code" });
+    }
+
+    await sql.query`
+      UPDATE Users
+      SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled = 0,
+          totp_enabled_at = NULL, totp_last_step = NULL
+      WHERE user_id = ${user.user_id}
+    `;
+    await sql.query`
+      DELETE FROM TwoFactorRecoveryCodes WHERE user_id = ${user.user_id}
+    `;
+    res.json({ message: "Two-factor disabled" });
+  } catch (err) {
+    console.error("❌ 2FA Disable Error:", err);
+    res.status(500).json({ error: "Failed to disable two-factor" });
+  }
+});
+
+// REFRESH (rotates the refresh token; the old one stops working)
+router.post("/refresh", async (req, res) => {
+  const { refresh_token } = req.body || {};
+  if (!refresh_token) {
+    return res.status(400).json({ error: "refresh_token is required" });
+  }
+
+  try {
+    const tokens = await rotateSession(refresh_token);
+    if (!tokens) {
+      const error = "Invalid or expired refresh token";
+      return res.status(401).json({ error });
+    }
+    res.json(tokens);
+  } catch (err) {
+    console.error("❌ Refresh Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// LOGOUT (this device, or every device with { all_devices: true })
+router.post("/logout", authenticate, async (req, res) => {
   try {
-    const token = (req.headers["authorization"] || "").split(" ")[1];
-    if (!token) return res.status(401).json({ error: "No token" });
-    const u = jwt.verify(token, process.env.JWT_SECRET); // { user_id, role }
-    res.json(u);
-  } catch {
-    res.status(401).json({ error: "Invalid token" });
+    if (req.body?.all_devices) {
+      const revoked = await revokeAllSessions(req.user.user_id);
+      return res.json({ message: "Logged out of all devices", revoked });
+    }
+
+    await revokeSession(req.user.sid);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("❌ Logout Error:", err);
+    res.status(500).json({ error: "Server error" });
   }
 });
 
+// VERIFY EMAIL: (re)send the link
+router.post("/verify-email/request", async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ error: "email is required" });
+
+  try {
+    const r = await sql.query`
+      SELECT user_id, email, full_name, email_verified
+      FROM Users WHERE email = ${email}
+    `;
+    const user = r.recordset[0];
+    // a failed send must answer like an unknown address (no account probing)
+    if (user && !user.email_verified) {
+      await sendVerificationEmail(user).catch((err) =>
+        console.error("❌ Verification Email Error:", err)
+      );
+    }
+    res.json({ message: EMAIL_SENT_MESSAGE });
+  } catch (err) {
+    console.error("❌ Verify Email Request Error:", err);
+    res.status(500).json({ error: "Failed to send verification email" });
+  }
+});
+
+// VERIFY EMAIL: consume the token from the link
+router.post("/verify-email", async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) return res.status(400).json({ error: "token is required" });
+
+  try {
+    const userId = await consumeAccountToken(token, "VerifyEmail");
+    if (!userId) {
+      return res.status(400).json({ error: "Invalid or expired token" });
+    }
+
+    await sql.query`
+      UPDATE Users SET email_verified = 1, email_verified_at = GETUTCDATE()
+      WHERE user_id = ${userId} AND email_verified = 0
+    `;
+    res.json({ message: "Email verified. You can now log in." });
+  } catch (err) {
+    console.error("❌ Verify Email Error:", err);
+    res.status(500).json({ error: "Failed to verify email" });
+  }
+});
+
+// FORGOT PASSWORD: email a reset link
+router.post("/password/forgot", async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ error: "email is required" });
+
+  try {
+    const r = await sql.query`
+      SELECT user_id, email, full_name FROM Users WHERE email = ${email}
+    `;
+    // a failed send must answer like an unknown address (no account probing)
+    if (r.recordset[0]) {
+      await sendPasswordResetEmail(r.recordset[0]).catch((err) =>
+        console.error("❌ Reset Email Error:", err)
+      );
+    }
+    res.json({ message: EMAIL_SENT_MESSAGE });
+  } catch (err) {
+    console.error("❌ Forgot Password Error:", err);
+    res.status(500).json({ error: "Failed to send reset email" });
+  }
+});
+
+// RESET PASSWORD: consume the token and set a new password
+router.post("/password/reset", async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || !password) {
+    return res.status(400).json({ error: "token and password are required" });
+  }
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const userId = await consumeAccountToken(token, "PasswordReset");
+    if (!userId) {
+      return res.status(400).json({ error: "Invalid or expired token" });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    // the link arrived by email, so this also proves ownership of the address
+    await sql.query`
+      UPDATE Users
+      SET password_hash = ${hashedPassword},
+          email_verified = 1,
+          email_verified_at = COALESCE(email_verified_at, GETUTCDATE())
+      WHERE user_id = ${userId}
+    `;
+    // anyone holding the old password may still be logged in somewhere
+    await revokeAllSessions(userId, "PasswordReset");
+    await clearLoginFailures(userId);
+
+    res.json({ message: "Password updated. Please log in again." });
+  } catch (err) {
+    console.error("❌ Reset Password Error:", err);
+    res.status(500).json({ error: "Failed to reset password" });
+  }
+});
+
+router.get("/me", authenticate, (req, res) => {
+  const { user_id, role } = req.user;
+  res.json({ user_id, role });
+});
+
 export default router;
@@ -1,10 +1,47 @@
 // routes/doctors.js
 import express from "express";
 import sql from "mssql";
-import { authenticate, authorizeRole } from "../middleware/auth.js";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { authorizePatient } from "../middleware/policies.js";
+import { parseRecordQuery, searchRecords } from "../utils/recordMetadata.js";
+import { logRecordAccess } from "../utils/accessLog.js";
+import {
+  WEEKDAYS,
+  addDays,
+  loadWeeklySchedule,
+  saveWeeklySchedule,
+  normalizeWeeklyTemplate,
+  normalizeTimeOff,
+  loadBlockedPeriods,
+  listCollidingAppointments,
+  toSqlWallClock,
+  weekdayOf,
+  CLINIC_TZ,
+  isValidTimeZone,
+  computeOpenSlots,
+  instantToWall,
+  wallToInstant,
+  formatInZone,
+} from "../utils/schedule.js";
 
 const router = express.Router();
 
+// how far ahead availability / conflict lookups scan for time off
+const LOOKAHEAD_DAYS = 365;
+// widest range GET /:id/slots will compute in one call
+const MAX_SLOT_RANGE_DAYS = 31;
+
+// role permissions live in middleware/permissions.js
+const providerOnly = requirePermission("provider:self");
+const canManageHolidays = requirePermission("holidays:manage");
+
+async function getDoctorIdForUser(userId) {
+  const r =
+    await sql.query`SELECT doctor_id FROM Doctors WHERE user_id=${userId}`;
+  return r.recordset[0]?.doctor_id || null;
+}
+
 /* Public: list for dropdowns */
 router.get("/list", async (_req, res) => {
   try {
@@ -12,6 +49,7 @@ router.get("/list", async (_req, res) => {
       SELECT d.doctor_id, u.full_name, d.specialization
       FROM Doctors d
       JOIN Users u ON d.user_id = u.user_id
+      WHERE u.account_status = 'Active'
       ORDER BY u.full_name
     `;
     res.json(result.recordset);
@@ -26,33 +64,40 @@ router.get("/:id/availability", async (req, res) => {
   try {
     const { id } = req.params;
 
-    const doctorRes = await sql.query`
-      SELECT doctor_id, available_days
-      FROM Doctors
-      WHERE doctor_id = ${id}
-    `;
-    if (!doctorRes.recordset.length) {
+    const schedule = await loadWeeklySchedule(Number(id));
+    if (!schedule) {
       return res.status(404).json({ error: "Doctor not found" });
     }
-    const doctor = doctorRes.recordset[0];
 
+    // appointment_date holds clinic wall time, not the server's clock
+    const now = toSqlWallClock(instantToWall(new Date()));
     const apptRes = await sql.query`
       SELECT appointment_date
       FROM Appointments
       WHERE doctor_id = ${id}
         AND status = 'Scheduled'
-        AND appointment_date >= GETDATE()
+        AND appointment_date >= ${now}
     `;
 
+    // upcoming time off + clinic holidays the slot picker must skip
+    const today = now.slice(0, 10);
+    const blocked = await loadBlockedPeriods(
+      schedule.doctor_id,
+      today,
+      addDays(today, LOOKAHEAD_DAYS)
+    );
+
     res.json({
-      doctor_id: doctor.doctor_id,
-      available_days: doctor.available_days,
-      working_hours: {
-        start: "10:00",
-        end: "17:00",
-        lunch: ["14:00", "15:00"],
-      },
+      doctor_id: schedule.doctor_id,
+      available_days: schedule.days.map((d) => WEEKDAYS[d.weekday]).join(","),
+      schedule: schedule.days,
       booked: apptRes.recordset.map((a) => a.appointment_date),
+      blocked: blocked.map(({ type, start, end, reason }) => ({
+        type,
+        start,
+        end,
+        reason,
+      })),
     });
   } catch (err) {
     console.error("❌ Availability error:", err.message);
@@ -60,8 +105,331 @@ router.get("/:id/availability", async (req, res) => {
   }
 });
 
+/**
+ * Public: concrete open slots, computed server-side
+ * GET /api/doctor/:id/slots?from=YYYY-MM-DD&to=YYYY-MM-DD&tz=Europe/London
+ * from/to are clinic-local dates (inclusive, max MAX_SLOT_RANGE_DAYS days).
+ * start/end are rendered in `tz` (default clinic zone); date/time are the
+ * clinic-local values to send back to POST /api/appointments/my.
+ */
+router.get("/:id/slots", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const today = instantToWall(new Date()).toISOString().slice(0, 10);
+    const from = req.query.from || today;
+    const to = req.query.to || addDays(from, 6);
+    const tz = req.query.tz || CLINIC_TZ;
+
+    if (weekdayOf(from) === null || weekdayOf(to) === null) {
+      return res.status(400).json({ error: "from/to must be YYYY-MM-DD" });
+    }
+    if (to < from || to > addDays(from, MAX_SLOT_RANGE_DAYS - 1)) {
+      return res.status(400).json({
+        error: `to must be on or after from, within ${MAX_SLOT_RANGE_DAYS} days`,
+      });
+    }
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({ error: "Unknown time zone" });
+    }
+
+    const open = await computeOpenSlots(id, from, to);
+    if (!open) return res.status(404).json({ error: "Doctor not found" });
+
+    res.json({
+      doctor_id: id,
+      time_zone: tz,
+      from,
+      to,
+      slots: open.slots.map(({ start, end }) => ({
+        start: formatInZone(wallToInstant(start), tz),
+        end: formatInZone(wallToInstant(end), tz),
+        date: start.toISOString().slice(0, 10),
+        time: start.toISOString().slice(11, 16),
+      })),
+    });
+  } catch (err) {
+    console.error("❌ Slots error:", err.message);
+    res.status(500).json({ error: "Failed to compute slots" });
+  }
+});
+
+/* Provider: view my weekly schedule template */
+router.get(
+  "/me/schedule",
+  authenticate,
+  providerOnly,
+  async (req, res) => {
+    try {
+      const doctorId = await getDoctorIdForUser(req.user.user_id);
+      if (!doctorId) {
+        return res.status(404).json({ error: "Doctor profile not found" });
+      }
+
+      const schedule = await loadWeeklySchedule(doctorId);
+      res.json(schedule);
+    } catch (err) {
+      console.error("❌ Get schedule error:", err.message);
+      res.status(500).json({ error: "Failed to load schedule" });
+    }
+  }
+);
+
+/**
+ * Provider: replace my weekly schedule template
+ * Body: { days: [{ weekday: 1, start: "09:00", end: "17:00",
+ *                  slot_minutes: 30, breaks: [{ start: "13:00", end: "14:00" }] }] }
+ * Weekdays not listed are days off.
+ */
+router.put(
+  "/me/schedule",
+  authenticate,
+  providerOnly,
+  async (req, res) => {
+    try {
+      const doctorId = await getDoctorIdForUser(req.user.user_id);
+      if (!doctorId) {
+        return res.status(404).json({ error: "Doctor profile not found" });
+      }
+
+      const { days, error } = normalizeWeeklyTemplate(req.body?.days);
+      if (error) return res.status(400).json({ error });
+
+      await saveWeeklySchedule(doctorId, days);
+      res.json(await loadWeeklySchedule(doctorId));
+    } catch (err) {
+      console.error("❌ Save schedule error:", err.message);
+      res.status(500).json({ error: "Failed to save schedule" });
+    }
+  }
+);
+
+/* Provider: list my time-off blocks (upcoming unless ?all=1) */
+router.get(
+  "/me/time-off",
+  authenticate,
+  providerOnly,
+  async (req, res) => {
+    try {
+      const doctorId = await getDoctorIdForUser(req.user.user_id);
+      if (!doctorId) {
+        return res.status(404).json({ error: "Doctor profile not found" });
+      }
+
+      const all = req.query.all === "1";
+      const now = toSqlWallClock(instantToWall(new Date()));
+      const result = await sql.query`
+        SELECT time_off_id, start_at, end_at, all_day, reason, created_at
+        FROM DoctorTimeOff
+        WHERE doctor_id = ${doctorId}
+          AND (${all ? 1 : 0} = 1 OR end_at > ${now})
+        ORDER BY start_at
+      `;
+      res.json(result.recordset);
+    } catch (err) {
+      console.error("❌ List time off error:", err.message);
+      res.status(500).json({ error: "Failed to load time off" });
+    }
+  }
+);
+
+/**
+ * Provider: block a period
+ * Body: { start_date, end_date?, start_time?, end_time?, reason? }
+ * Omit the times for full days. Responds with the block and any scheduled
+ * appointments inside it that need rescheduling.
+ */
+router.post(
+  "/me/time-off",
+  authenticate,
+  providerOnly,
+  async (req, res) => {
+    try {
+      const doctorId = await getDoctorIdForUser(req.user.user_id);
+      if (!doctorId) {
+        return res.status(404).json({ error: "Doctor profile not found" });
+      }
+
+      const block = normalizeTimeOff(req.body);
+      if (block.error) return res.status(400).json({ error: block.error });
+
+      const ins = await sql.query`
+        INSERT INTO DoctorTimeOff (doctor_id, start_at, end_at, all_day, reason)
+        OUTPUT INSERTED.time_off_id, INSERTED.start_at, INSERTED.end_at,
+               INSERTED.all_day, INSERTED.reason
+        VALUES (${doctorId}, ${toSqlWallClock(block.start_at)},
+                ${toSqlWallClock(block.end_at)}, ${block.all_day}, ${block.reason})
+      `;
+
+      const conflicts = await listCollidingAppointments(
+        doctorId,
+        block.start_at.toISOString().slice(0, 10),
+        addDays(block.end_at.toISOString().slice(0, 10), 1)
+      );
+
+      res.status(201).json({ time_off: ins.recordset[0], conflicts });
+    } catch (err) {
+      console.error("❌ Create time off error:", err.message);
+      res.status(500).json({ error: "Failed to create time off" });
+    }
+  }
+);
+
+/* Provider: remove one of my time-off blocks */
+router.delete(
+  "/me/time-off/:timeOffId",
+  authenticate,
+  providerOnly,
+  async (req, res) => {
+    try {
+      const doctorId = await getDoctorIdForUser(req.user.user_id);
+      if (!doctorId) {
+        return res.status(404).json({ error: "Doctor profile not found" });
+      }
+
+      const result = await sql.query`
+        DELETE FROM DoctorTimeOff
+        WHERE time_off_id = ${Number(req.params.timeOffId)}
+          AND doctor_id = ${doctorId};
+        SELECT @@ROWCOUNT AS affected;
+      `;
+      if (result.recordset[0].affected === 0) {
+        return res.status(404).json({ error: "Time off not found" });
+      }
+      res.json({ message: "Time off removed" });
+    } catch (err) {
+      console.error("❌ Delete time off error:", err.message);
+      res.status(500).json({ error: "Failed to delete time off" });
+    }
+  }
+);
+
+/* Provider: upcoming appointments that collide with my time off / holidays */
+router.get(
+  "/me/time-off/conflicts",
+  authenticate,
+  providerOnly,
+  async (req, res) => {
+    try {
+      const doctorId = await getDoctorIdForUser(req.user.user_id);
+      if (!doctorId) {
+        return res.status(404).json({ error: "Doctor profile not found" });
+      }
+
+      const today = instantToWall(new Date()).toISOString().slice(0, 10);
+      res.json(
+        await listCollidingAppointments(
+          doctorId,
+          today,
+          addDays(today, LOOKAHEAD_DAYS)
+        )
+      );
+    } catch (err) {
+      console.error("❌ Time off conflicts error:", err.message);
+      res.status(500).json({ error: "Failed to load conflicts" });
+    }
+  }
+);
+
+/* Public: clinic holiday calendar (?from=YYYY-MM-DD&to=YYYY-MM-DD) */
+router.get("/holidays", async (req, res) => {
+  try {
+    const today = instantToWall(new Date()).toISOString().slice(0, 10);
+    const from = req.query.from || today;
+    const to = req.query.to || addDays(from, LOOKAHEAD_DAYS);
+    const result = await sql.query`
+      SELECT holiday_id, CONVERT(char(10), holiday_date, 23) AS holiday_date, name
+      FROM ClinicHolidays
+      WHERE holiday_date >= ${from} AND holiday_date <= ${to}
+      ORDER BY holiday_date
+    `;
+    res.json(result.recordset);
+  } catch (err) {
+    console.error("❌ Holidays error:", err.message);
+    res.status(500).json({ error: "Failed to load holidays" });
+  }
+});
+
+/**
+ * Admin: add a clinic-wide holiday
+ * Body: { date: "YYYY-MM-DD", name }
+ * Responds with scheduled appointments (any doctor) that fall on that day.
+ */
+router.post(
+  "/holidays",
+  authenticate,
+  canManageHolidays,
+  async (req, res) => {
+    try {
+      const { date, name } = req.body || {};
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "") || !name) {
+        return res
+          .status(400)
+          .json({ error: "date (YYYY-MM-DD) and name are required" });
+      }
+
+      const exists = await sql.query`
+        SELECT 1 FROM ClinicHolidays WHERE holiday_date = ${date}
+      `;
+      if (exists.recordset.length) {
+        return res.status(400).json({ error: "Holiday already exists" });
+      }
+
+      const ins = await sql.query`
+        INSERT INTO ClinicHolidays (holiday_date, name)
+        OUTPUT INSERTED.holiday_id
+        VALUES (${date}, ${name})
+      `;
+
+      const conflicts = await sql.query`
+        SELECT a.appointment_id, a.appointment_date, a.doctor_id,
+               du.full_name AS doctor_name, pu.full_name AS patient_name
+        FROM Appointments a
+        JOIN Doctors d  ON a.doctor_id  = d.doctor_id
+        JOIN Users du   ON d.user_id    = du.user_id
+        JOIN Patients p ON a.patient_id = p.patient_id
+        JOIN Users pu   ON p.user_id    = pu.user_id
+        WHERE CAST(a.appointment_date AS DATE) = ${date}
+          AND a.status = 'Scheduled'
+        ORDER BY a.appointment_date
+      `;
+
+      res.status(201).json({
+        holiday_id: ins.recordset[0].holiday_id,
+        holiday_date: date,
+        name,
+        conflicts: conflicts.recordset,
+      });
+    } catch (err) {
+      console.error("❌ Create holiday error:", err.message);
+      res.status(500).json({ error: "Failed to create holiday" });
+    }
+  }
+);
+
+/* Admin: remove a clinic holiday */
+router.delete(
+  "/holidays/:holidayId",
+  authenticate,
+  canManageHolidays,
+  async (req, res) => {
+    try {
+      const result = await sql.query`
+        DELETE FROM ClinicHolidays WHERE holiday_id = ${Number(req.params.holidayId)};
+        SELECT @@ROWCOUNT AS affected;
+      `;
+      if (result.recordset[0].affected === 0) {
+        return res.status(404).json({ error: "Holiday not found" });
+      }
+      res.json({ message: "Holiday removed" });
+    } catch (err) {
+      console.error("❌ Delete holiday error:", err.message);
+      res.status(500).json({ error: "Failed to delete holiday" });
+    }
+  }
+);
+
 /* Provider: their own profile */
-router.get("/me", authenticate, authorizeRole("Provider"), async (req, res) => {
+router.get("/me", authenticate, providerOnly, async (req, res) => {
   try {
     const result = await sql.query`
         SELECT 
@@ -89,7 +457,7 @@ router.get("/me", authenticate, authorizeRole("Provider"), async (req, res) => {
 router.get(
   "/patients",
   authenticate,
-  authorizeRole("Provider"),
+  providerOnly,
   async (req, res) => {
     try {
       // resolve doctor_id for logged-in provider
@@ -121,14 +489,16 @@ router.get(
   }
 );
 
-/* Provider: appointments for a specific patient — but only with THIS doctor */
+/* Provider: appointments for a specific patient — but only with THIS doctor.
+   The provider needs a relationship with the patient (middleware/policies.js) */
 router.get(
   "/patient/:patientId/appointments",
   authenticate,
-  authorizeRole("Provider"),
+  providerOnly,
+  authorizePatient("records"),
   async (req, res) => {
     try {
-      const pid = Number(req.params.patientId);
+      const pid = req.patientId;
       // resolve doctor_id for provider
       const d = await sql.query`
         SELECT doctor_id FROM Doctors WHERE user_id = ${req.user.user_id}
@@ -141,7 +511,7 @@ router.get(
       const result = await sql.query`
         SELECT appointment_id, appointment_date, status, doctor_id, patient_id
         FROM Appointments
-        WHERE patient_id = ${pid} 
+        WHERE patient_id = ${pid} AND doctor_id = ${doctorId}
         ORDER BY appointment_date DESC
       `;
       res.json(result.recordset);
@@ -152,32 +522,26 @@ router.get(
   }
 );
 
-/* Provider: a patient's records (unchanged) */
+/* Provider: a patient's records (mine + those the patient shared with me).
+   Filters / search / paging as GET /api/records/my */
 router.get(
   "/patient/:patientId/records",
   authenticate,
-  authorizeRole("Provider"),
+  requirePermission("records:read-patient"),
+  authorizePatient("records"),
   async (req, res) => {
     try {
-      const pid = Number(req.params.patientId);
-      console.log("got record req from ",pid);
-      const d = await sql.query`
-        SELECT doctor_id FROM Doctors WHERE user_id = ${req.user.user_id}
-      `;
-      if (!d.recordset.length) {
-        return res.status(404).json({ error: "Doctor profile not found" });
-      }
-      const doctorId = d.recordset[0].doctor_id;
-      console.log("got doc id ",doctorId,"pat: ",pid);
-      const result = await sql.query`
-        SELECT
-          record_id, patient_id, file_path, uploaded_at,
-          RIGHT(file_path, CHARINDEX('/', REVERSE(file_path) + '/') - 1) AS file_name
-        FROM MedicalRecords
-        WHERE patient_id = ${pid} AND doctor_id = ${doctorId}
-        ORDER BY uploaded_at DESC
-      `;
-      res.json(result.recordset);
+      const { criteria, error } = parseRecordQuery(req.query);
+      if (error) return res.status(400).json({ error });
+
+      const { total, records } = await searchRecords({
+        patientId: req.patientId,
+        doctorId: req.actor.doctor_id,
+        criteria,
+      });
+      await logRecordAccess(req, "List", records);
+      res.set("X-Total-Count", String(total));
+      res.json(records);
     } catch (err) {
       console.error("❌ Fetch records error:", err.message);
       res.status(500).json({ error: "Failed to fetch records" });
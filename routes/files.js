@@ -0,0 +1,45 @@
+// routes/files.js
+import express from "express";
+import { getStorage } from "../utils/storage/index.js";
+import { verifySignature } from "../utils/storage/localDisk.js";
+import {
+  parseRange,
+  streamFile,
+  sendUnsatisfiable,
+} from "../utils/storage/serve.js";
+
+const router = express.Router();
+
+/* =========================================================
+ * GET /api/files/:key?expires=&sig=
+ * Signed download links of the local storage driver (the local stand-in
+ * for an Azure SAS URL). No login: the HMAC signature is the permission.
+ * ========================================================= */
+router.get("/:key", async (req, res) => {
+  const storage = getStorage();
+  if (storage.name !== "local") {
+    return res.status(404).json({ error: "Not found" });
+  }
+
+  const { key } = req.params;
+  const { expires, sig } = req.query;
+  if (!verifySignature(key, expires, sig)) {
+    return res.status(403).json({ error: "Invalid or expired link" });
+  }
+
+  try {
+    const file = await storage.stat(key);
+    if (!file) return res.status(404).json({ error: "File not found" });
+
+    // Range requests work as they do on an Azure SAS URL
+    const range = parseRange(req.headers.range, file.size);
+    if (range?.unsatisfiable) return sendUnsatisfiable(res, file.size);
+
+    await streamFile(res, storage, key, file, range);
+  } catch (err) {
+    console.error("❌ File download error:", err);
+    res.status(500).json({ error: "Failed to read file" });
+  }
+});
+
+export default router;
@@ -1,21 +1,28 @@
 // routes/patients.js
 import express from "express";
 import sql from "mssql";
-import { authenticate, authorizeRole } from "../middleware/auth.js";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { logRecordAccess, parseLogRange } from "../utils/accessLog.js";
 
 const router = express.Router();
 
+// role permissions live in middleware/permissions.js
+const patientOnly = requirePermission("patient:self");
+const MAX_PAGE_SIZE = 100;
+
 /**
  * Patient only: my profile
  * GET /api/patient/me
  */
-router.get("/me", authenticate, authorizeRole("Patient"), async (req, res) => {
+router.get("/me", authenticate, patientOnly, async (req, res) => {
   try {
     const userId = req.user.user_id;
     const result = await sql.query`
       SELECT
         u.user_id, u.full_name, u.email, u.phone_number,
-        p.patient_id, p.date_of_birth, p.gender, p.address, p.emergency_contact
+        p.patient_id, p.date_of_birth, p.gender, p.address, p.emergency_contact,
+        p.no_show_count
       FROM Users u
       LEFT JOIN Patients p ON p.user_id = u.user_id
       WHERE u.user_id = ${userId}
@@ -30,6 +37,41 @@ router.get("/me", authenticate, authorizeRole("Patient"), async (req, res) => {
   }
 });
 
+/**
+ * Front desk: find a patient to book for (contact details only, no records)
+ * GET /api/patient/search?q=name|email|phone
+ */
+router.get(
+  "/search",
+  authenticate,
+  requirePermission("patients:search"),
+  async (req, res) => {
+    const q = (req.query.q || "").trim();
+    if (q.length < 2) {
+      return res.status(400).json({ error: "q must be at least 2 characters" });
+    }
+    const like = `%${q}%`;
+
+    try {
+      const result = await sql.query`
+        SELECT TOP 50
+          p.patient_id, u.user_id, u.full_name, u.email, u.phone_number,
+          p.date_of_birth
+        FROM Patients p
+        JOIN Users u ON u.user_id = p.user_id
+        WHERE u.full_name LIKE ${like}
+           OR u.email LIKE ${like}
+           OR u.phone_number LIKE ${like}
+        ORDER BY u.full_name
+      `;
+      res.json(result.recordset);
+    } catch (err) {
+      console.error("❌ Patient search error:", err.message);
+      res.status(500).json({ error: "Failed to search patients" });
+    }
+  }
+);
+
 /**
  * Patient only: my appointments
  * GET /api/patient/appointments
@@ -40,7 +82,7 @@ router.get("/me", authenticate, authorizeRole("Patient"), async (req, res) => {
 router.get(
   "/appointments",
   authenticate,
-  authorizeRole("Patient"),
+  patientOnly,
   async (req, res) => {
     try {
       const userId = req.user.user_id;
@@ -74,7 +116,7 @@ router.get(
 router.get(
   "/records",
   authenticate,
-  authorizeRole("Patient"),
+  patientOnly,
   async (req, res) => {
     try {
       const userId = req.user.user_id;
@@ -95,9 +137,10 @@ router.get(
           uploaded_at,
           RIGHT(file_path, CHARINDEX('/', REVERSE(file_path) + '/') - 1) AS file_name
         FROM MedicalRecords
-        WHERE patient_id = ${patient_id}
+        WHERE patient_id = ${patient_id} AND deleted_at IS NULL
         ORDER BY uploaded_at DESC
       `;
+      await logRecordAccess(req, "List", recs.recordset);
       res.json(recs.recordset);
     } catch (err) {
       console.error("❌ Patient records error:", err.message);
@@ -106,4 +149,60 @@ router.get(
   }
 );
 
+/**
+ * Patient only: who has accessed my records (newest first)
+ * GET /api/patient/access-log?from=&to=&page=1&page_size=50
+ * from/to: ISO dates (UTC), default the last 90 days.
+ */
+router.get("/access-log", authenticate, patientOnly, async (req, res) => {
+  const range = parseLogRange(req.query, { defaultDays: 90 });
+  if (range.error) return res.status(400).json({ error: range.error });
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const pageSize = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, Number(req.query.page_size) || 50)
+  );
+  const offset = (page - 1) * pageSize;
+
+  try {
+    const userId = req.user.user_id;
+
+    const p = await sql.query`
+        SELECT patient_id FROM Patients WHERE user_id = ${userId}
+      `;
+    if (!p.recordset.length) {
+      return res.status(404).json({ error: "Patient record not found" });
+    }
+    const patient_id = p.recordset[0].patient_id;
+
+    // counted separately so a page past the end still reports the total;
+    // the record may since have been deleted, hence the LEFT JOIN
+    const result = await sql.query`
+        SELECT COUNT(*) AS total
+        FROM RecordAccessLog l
+        WHERE l.patient_id = ${patient_id}
+          AND l.accessed_at >= ${range.from} AND l.accessed_at < ${range.to};
+
+        SELECT
+          l.log_id, l.accessed_at, l.action, l.record_id,
+          RIGHT(mr.file_path, CHARINDEX('/', REVERSE(mr.file_path) + '/') - 1) AS file_name,
+          l.actor_role, u.full_name AS actor_name,
+          CAST(CASE WHEN l.actor_user_id = ${userId} THEN 1 ELSE 0 END AS BIT) AS is_me
+        FROM RecordAccessLog l
+        LEFT JOIN Users u ON u.user_id = l.actor_user_id
+        LEFT JOIN MedicalRecords mr ON mr.record_id = l.record_id
+        WHERE l.patient_id = ${patient_id}
+          AND l.accessed_at >= ${range.from} AND l.accessed_at < ${range.to}
+        ORDER BY l.accessed_at DESC, l.log_id DESC
+        OFFSET ${offset} ROWS FETCH NEXT ${pageSize} ROWS ONLY
+      `;
+
+    const [[{ total }], entries] = result.recordsets;
+    res.json({ page, page_size: pageSize, total, entries });
+  } catch (err) {
+    console.error("❌ Patient access log error:", err.message);
+    res.status(500).json({ error: "Failed to fetch access log" });
+  }
+});
+
 export default router;
@@ -2,42 +2,66 @@
 import express from "express";
 import sql from "mssql";
 import multer from "multer";
-import jwt from "jsonwebtoken";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import {
-  BlobServiceClient,
-  StorageSharedKeyCredential,
-  generateBlobSASQueryParameters,
-  BlobSASPermissions,
-} from "@azure/storage-blob";
+  resolveActor,
+  patientPolicies,
+  authorizePatient,
+  authorizeRecord,
+} from "../middleware/policies.js";
+import { normalizeConsent, createConsent } from "../utils/consent.js";
+import { logRecordAccess } from "../utils/accessLog.js";
+import {
+  EMERGENCY_ACCESS_MINUTES,
+  MIN_REASON_LENGTH,
+  getActiveEmergencyGrant,
+  openEmergencyAccess,
+  notifyEmergencyAccess,
+} from "../utils/emergencyAccess.js";
+import { getStorage, storageKey } from "../utils/storage/index.js";
+import {
+  RETENTION_DAYS,
+  createRecord,
+  addVersion,
+  listVersions,
+  getVersion,
+  softDeleteRecord,
+  restoreRecord,
+} from "../utils/recordVersions.js";
+import {
+  normalizeMetadata,
+  updateMetadata,
+  parseRecordQuery,
+  searchRecords,
+} from "../utils/recordMetadata.js";
+import { screenUpload } from "../utils/quarantine.js";
+import {
+  parseRange,
+  streamFile,
+  sendUnsatisfiable,
+} from "../utils/storage/serve.js";
 
 const router = express.Router();
 
 // ---------- auth ----------
-function auth(req, res, next) {
-  const token = (req.headers["authorization"] || "").split(" ")[1];
-  if (!token) return res.status(401).json({ error: "No token provided" });
-  try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET); // { user_id, role }
-    next();
-  } catch {
-    return res.status(401).json({ error: "Invalid token" });
-  }
-}
-const isRole = (r, ...allowed) =>
-  allowed.map((x) => x.toLowerCase()).includes((r || "").toLowerCase());
+// medical files: only roles holding records:access (never the front desk)
+router.use(authenticate, requirePermission("records:access"));
+
+const patientOnly = requirePermission("patient:self");
+// provider + relationship with :patientId (middleware/policies.js)
+const canReadPatient = [
+  requirePermission("records:read-patient"),
+  authorizePatient("records"),
+];
+// per-record rules incl. consent grants (middleware/policies.js)
+const canViewRecord = authorizeRecord("view");
+const canDeleteRecord = authorizeRecord("delete");
+const canUpdateRecord = authorizeRecord("update");
+const canRestoreRecord = authorizeRecord("restore");
+const canBreakGlass = requirePermission("records:emergency-access");
 
 // ---------- DB helpers ----------
-async function getPatientIdForUser(userId) {
-  const r =
-    await sql.query`SELECT patient_id FROM Patients WHERE user_id=${userId}`;
-  return r.recordset[0]?.patient_id || null;
-}
-async function getDoctorIdForUser(userId) {
-  const r =
-    await sql.query`SELECT doctor_id FROM Doctors WHERE user_id=${userId}`;
-  return r.recordset[0]?.doctor_id || null;
-}
-
 async function getDoctorIdByName(name) {
   const r = await sql.query`
     SELECT TOP 1 d.doctor_id
@@ -48,107 +72,78 @@ async function getDoctorIdByName(name) {
   return r.recordset[0]?.doctor_id || null;
 }
 
-// ---------- Azure Blob helpers ----------
-let _containerClient = null;
-let _sasSigner = null;
-
-/** Parse creds from env (supports connection string OR account/key) */
-function getStorageCredsFromEnv() {
-  const connStr =
-    process.env.AZURE_STORAGE_CONNECTION_STRING ||
-    process.env.STORAGE_CONNECTION_STRING ||
-    "";
-
-  let accountName = process.env.AZURE_STORAGE_ACCOUNT || "";
-  let accountKey = process.env.AZURE_STORAGE_KEY || "";
-
-  if ((!accountName || !accountKey) && connStr) {
-    // Try to parse AccountName/AccountKey from connection string
-    const parts = Object.fromEntries(
-      connStr.split(";").map((kv) => {
-        const [k, ...rest] = kv.split("=");
-        return [k?.trim(), rest.join("=").trim()];
-      })
-    );
-    accountName = accountName || parts.AccountName || "";
-    accountKey = accountKey || parts.AccountKey || "";
-  }
+// ---------- Storage helpers ----------
+// files go through utils/storage (Azure Blob or local disk, per STORAGE_DRIVER)
+const URL_MINUTES = 15;
 
-  return {
-    connectionString: connStr || null,
-    accountName: accountName || null,
-    accountKey: accountKey || null,
-  };
+/**
+ * Add file_name, a short-lived read URL and the streaming endpoint
+ * (GET /:recordId/content) to each MedicalRecords row
+ */
+async function withFileUrls(rows) {
+  const storage = getStorage();
+  return Promise.all(
+    rows.map(async (row) => {
+      const key = storageKey(row.file_path);
+      const file_url = await storage.signedUrl(key, URL_MINUTES);
+      const content_url = `/api/records/${row.record_id}/content`;
+      return { ...row, file_name: key || "file", file_url, content_url };
+    })
+  );
 }
 
-/** Lazy container client (private by default) */
-async function getContainerClient() {
-  if (_containerClient) return _containerClient;
+// stored keys are "<timestamp>-<safe name>"; give the download its name back
+const downloadName = (key) => key.replace(/^\d+-/, "") || "file";
 
-  const { connectionString, accountName, accountKey } =
-    getStorageCredsFromEnv();
-  if (!connectionString && !(accountName && accountKey)) {
-    throw new Error(
-      "Missing Azure Storage credentials. Provide AZURE_STORAGE_CONNECTION_STRING, " +
-        "or AZURE_STORAGE_ACCOUNT + AZURE_STORAGE_KEY."
-    );
-  }
-
-  const containerName = (
-    process.env.AZURE_BLOB_CONTAINER || "medical-files"
-  ).trim();
-
-  let blobServiceClient;
-  if (connectionString) {
-    blobServiceClient =
-      BlobServiceClient.fromConnectionString(connectionString);
-  } else {
-    // URL defaults to core.windows.net; if you use a different suffix, add AZURE_BLOB_ENDPOINT
-    const endpoint =
-      process.env.AZURE_BLOB_ENDPOINT ||
-      `https://${accountName}.blob.core.windows.net`;
-    const credential = new StorageSharedKeyCredential(accountName, accountKey);
-    blobServiceClient = new BlobServiceClient(endpoint, credential);
+/**
+ * Put an uploaded (multer) file into storage under a fresh key. `type` is
+ * the detected file type (screenUpload): it sets the stored content type, and
+ * its extension is added to names without it.
+ */
+async function storeUpload(uploaded, type) {
+  const storage = getStorage();
+  let name = safeName(uploaded.originalname || "file");
+  const lower = name.toLowerCase();
+  if (!type.extensions.some((ext) => lower.endsWith(ext))) {
+    name += type.extensions[0];
   }
+  const key = `${Date.now()}-${name}`;
+  const contentType = type.mime;
+  const { location } = await storage.put(key, uploaded.buffer, {
+    contentType,
+  });
+  return {
+    key,
+    location,
+    container: storage.container,
+    contentType,
+    size: uploaded.size,
+  };
+}
 
-  const containerClient = blobServiceClient.getContainerClient(containerName);
-  await containerClient.createIfNotExists(); // private by default (no {access:"private"})
+/**
+ * Stream the file at `filePath` (current or older version of req.record),
+ * honouring Range. Logs a Download for the first chunk.
+ */
+async function sendRecordFile(req, res, filePath) {
+  const storage = getStorage();
+  const key = storageKey(filePath);
 
-  _containerClient = containerClient;
-  return _containerClient;
-}
+  const file = await storage.stat(key);
+  if (!file) return res.status(404).json({ error: "File not found" });
 
-/** Lazy SAS signer (uses account+key either from env or parsed from conn string) */
-function getSasSigner() {
-  if (_sasSigner) return _sasSigner;
+  const range = parseRange(req.headers.range, file.size);
+  if (range?.unsatisfiable) return sendUnsatisfiable(res, file.size);
 
-  const { accountName, accountKey } = getStorageCredsFromEnv();
-  if (!accountName || !accountKey) {
-    throw new Error(
-      "Cannot sign SAS: missing AZURE_STORAGE_ACCOUNT/AZURE_STORAGE_KEY " +
-        "or non-parsable connection string."
-    );
+  // players fetch media in many ranges; log the start of a download only
+  if (!range || range.start === 0) {
+    await logRecordAccess(req, "Download", [req.record]);
   }
-  _sasSigner = new StorageSharedKeyCredential(accountName, accountKey);
-  return _sasSigner;
-}
 
-function createBlobSasUrl(containerClient, blobName, minutes = 15) {
-  const signer = getSasSigner();
-  const expiresOn = new Date();
-  expiresOn.setMinutes(expiresOn.getMinutes() + minutes);
-
-  const sas = generateBlobSASQueryParameters(
-    {
-      containerName: containerClient.containerName,
-      blobName,
-      permissions: BlobSASPermissions.parse("r"), // read-only
-      expiresOn,
-    },
-    signer
-  ).toString();
-
-  return `${containerClient.url}/${blobName}?${sas}`;
+  await streamFile(res, storage, key, file, range, {
+    fileName: downloadName(key),
+    disposition: req.query.download === "true" ? "attachment" : "inline",
+  });
 }
 
 function safeName(name = "file") {
@@ -175,23 +170,24 @@ const upload = multer({
  * - Provider: must pass form field patientId
  * Body: multipart/form-data with "file"
  */
-router.post("/upload", auth, upload.single("file"), async (req, res) => {
+router.post("/upload", upload.single("file"), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No file provided" });
 
     let patientId, doctorId;
+    const actor = await resolveActor(req);
 
-    if (isRole(req.user.role, "patient")) {
-      patientId = await getPatientIdForUser(req.user.user_id);
+    if (actor.patient_id) {
+      patientId = actor.patient_id;
 
       if (req.body.doctorName) {
         doctorId = await getDoctorIdByName(req.body.doctorName);
         if (!doctorId)
           return res.status(400).json({ error: "Doctor not found" });
       }
-    } else if (isRole(req.user.role, "provider")) {
+    } else if (actor.doctor_id) {
       patientId = Number(req.body.patientId);
-      doctorId = await getDoctorIdForUser(req.user.user_id);
+      doctorId = actor.doctor_id;
     } else {
       return res.status(403).json({ error: "Not allowed" });
     }
@@ -200,32 +196,46 @@ router.post("/upload", auth, upload.single("file"), async (req, res) => {
       return res.status(400).json({ error: "Missing patient or doctor info" });
     }
 
-    const containerClient = await getContainerClient();
+    // providers may only file records for patients they have seen
+    const denied = await patientPolicies.records(actor, patientId);
+    if (denied) return res.status(403).json({ error: denied });
 
-    const original = safeName(req.file.originalname || "file");
-    const blobName = `${Date.now()}-${original}`;
-    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+    // description, category, tags, date_of_service, appointment_id (optional)
+    const { meta, error } = await normalizeMetadata(req.body, patientId);
+    if (error) return res.status(400).json({ error });
 
-    await blockBlobClient.uploadData(req.file.buffer, {
-      blobHTTPHeaders: {
-        blobContentType: req.file.mimetype || "application/octet-stream",
-      },
+    // content type, allow-list and malware scan (utils/quarantine.js)
+    const screen = await screenUpload(req.file, {
+      uploadedBy: req.user.user_id,
+      patientId,
     });
+    if (screen.error) {
+      const { status, error, quarantineId } = screen;
+      return res.status(status).json({ error, quarantine_id: quarantineId });
+    }
 
-    // Pick up description if provided
-    const description = req.body.description || null;
+    const file = await storeUpload(req.file, screen.type);
 
-    await sql.query`
-      INSERT INTO MedicalRecords (patient_id, doctor_id, file_path, description, uploaded_at, blob_container)
-      VALUES (${patientId}, ${doctorId}, ${blockBlobClient.url}, ${description}, GETUTCDATE(), ${containerClient.containerName})
-    `;
+    const description = meta.description || null;
+
+    const record = await createRecord({
+      patientId,
+      doctorId,
+      description,
+      meta,
+      file,
+      uploadedBy: req.user.user_id,
+    });
+    await logRecordAccess(req, "Upload", [record]);
 
-    const file_url = createBlobSasUrl(containerClient, blobName, 15);
+    const file_url = await getStorage().signedUrl(file.key, URL_MINUTES);
 
     res.json({
       message: "Uploaded",
+      record_id: record.record_id,
+      version: 1,
       file_url,
-      file_name: original,
+      file_name: downloadName(file.key),
       description,
     });
   } catch (err) {
@@ -236,45 +246,28 @@ router.post("/upload", auth, upload.single("file"), async (req, res) => {
 
 /**
  * GET /api/records/my
- * - Patient only: list own files (with SAS URLs)
+ * - Patient only: list own files (with signed URLs)
+ * Query: category, tags=a,b, appointment_id, from/to (date of service),
+ * q (search description, file name, tags), sort, order, page, page_size
+ * (utils/recordMetadata.js). X-Total-Count carries the number of matches.
  */
-router.get("/my", auth, async (req, res) => {
+router.get("/my", patientOnly, async (req, res) => {
+  const { criteria, error } = parseRecordQuery(req.query);
+  if (error) return res.status(400).json({ error });
+
   try {
-    if (!isRole(req.user.role, "patient")) {
-      return res
-        .status(403)
-        .json({ error: "Only patients can view their files" });
-    }
-    const pid = await getPatientIdForUser(req.user.user_id);
+    const pid = (await resolveActor(req)).patient_id;
     if (!pid)
       return res.status(404).json({ error: "Patient record not found" });
 
-      const r = await sql.query`
-  SELECT 
-    mr.record_id,
-    mr.file_path,
-    mr.uploaded_at,
-    mr.description,
-    u.full_name AS doctor_name,
-    d.specialization
-  FROM MedicalRecords mr
-  LEFT JOIN Doctors d ON mr.doctor_id = d.doctor_id
-  LEFT JOIN Users u ON d.user_id = u.user_id
-  WHERE mr.patient_id = ${pid}
-  ORDER BY mr.uploaded_at DESC
-`;
-
-
-
-    const containerClient = await getContainerClient();
-    const rows = r.recordset.map((row) => {
-      const blobName = row.file_path.split("/").pop();
-      const file_url = createBlobSasUrl(containerClient, blobName, 15);
-      const file_name = blobName || "file";
-      return { ...row, file_name, file_url };
+    const { total, records } = await searchRecords({
+      patientId: pid,
+      criteria,
     });
+    await logRecordAccess(req, "List", records);
 
-    res.json(rows);
+    res.set("X-Total-Count", String(total));
+    res.json(await withFileUrls(records));
   } catch (err) {
     console.error("List my records error:", err);
     res.status(500).json({ error: "Failed to fetch records" });
@@ -282,157 +275,428 @@ router.get("/my", auth, async (req, res) => {
 });
 
 /**
- * GET /api/records/doctor/patient/:patientId
- * - Provider only: list a patient's files (must have any appointment with that patient)
+ * GET /api/records/deleted
+ * - Patient only: my deleted records that can still be restored
  */
-router.get("/doctor/patient/:patientId", auth, async (req, res) => {
+router.get("/deleted", patientOnly, async (req, res) => {
   try {
-    if (!isRole(req.user.role, "provider")) {
-      return res
-        .status(403)
-        .json({ error: "Only providers can view patient files" });
-    }
-
-    const patientId = Number(req.params.patientId);
-    if (!patientId) return res.status(400).json({ error: "Invalid patientId" });
-
-    const myDocId = await getDoctorIdForUser(req.user.user_id);
-    if (!myDocId)
-      return res.status(403).json({ error: "Doctor profile not found" });
+    const pid = (await resolveActor(req)).patient_id;
+    if (!pid)
+      return res.status(404).json({ error: "Patient record not found" });
 
-    // Verify relationship (at least one appointment)
-    const rel = await sql.query`
-      SELECT TOP 1 1 FROM Appointments
-      WHERE patient_id = ${patientId} AND doctor_id = ${myDocId}
+    const r = await sql.query`
+      SELECT record_id, description, uploaded_at, deleted_at,
+             DATEADD(day, ${RETENTION_DAYS}, deleted_at) AS restorable_until,
+             RIGHT(file_path, CHARINDEX('/', REVERSE(file_path) + '/') - 1) AS file_name
+      FROM MedicalRecords
+      WHERE patient_id = ${pid}
+        AND deleted_at > DATEADD(day, -${RETENTION_DAYS}, GETUTCDATE())
+      ORDER BY deleted_at DESC
     `;
-    if (!rel.recordset.length) {
-      return res.status(403).json({ error: "No relationship with patient" });
-    }
+    res.json(r.recordset);
+  } catch (err) {
+    console.error("List deleted records error:", err);
+    res.status(500).json({ error: "Failed to fetch deleted records" });
+  }
+});
 
-    const r = await sql.query`
-  SELECT record_id, file_path, uploaded_at
-  FROM MedicalRecords
-  WHERE patient_id = ${patientId} AND doctor_id = ${myDocId}
-  ORDER BY uploaded_at DESC
-`;
-
-    const containerClient = await getContainerClient();
-    const rows = r.recordset.map((row) => {
-      const blobName = row.file_path.split("/").pop();
-      const file_url = createBlobSasUrl(containerClient, blobName, 15);
-      const file_name = blobName || "file";
-      return { ...row, file_name, file_url };
+/**
+ * GET /api/records/doctor/patient/:patientId
+ * - Provider only (seen the patient or holds a consent grant): the patient's
+ *   files filed by / addressed to me plus those the patient has shared with me
+ * - Under emergency access (POST /emergency-access): all of the patient's files
+ * Same filters, search, sorting and paging as /my.
+ */
+router.get("/doctor/patient/:patientId", canReadPatient, async (req, res) => {
+  const { criteria, error } = parseRecordQuery(req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const { total, records } = await searchRecords({
+      patientId: req.patientId,
+      doctorId: req.actor.doctor_id,
+      criteria,
     });
+    await logRecordAccess(req, "List", records);
 
-    res.json(rows);
+    res.set("X-Total-Count", String(total));
+    res.json(await withFileUrls(records));
   } catch (err) {
     console.error("Doctor list records error:", err);
     res.status(500).json({ error: "Failed to fetch records" });
   }
 });
 
+/**
+ * PATCH /api/records/:recordId
+ * Edit metadata: { description?, category?, tags?, date_of_service?,
+ * appointment_id? } — only the fields sent change; null clears one.
+ * Patient owner or the provider who filed it.
+ */
+router.patch("/:recordId", canUpdateRecord, async (req, res) => {
+  const body = req.body || {};
+
+  try {
+    // may look up the appointment, so inside the try
+    const patientId = req.record.patient_id;
+    const { meta, error } = await normalizeMetadata(body, patientId);
+    if (error) return res.status(400).json({ error });
+
+    await updateMetadata(req.record.record_id, meta);
+    await logRecordAccess(req, "Update", [req.record]);
+    res.json({ message: "Record updated" });
+  } catch (err) {
+    console.error("❌ Update record error:", err);
+    res.status(500).json({ error: "Failed to update record" });
+  }
+});
+
 /**
  * DELETE /api/records/:recordId
  * - Patient can delete own record
- * - Provider can delete if they have any appointment with that patient
+ * - Provider can delete records they filed (shared access is read-only)
+ * Soft delete: the patient (or an admin) can restore it for RETENTION_DAYS,
+ * then the purge job removes it and all its files for good.
  */
-router.delete("/:recordId", auth, async (req, res) => {
+router.delete("/:recordId", canDeleteRecord, async (req, res) => {
   try {
-    const recordId = Number(req.params.recordId);
-    if (!recordId) return res.status(400).json({ error: "Invalid recordId" });
+    const deleted = await softDeleteRecord(
+      req.record.record_id,
+      req.user.user_id
+    );
+    if (!deleted) return res.status(404).json({ error: "Record not found" });
 
-    const rec = await sql.query`
-      SELECT TOP 1 record_id, patient_id, file_path
-      FROM MedicalRecords
-      WHERE record_id = ${recordId}
+    await logRecordAccess(req, "Delete", [req.record]);
+    const restorable_until = new Date(
+      Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000
+    );
+    res.json({ message: "Record deleted", restorable_until });
+  } catch (err) {
+    console.error("Delete record error:", err);
+    res.status(500).json({ error: "Failed to delete record" });
+  }
+});
+
+/**
+ * OPTIONAL: GET /api/records/signed/:recordId
+ * Returns a fresh signed URL for a specific record (useful if the old one expired).
+ * Owner, the provider it belongs to, or a provider it has been shared with.
+ */
+router.get("/signed/:recordId", canViewRecord, async (req, res) => {
+  try {
+    const { file_path } = req.record;
+
+    const key = storageKey(file_path);
+    const file_url = await getStorage().signedUrl(key, URL_MINUTES);
+    await logRecordAccess(req, "SignedUrl", [req.record]);
+
+    res.json({ file_url });
+  } catch (err) {
+    console.error("Signed URL error:", err);
+    res.status(500).json({ error: "Failed to create signed URL" });
+  }
+});
+
+/**
+ * GET /api/records/:recordId/content?download=true
+ * Streams the file through this server (no storage URL reaches the client).
+ * Supports Range requests (206) for large scans and video; download=true
+ * asks the browser to save rather than display it.
+ * Same access rules as /signed/:recordId.
+ */
+router.get("/:recordId/content", canViewRecord, async (req, res) => {
+  try {
+    await sendRecordFile(req, res, req.record.file_path);
+  } catch (err) {
+    console.error("Download record error:", err);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ error: "Failed to download record" });
+  }
+});
+
+// =======================================================
+//               VERSIONS & RESTORE
+// =======================================================
+
+/**
+ * POST /api/records/:recordId/versions   (multipart: file, note?)
+ * Upload a corrected / newer file for an existing record; it becomes the
+ * current version. Patient owner or the provider who filed it.
+ */
+router.post(
+  "/:recordId/versions",
+  canUpdateRecord,
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: "No file provided" });
+
+      const screen = await screenUpload(req.file, {
+        uploadedBy: req.user.user_id,
+        patientId: req.record.patient_id,
+        recordId: req.record.record_id,
+      });
+      if (screen.error) {
+        const { status, error, quarantineId } = screen;
+        return res.status(status).json({ error, quarantine_id: quarantineId });
+      }
+
+      const file = await storeUpload(req.file, screen.type);
+      const version = await addVersion(req.record.record_id, file, {
+        note: req.body.note || null,
+        uploadedBy: req.user.user_id,
+      });
+      if (!version) {
+        // deleted meanwhile; don't leave the new file behind
+        await getStorage().delete(file.key);
+        return res.status(404).json({ error: "Record not found" });
+      }
+      await logRecordAccess(req, "Upload", [req.record]);
+
+      res.status(201).json({
+        message: "New version uploaded",
+        record_id: req.record.record_id,
+        version,
+        file_name: downloadName(file.key),
+      });
+    } catch (err) {
+      console.error("Upload version error:", err);
+      res.status(500).json({ error: "Failed to upload new version" });
+    }
+  }
+);
+
+/**
+ * GET /api/records/:recordId/versions
+ * All versions, newest first (the first one is current). Same access as
+ * viewing the record.
+ */
+router.get("/:recordId/versions", canViewRecord, async (req, res) => {
+  try {
+    const recordId = req.record.record_id;
+    const versions = await listVersions(recordId);
+    await logRecordAccess(req, "List", [req.record]);
+
+    res.json(
+      versions.map((v) => ({
+        ...v,
+        content_url: `/api/records/${recordId}/versions/${v.version_no}/content`,
+      }))
+    );
+  } catch (err) {
+    console.error("List versions error:", err);
+    res.status(500).json({ error: "Failed to fetch versions" });
+  }
+});
+
+/**
+ * GET /api/records/:recordId/versions/:versionNo/content?download=true
+ * Stream one version (Range supported, as for /:recordId/content).
+ */
+router.get(
+  "/:recordId/versions/:versionNo/content",
+  canViewRecord,
+  async (req, res) => {
+    try {
+      const versionNo = Number(req.params.versionNo);
+      if (!Number.isInteger(versionNo) || versionNo < 1)
+        return res.status(400).json({ error: "Invalid version" });
+
+      const version = await getVersion(req.record.record_id, versionNo);
+      if (!version) return res.status(404).json({ error: "Version not found" });
+
+      await sendRecordFile(req, res, version.file_path);
+    } catch (err) {
+      console.error("Download version error:", err);
+      if (res.headersSent) return res.destroy();
+      res.status(500).json({ error: "Failed to download version" });
+    }
+  }
+);
+
+/**
+ * POST /api/records/:recordId/restore
+ * - Patient only: undo the deletion of my record within the retention window
+ */
+router.post("/:recordId/restore", canRestoreRecord, async (req, res) => {
+  try {
+    const restored = await restoreRecord(req.record.record_id);
+    if (!restored) {
+      const error = "Retention window has passed; record cannot be restored";
+      return res.status(410).json({ error });
+    }
+
+    await logRecordAccess(req, "Restore", [req.record]);
+    res.json({ message: "Record restored" });
+  } catch (err) {
+    console.error("Restore record error:", err);
+    res.status(500).json({ error: "Failed to restore record" });
+  }
+});
+
+// =======================================================
+//             EMERGENCY ACCESS (provider)
+// =======================================================
+
+/**
+ * POST /api/records/emergency-access
+ * Break the glass: a provider with no relationship or consent gets all of the
+ * patient's records for EMERGENCY_ACCESS_MINUTES. The patient and admins are
+ * emailed and the grant waits for an admin review.
+ * Body: { patient_id, reason } (reason: at least MIN_REASON_LENGTH chars)
+ */
+router.post("/emergency-access", canBreakGlass, async (req, res) => {
+  const patientId = Number(req.body?.patient_id);
+  const reason = (req.body?.reason || "").trim();
+  if (!patientId)
+    return res.status(400).json({ error: "patient_id is required" });
+  if (reason.length < MIN_REASON_LENGTH) {
+    return res.status(400).json({
+      error: `reason must be at least ${MIN_REASON_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const doctorId = (await resolveActor(req)).doctor_id;
+    if (!doctorId)
+      return res.status(404).json({ error: "Doctor profile not found" });
+
+    const p = await sql.query`
+      SELECT patient_id FROM Patients WHERE patient_id = ${patientId}
     `;
-    if (!rec.recordset.length)
-      return res.status(404).json({ error: "Record not found" });
-
-    const { patient_id, file_path } = rec.recordset[0];
-
-    if (isRole(req.user.role, "patient")) {
-      const myPid = await getPatientIdForUser(req.user.user_id);
-      if (myPid !== patient_id)
-        return res.status(403).json({ error: "Not allowed" });
-    } else if (isRole(req.user.role, "provider")) {
-      const myDocId = await getDoctorIdForUser(req.user.user_id);
-      if (!myDocId)
-        return res.status(403).json({ error: "Doctor profile not found" });
-      const hasRel = await sql.query`
-        SELECT TOP 1 1 FROM Appointments
-        WHERE patient_id = ${patient_id} AND doctor_id = ${myDocId}
-      `;
-      if (!hasRel.recordset.length)
-        return res.status(403).json({ error: "Not allowed" });
-    } else {
-      return res.status(403).json({ error: "Not allowed" });
+    if (!p.recordset.length)
+      return res.status(404).json({ error: "Patient not found" });
+
+    const active = await getActiveEmergencyGrant(doctorId, patientId);
+    if (active) {
+      return res.status(409).json({
+        error: "Emergency access is already active for this patient",
+        grant_id: active.grant_id,
+        expires_at: active.expires_at,
+      });
     }
 
-    // Best-effort blob delete (container stays private)
+    const grant = await openEmergencyAccess(doctorId, patientId, reason);
     try {
-      const containerClient = await getContainerClient();
-      const blobName = file_path.split("/").pop();
-      const blobClient = containerClient.getBlockBlobClient(blobName);
-      await blobClient.deleteIfExists();
+      await notifyEmergencyAccess(grant);
     } catch (e) {
-      console.warn("Blob delete warning:", e?.message);
+      console.warn("Emergency access notification failed:", e?.message || e);
     }
 
-    await sql.query`DELETE FROM MedicalRecords WHERE record_id = ${recordId}`;
-    res.json({ message: "Record deleted" });
+    res.status(201).json({
+      grant_id: grant.grant_id,
+      patient_id: grant.patient_id,
+      granted_at: grant.granted_at,
+      expires_at: grant.expires_at,
+      minutes: EMERGENCY_ACCESS_MINUTES,
+    });
   } catch (err) {
-    console.error("Delete record error:", err);
-    res.status(500).json({ error: "Failed to delete record" });
+    console.error("Emergency access error:", err);
+    res.status(500).json({ error: "Failed to open emergency access" });
   }
 });
 
+// =======================================================
+//                 CONSENT GRANTS (patient)
+// =======================================================
+
 /**
- * OPTIONAL: GET /api/records/signed/:recordId
- * Returns a fresh SAS URL for a specific record (useful if the old one expired).
+ * POST /api/records/consents
+ * Share records with a doctor for a period.
+ * Body: { doctor_id, record_ids?: [..] (omit = all records),
+ *         starts_at?: ISO (default now), expires_at?: ISO (omit = until revoked) }
  */
-router.get("/signed/:recordId", auth, async (req, res) => {
+router.post("/consents", patientOnly, async (req, res) => {
   try {
-    const recordId = Number(req.params.recordId);
-    if (!recordId) return res.status(400).json({ error: "Invalid recordId" });
+    const patientId = (await resolveActor(req)).patient_id;
+    if (!patientId)
+      return res.status(404).json({ error: "Patient record not found" });
 
-    const rec = await sql.query`
-      SELECT TOP 1 record_id, patient_id, file_path
-      FROM MedicalRecords
-      WHERE record_id = ${recordId}
+    const { grant, error } = await normalizeConsent(req.body, patientId);
+    if (error) return res.status(400).json({ error });
+
+    const consent_id = await createConsent(patientId, grant);
+    res.status(201).json({
+      consent_id,
+      doctor_id: grant.doctorId,
+      scope: grant.recordIds ? "Selected" : "All",
+      record_ids: grant.recordIds,
+      starts_at: grant.startsAt,
+      expires_at: grant.expiresAt,
+    });
+  } catch (err) {
+    console.error("Create consent error:", err);
+    res.status(500).json({ error: "Failed to share records" });
+  }
+});
+
+/**
+ * GET /api/records/consents?active=true
+ * My grants (newest first), with the doctor and the records each covers.
+ * With active=true: only grants in effect now, i.e. who can currently see
+ * my records beyond the ones filed by / addressed to them.
+ */
+router.get("/consents", patientOnly, async (req, res) => {
+  try {
+    const patientId = (await resolveActor(req)).patient_id;
+    if (!patientId)
+      return res.status(404).json({ error: "Patient record not found" });
+    const activeOnly = req.query.active === "true";
+
+    const r = await sql.query`
+      SELECT c.consent_id, c.doctor_id, u.full_name AS doctor_name,
+             d.specialization, c.scope, c.starts_at, c.expires_at,
+             c.created_at, c.revoked_at,
+             CAST(CASE WHEN EXISTS (
+               SELECT 1 FROM ActiveRecordConsents ac
+               WHERE ac.consent_id = c.consent_id
+             ) THEN 1 ELSE 0 END AS BIT) AS active,
+             (SELECT STRING_AGG(CAST(i.record_id AS VARCHAR(12)), ',')
+              FROM RecordConsentItems i
+              WHERE i.consent_id = c.consent_id) AS record_ids
+      FROM RecordConsents c
+      JOIN Doctors d ON d.doctor_id = c.doctor_id
+      JOIN Users u   ON u.user_id = d.user_id
+      WHERE c.patient_id = ${patientId}
+      ORDER BY c.created_at DESC
     `;
-    if (!rec.recordset.length)
-      return res.status(404).json({ error: "Record not found" });
-
-    const { patient_id, file_path } = rec.recordset[0];
-
-    // same authorization rules as DELETE:
-    if (isRole(req.user.role, "patient")) {
-      const myPid = await getPatientIdForUser(req.user.user_id);
-      if (myPid !== patient_id)
-        return res.status(403).json({ error: "Not allowed" });
-    } else if (isRole(req.user.role, "provider")) {
-      const myDocId = await getDoctorIdForUser(req.user.user_id);
-      if (!myDocId)
-        return res.status(403).json({ error: "Doctor profile not found" });
-      const hasRel = await sql.query`
-        SELECT TOP 1 1 FROM Appointments
-        WHERE patient_id = ${patient_id} AND doctor_id = ${myDocId}
-      `;
-      if (!hasRel.recordset.length)
-        return res.status(403).json({ error: "Not allowed" });
-    } else {
-      return res.status(403).json({ error: "Not allowed" });
-    }
 
-    const containerClient = await getContainerClient();
-    const blobName = file_path.split("/").pop();
-    const file_url = createBlobSasUrl(containerClient, blobName, 15);
+    // record_ids: null for scope "All"
+    const toIds = (csv) => (csv ? csv.split(",").map(Number) : null);
+    const rows = r.recordset
+      .filter((row) => !activeOnly || row.active)
+      .map((row) => ({ ...row, record_ids: toIds(row.record_ids) }));
+    res.json(rows);
+  } catch (err) {
+    console.error("List consents error:", err);
+    res.status(500).json({ error: "Failed to fetch consents" });
+  }
+});
+
+/**
+ * DELETE /api/records/consents/:consentId
+ * Revoke a grant immediately.
+ */
+router.delete("/consents/:consentId", patientOnly, async (req, res) => {
+  try {
+    const consentId = Number(req.params.consentId);
+    if (!consentId) return res.status(400).json({ error: "Invalid consentId" });
 
-    res.json({ file_url });
+    const patientId = (await resolveActor(req)).patient_id;
+    const r = await sql.query`
+      UPDATE RecordConsents SET revoked_at = GETUTCDATE()
+      WHERE consent_id = ${consentId}
+        AND patient_id = ${patientId}
+        AND revoked_at IS NULL;
+      SELECT @@ROWCOUNT AS affected;
+    `;
+    if (r.recordset[0].affected === 0) {
+      return res.status(404).json({ error: "Active consent not found" });
+    }
+    res.json({ message: "Access revoked" });
   } catch (err) {
-    console.error("Signed URL error:", err);
-    res.status(500).json({ error: "Failed to create signed URL" });
+    console.error("Revoke consent error:", err);
+    res.status(500).json({ error: "Failed to revoke consent" });
   }
 });
 
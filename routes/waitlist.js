@@ -0,0 +1,291 @@
+// routes/waitlist.js
+import express from "express";
+import sql from "mssql";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import {
+  addDays,
+  validateRequestedSlot,
+  weekdayOf,
+} from "../utils/schedule.js";
+import {
+  scheduleAppointment,
+  sendBookingConfirmation,
+  bookingErrorResponse,
+} from "../utils/booking.js";
+import { releaseOffer } from "../utils/waitlist.js";
+import { noShowBookingBlock } from "../utils/noShow.js";
+
+const router = express.Router();
+
+// role permissions live in middleware/permissions.js
+const patientOnly = requirePermission("appointments:book-own");
+
+// longest date range a single waitlist entry may cover
+const MAX_WAIT_DAYS = 90;
+
+async function getPatientIdForUser(userId) {
+  const r =
+    await sql.query`SELECT patient_id FROM Patients WHERE user_id=${userId}`;
+  return r.recordset[0]?.patient_id || null;
+}
+
+/**
+ * Patient: join a doctor's waitlist
+ * POST /api/waitlist
+ * Body: { doctor_id, from_date: "YYYY-MM-DD", to_date: "YYYY-MM-DD" }
+ */
+router.post("/", authenticate, patientOnly, async (req, res) => {
+  try {
+    const { doctor_id, from_date, to_date } = req.body || {};
+    if (
+      !doctor_id ||
+      weekdayOf(from_date) === null ||
+      weekdayOf(to_date) === null
+    ) {
+      return res.status(400).json({
+        error: "doctor_id, from_date and to_date (YYYY-MM-DD) are required",
+      });
+    }
+    if (to_date < from_date || to_date > addDays(from_date, MAX_WAIT_DAYS)) {
+      return res.status(400).json({
+        error: `to_date must be on or after from_date, within ${MAX_WAIT_DAYS} days`,
+      });
+    }
+
+    const patientId = await getPatientIdForUser(req.user.user_id);
+    if (!patientId) {
+      return res.status(404).json({ error: "Patient record not found" });
+    }
+
+    // the waitlist books online too: same no-show policy as /api/appointments
+    const blocked = await noShowBookingBlock(patientId);
+    if (blocked) return res.status(403).json({ error: blocked });
+
+    const doc = await sql.query`
+      SELECT doctor_id FROM Doctors WHERE doctor_id = ${Number(doctor_id)}
+    `;
+    if (!doc.recordset.length) {
+      return res.status(404).json({ error: "Doctor not found" });
+    }
+
+    const dup = await sql.query`
+      SELECT TOP 1 1 FROM Waitlist
+      WHERE patient_id = ${patientId} AND doctor_id = ${Number(doctor_id)}
+        AND status IN ('Waiting', 'Offered')
+    `;
+    if (dup.recordset.length) {
+      return res
+        .status(400)
+        .json({ error: "You are already on this doctor's waitlist" });
+    }
+
+    const ins = await sql.query`
+      INSERT INTO Waitlist (patient_id, doctor_id, from_date, to_date)
+      OUTPUT INSERTED.waitlist_id
+      VALUES (${patientId}, ${Number(doctor_id)}, ${from_date}, ${to_date})
+    `;
+    res.status(201).json({ waitlist_id: ins.recordset[0].waitlist_id });
+  } catch (err) {
+    console.error("❌ Join waitlist error:", err.message);
+    res.status(500).json({ error: "Failed to join waitlist" });
+  }
+});
+
+/**
+ * Patient: my waitlist entries with any pending offer
+ * GET /api/waitlist/my
+ */
+router.get("/my", authenticate, patientOnly, async (req, res) => {
+  try {
+    const patientId = await getPatientIdForUser(req.user.user_id);
+    if (!patientId) {
+      return res.status(404).json({ error: "Patient record not found" });
+    }
+
+    const r = await sql.query`
+      SELECT w.waitlist_id, w.doctor_id, u.full_name AS doctor_name,
+             CONVERT(char(10), w.from_date, 23) AS from_date,
+             CONVERT(char(10), w.to_date, 23)   AS to_date,
+             w.status, w.created_at,
+             o.offer_id, o.slot_date AS offer_slot, o.expires_at AS offer_expires_at
+      FROM Waitlist w
+      JOIN Doctors d ON w.doctor_id = d.doctor_id
+      JOIN Users u   ON d.user_id   = u.user_id
+      LEFT JOIN WaitlistOffers o
+        ON o.waitlist_id = w.waitlist_id
+       AND o.status = 'Pending'
+       AND o.expires_at > GETUTCDATE()
+      WHERE w.patient_id = ${patientId}
+        AND w.status IN ('Waiting', 'Offered')
+      ORDER BY w.created_at DESC
+    `;
+    res.json(r.recordset);
+  } catch (err) {
+    console.error("❌ My waitlist error:", err.message);
+    res.status(500).json({ error: "Failed to fetch waitlist" });
+  }
+});
+
+/**
+ * Patient: leave a waitlist (a pending offer goes to the next patient)
+ * DELETE /api/waitlist/:waitlistId
+ */
+router.delete("/:waitlistId", authenticate, patientOnly, async (req, res) => {
+  try {
+    const patientId = await getPatientIdForUser(req.user.user_id);
+    const waitlistId = Number(req.params.waitlistId);
+
+    const r = await sql.query`
+        UPDATE Waitlist SET status = 'Cancelled'
+        WHERE waitlist_id = ${waitlistId}
+          AND patient_id = ${patientId}
+          AND status IN ('Waiting', 'Offered');
+        SELECT @@ROWCOUNT AS affected;
+      `;
+    if (r.recordset[0].affected === 0) {
+      return res.status(404).json({ error: "Waitlist entry not found" });
+    }
+
+    const pending = await sql.query`
+        SELECT offer_id FROM WaitlistOffers
+        WHERE waitlist_id = ${waitlistId} AND status = 'Pending'
+      `;
+    for (const { offer_id } of pending.recordset) {
+      await releaseOffer(offer_id, "Declined");
+    }
+
+    res.json({ message: "Removed from waitlist" });
+  } catch (err) {
+    console.error("❌ Leave waitlist error:", err.message);
+    res.status(500).json({ error: "Failed to leave waitlist" });
+  }
+});
+
+// Pending offer owned by this patient, or null
+async function getMyPendingOffer(offerId, patientId) {
+  const r = await sql.query`
+    SELECT o.offer_id, o.waitlist_id, o.doctor_id, o.slot_date, o.expires_at,
+           CASE WHEN o.expires_at > GETUTCDATE() THEN 0 ELSE 1 END AS is_expired
+    FROM WaitlistOffers o
+    JOIN Waitlist w ON o.waitlist_id = w.waitlist_id
+    WHERE o.offer_id = ${offerId}
+      AND w.patient_id = ${patientId}
+      AND o.status = 'Pending'
+  `;
+  return r.recordset[0] || null;
+}
+
+/**
+ * Patient: accept a held slot (books it like POST /api/appointments/my)
+ * POST /api/waitlist/offers/:offerId/accept
+ */
+router.post(
+  "/offers/:offerId/accept",
+  authenticate,
+  patientOnly,
+  async (req, res) => {
+    const offerId = Number(req.params.offerId);
+    let claimed = false;
+    try {
+      const patientId = await getPatientIdForUser(req.user.user_id);
+      const offer = await getMyPendingOffer(offerId, patientId);
+      if (!offer) return res.status(404).json({ error: "Offer not found" });
+      if (offer.is_expired) {
+        return res.status(410).json({ error: "This offer has expired" });
+      }
+
+      const blocked = await noShowBookingBlock(patientId);
+      if (blocked) return res.status(403).json({ error: blocked });
+
+      // slot_date is clinic wall time in the UTC fields
+      const iso = offer.slot_date.toISOString();
+      const dateOnly = iso.slice(0, 10);
+      const timeOnly = iso.slice(11, 19);
+
+      const check = await validateRequestedSlot(
+        offer.doctor_id,
+        dateOnly,
+        timeOnly,
+        { ignoreOfferId: offerId }
+      );
+      if (check.error) {
+        return res.status(check.status).json({ error: check.error });
+      }
+
+      // claim the offer first so a double click cannot book twice
+      const claim = await sql.query`
+        UPDATE WaitlistOffers SET status = 'Accepted'
+        WHERE offer_id = ${offerId} AND status = 'Pending';
+        SELECT @@ROWCOUNT AS affected;
+      `;
+      if (claim.recordset[0].affected === 0) {
+        return res.status(409).json({ error: "Offer is no longer pending" });
+      }
+      claimed = true;
+
+      const appointment_id = await scheduleAppointment({
+        patientId,
+        doctorId: offer.doctor_id,
+        dateOnly,
+        timeOnly,
+        bookedBy: req.user.user_id,
+        source: "Waitlist",
+        reason: `Waitlist offer #${offerId}`,
+      });
+
+      await sql.query`
+        UPDATE WaitlistOffers SET appointment_id = ${appointment_id}
+        WHERE offer_id = ${offerId};
+        UPDATE Waitlist SET status = 'Booked'
+        WHERE waitlist_id = ${offer.waitlist_id};
+      `;
+
+      await sendBookingConfirmation(appointment_id);
+
+      res.status(201).json({ appointment_id });
+    } catch (err) {
+      if (claimed) {
+        // booking failed: hand the offer back so it can expire/roll normally
+        try {
+          await sql.query`
+            UPDATE WaitlistOffers SET status = 'Pending'
+            WHERE offer_id = ${offerId} AND appointment_id IS NULL
+          `;
+        } catch {}
+      }
+      const spErr = bookingErrorResponse(err);
+      if (spErr) return res.status(spErr.status).json({ error: spErr.error });
+      console.error("❌ Accept offer error:", err);
+      res.status(500).json({ error: "Failed to accept offer" });
+    }
+  }
+);
+
+/**
+ * Patient: pass on a held slot; it rolls to the next patient
+ * POST /api/waitlist/offers/:offerId/decline
+ */
+router.post(
+  "/offers/:offerId/decline",
+  authenticate,
+  patientOnly,
+  async (req, res) => {
+    try {
+      const patientId = await getPatientIdForUser(req.user.user_id);
+      const offer = await getMyPendingOffer(
+        Number(req.params.offerId),
+        patientId
+      );
+      if (!offer) return res.status(404).json({ error: "Offer not found" });
+
+      await releaseOffer(offer.offer_id, "Declined");
+      res.json({ message: "Offer declined" });
+    } catch (err) {
+      console.error("❌ Decline offer error:", err.message);
+      res.status(500).json({ error: "Failed to decline offer" });
+    }
+  }
+);
+
+export default router;
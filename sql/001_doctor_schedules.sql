@@ -0,0 +1,23 @@
+-- 001_doctor_schedules.sql
+-- Per-doctor weekly schedule templates (replaces the hard-coded 10:00–17:00 hours).
+-- Times are stored as 'HH:mm' strings in clinic local time to avoid TZ conversions.
+
+CREATE TABLE DoctorSchedules (
+  schedule_id   INT IDENTITY(1,1) PRIMARY KEY,
+  doctor_id     INT NOT NULL REFERENCES Doctors(doctor_id),
+  weekday       TINYINT NOT NULL,            -- 0 = Sun ... 6 = Sat
+  start_time    VARCHAR(5) NOT NULL,         -- 'HH:mm'
+  end_time      VARCHAR(5) NOT NULL,         -- 'HH:mm'
+  slot_minutes  INT NOT NULL DEFAULT 30,
+  updated_at    DATETIME NOT NULL DEFAULT GETUTCDATE(),
+  CONSTRAINT UQ_DoctorSchedules_Day UNIQUE (doctor_id, weekday),
+  CONSTRAINT CK_DoctorSchedules_Weekday CHECK (weekday BETWEEN 0 AND 6),
+  CONSTRAINT CK_DoctorSchedules_Slot CHECK (slot_minutes BETWEEN 5 AND 240)
+);
+
+CREATE TABLE DoctorScheduleBreaks (
+  break_id      INT IDENTITY(1,1) PRIMARY KEY,
+  schedule_id   INT NOT NULL REFERENCES DoctorSchedules(schedule_id) ON DELETE CASCADE,
+  start_time    VARCHAR(5) NOT NULL,
+  end_time      VARCHAR(5) NOT NULL
+);
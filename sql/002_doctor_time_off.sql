@@ -0,0 +1,24 @@
+-- 002_doctor_time_off.sql
+-- Provider time-off blocks (vacation, conferences, partial days) and a
+-- clinic-wide holiday calendar. start_at/end_at are clinic local wall time,
+-- same convention as Appointments.appointment_date. end_at is exclusive.
+
+CREATE TABLE DoctorTimeOff (
+  time_off_id   INT IDENTITY(1,1) PRIMARY KEY,
+  doctor_id     INT NOT NULL REFERENCES Doctors(doctor_id),
+  start_at      DATETIME NOT NULL,
+  end_at        DATETIME NOT NULL,
+  all_day       BIT NOT NULL DEFAULT 1,
+  reason        NVARCHAR(255) NULL,
+  created_at    DATETIME NOT NULL DEFAULT GETUTCDATE(),
+  CONSTRAINT CK_DoctorTimeOff_Range CHECK (end_at > start_at)
+);
+
+CREATE INDEX IX_DoctorTimeOff_Doctor ON DoctorTimeOff (doctor_id, start_at, end_at);
+
+CREATE TABLE ClinicHolidays (
+  holiday_id    INT IDENTITY(1,1) PRIMARY KEY,
+  holiday_date  DATE NOT NULL UNIQUE,
+  name          NVARCHAR(100) NOT NULL,
+  created_at    DATETIME NOT NULL DEFAULT GETUTCDATE()
+);
@@ -0,0 +1,14 @@
+-- 003_appointment_reschedules.sql
+-- One row per move of an appointment, linking it back to the slot it left.
+
+CREATE TABLE AppointmentReschedules (
+  reschedule_id     INT IDENTITY(1,1) PRIMARY KEY,
+  appointment_id    INT NOT NULL REFERENCES Appointments(appointment_id),
+  previous_date     DATETIME NOT NULL,
+  new_date          DATETIME NOT NULL,
+  rescheduled_by    INT NOT NULL REFERENCES Users(user_id),
+  reason            NVARCHAR(255) NULL,
+  created_at        DATETIME NOT NULL DEFAULT GETUTCDATE()
+);
+
+CREATE INDEX IX_AppointmentReschedules_Appt ON AppointmentReschedules (appointment_id);
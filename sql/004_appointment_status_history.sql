@@ -0,0 +1,21 @@
+-- 004_appointment_status_history.sql
+-- Appointment lifecycle: Requested -> Scheduled -> CheckedIn -> InProgress -> Completed,
+-- plus Cancelled and NoShow. Transitions are enforced in utils/appointmentStatus.js;
+-- this table is the audit trail of every change.
+--
+-- NOTE: if Appointments.status has a CHECK constraint limited to
+-- Scheduled/Completed/Cancelled, drop/recreate it to allow the new values:
+--   ALTER TABLE Appointments ADD CONSTRAINT CK_Appointments_Status CHECK (status IN
+--     ('Requested','Scheduled','CheckedIn','InProgress','Completed','Cancelled','NoShow'));
+
+CREATE TABLE AppointmentStatusHistory (
+  history_id      INT IDENTITY(1,1) PRIMARY KEY,
+  appointment_id  INT NOT NULL REFERENCES Appointments(appointment_id),
+  from_status     VARCHAR(20) NULL,          -- NULL for the initial booking
+  to_status       VARCHAR(20) NOT NULL,
+  changed_by      INT NULL REFERENCES Users(user_id),  -- NULL for system jobs
+  reason          NVARCHAR(255) NULL,
+  changed_at      DATETIME NOT NULL DEFAULT GETUTCDATE()
+);
+
+CREATE INDEX IX_AppointmentStatusHistory_Appt ON AppointmentStatusHistory (appointment_id, changed_at);
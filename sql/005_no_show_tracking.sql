@@ -0,0 +1,7 @@
+-- 005_no_show_tracking.sql
+-- Lifetime no-show counter maintained by the no-show job in index.js.
+-- The booking policy itself counts NoShow appointments in a rolling window.
+
+ALTER TABLE Patients ADD no_show_count INT NOT NULL DEFAULT 0;
+
+CREATE INDEX IX_Appointments_Status_Date ON Appointments (status, appointment_date);
@@ -0,0 +1,29 @@
+-- 006_waitlist.sql
+-- Patients waiting for a slot with a doctor in a date range, and the time-limited
+-- offers made to them when an appointment is cancelled.
+
+CREATE TABLE Waitlist (
+  waitlist_id   INT IDENTITY(1,1) PRIMARY KEY,
+  patient_id    INT NOT NULL REFERENCES Patients(patient_id),
+  doctor_id     INT NOT NULL REFERENCES Doctors(doctor_id),
+  from_date     DATE NOT NULL,
+  to_date       DATE NOT NULL,
+  status        VARCHAR(20) NOT NULL DEFAULT 'Waiting',  -- Waiting | Offered | Booked | Cancelled
+  created_at    DATETIME NOT NULL DEFAULT GETUTCDATE(),
+  CONSTRAINT CK_Waitlist_Range CHECK (to_date >= from_date)
+);
+
+CREATE INDEX IX_Waitlist_Doctor ON Waitlist (doctor_id, status, created_at);
+
+CREATE TABLE WaitlistOffers (
+  offer_id        INT IDENTITY(1,1) PRIMARY KEY,
+  waitlist_id     INT NOT NULL REFERENCES Waitlist(waitlist_id),
+  doctor_id       INT NOT NULL REFERENCES Doctors(doctor_id),
+  slot_date       DATETIME NOT NULL,                      -- clinic wall time, like appointment_date
+  status          VARCHAR(20) NOT NULL DEFAULT 'Pending', -- Pending | Accepted | Declined | Expired
+  expires_at      DATETIME NOT NULL,                      -- UTC
+  appointment_id  INT NULL REFERENCES Appointments(appointment_id),
+  created_at      DATETIME NOT NULL DEFAULT GETUTCDATE()
+);
+
+CREATE INDEX IX_WaitlistOffers_Slot ON WaitlistOffers (doctor_id, status, slot_date);
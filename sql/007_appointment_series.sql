@@ -0,0 +1,22 @@
+-- 007_appointment_series.sql
+-- Recurring appointment series (e.g. every Tuesday 10:00 for 8 weeks).
+-- Each occurrence is a normal Appointments row pointing at its series.
+
+CREATE TABLE AppointmentSeries (
+  series_id     INT IDENTITY(1,1) PRIMARY KEY,
+  patient_id    INT NOT NULL REFERENCES Patients(patient_id),
+  doctor_id     INT NOT NULL REFERENCES Doctors(doctor_id),
+  frequency     VARCHAR(10) NOT NULL,          -- 'weekly' | 'monthly'
+  interval_n    INT NOT NULL DEFAULT 1,        -- every N weeks / months
+  start_date    DATE NOT NULL,
+  start_time    VARCHAR(8) NOT NULL,           -- 'HH:mm:ss' clinic local
+  occurrences   INT NOT NULL,
+  status        VARCHAR(20) NOT NULL DEFAULT 'Active',  -- Active | Cancelled
+  created_by    INT NOT NULL REFERENCES Users(user_id),
+  created_at    DATETIME NOT NULL DEFAULT GETUTCDATE(),
+  CONSTRAINT CK_AppointmentSeries_Freq CHECK (frequency IN ('weekly', 'monthly'))
+);
+
+ALTER TABLE Appointments ADD series_id INT NULL REFERENCES AppointmentSeries(series_id);
+
+CREATE INDEX IX_Appointments_Series ON Appointments (series_id);
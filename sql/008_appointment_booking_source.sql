@@ -0,0 +1,6 @@
+-- 008_appointment_booking_source.sql
+-- Who created an appointment and through which path.
+
+ALTER TABLE Appointments ADD
+  booked_by       INT NULL REFERENCES Users(user_id),
+  booking_source  VARCHAR(20) NOT NULL DEFAULT 'Patient';  -- Patient | Provider | Waitlist
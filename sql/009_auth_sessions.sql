@@ -0,0 +1,20 @@
+-- 009_auth_sessions.sql
+-- One row per logged-in device. The refresh token is "<session_id>.<secret>";
+-- only a SHA-256 of the current secret is stored and it changes on every
+-- refresh. Access tokens carry the session_id (sid) and stop working as soon
+-- as the session is revoked.
+
+CREATE TABLE AuthSessions (
+  session_id          INT IDENTITY(1,1) PRIMARY KEY,
+  user_id             INT NOT NULL REFERENCES Users(user_id),
+  refresh_token_hash  CHAR(64) NOT NULL,
+  user_agent          NVARCHAR(255) NULL,
+  ip_address          VARCHAR(45) NULL,
+  created_at          DATETIME NOT NULL DEFAULT GETUTCDATE(),
+  last_used_at        DATETIME NOT NULL DEFAULT GETUTCDATE(),
+  expires_at          DATETIME NOT NULL,             -- UTC
+  revoked_at          DATETIME NULL,                 -- UTC
+  revoked_reason      VARCHAR(30) NULL               -- Logout | LogoutAll | TokenReuse
+);
+
+CREATE INDEX IX_AuthSessions_User ON AuthSessions(user_id, revoked_at);
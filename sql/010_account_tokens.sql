@@ -0,0 +1,25 @@
+-- 010_account_tokens.sql
+-- Email verification and password reset.
+-- Tokens are "<token_id>.<secret>"; only an HMAC of the secret (keyed with
+-- JWT_SECRET) is stored. A token works once and only until expires_at.
+
+ALTER TABLE Users ADD
+  email_verified     BIT NOT NULL DEFAULT 0,
+  email_verified_at  DATETIME NULL;
+GO
+
+-- accounts created before verification existed are treated as verified
+UPDATE Users SET email_verified = 1, email_verified_at = GETUTCDATE();
+
+CREATE TABLE AccountTokens (
+  token_id    INT IDENTITY(1,1) PRIMARY KEY,
+  user_id     INT NOT NULL REFERENCES Users(user_id),
+  purpose     VARCHAR(20) NOT NULL
+              CHECK (purpose IN ('VerifyEmail', 'PasswordReset')),
+  token_hash  CHAR(64) NOT NULL,
+  expires_at  DATETIME NOT NULL,   -- UTC
+  used_at     DATETIME NULL,       -- UTC; set when consumed or superseded
+  created_at  DATETIME NOT NULL DEFAULT GETUTCDATE()
+);
+
+CREATE INDEX IX_AccountTokens_User ON AccountTokens(user_id, purpose, used_at);
@@ -0,0 +1,19 @@
+-- 011_login_attempts.sql
+-- Brute-force protection for POST /api/auth/login.
+-- Per-account state lives on Users; per-IP limits are counted from LoginAttempts.
+
+ALTER TABLE Users ADD
+  failed_login_count    INT NOT NULL DEFAULT 0,
+  last_failed_login_at  DATETIME NULL,   -- UTC
+  locked_until          DATETIME NULL;   -- UTC
+
+CREATE TABLE LoginAttempts (
+  attempt_id    INT IDENTITY(1,1) PRIMARY KEY,
+  email         NVARCHAR(255) NULL,
+  user_id       INT NULL REFERENCES Users(user_id),  -- NULL for unknown emails
+  ip_address    VARCHAR(45) NULL,
+  succeeded     BIT NOT NULL,
+  attempted_at  DATETIME NOT NULL DEFAULT GETUTCDATE()
+);
+
+CREATE INDEX IX_LoginAttempts_Ip ON LoginAttempts(ip_address, attempted_at);
@@ -0,0 +1,21 @@
+-- 012_two_factor.sql
+-- TOTP two-factor authentication (RFC 6238, 30s steps, 6 digits).
+-- totp_pending_secret holds a secret between enrollment and confirmation.
+-- totp_last_step stops a code from being replayed within its window.
+
+ALTER TABLE Users ADD
+  totp_secret          VARCHAR(64) NULL,   -- base32
+  totp_pending_secret  VARCHAR(64) NULL,
+  totp_enabled         BIT NOT NULL DEFAULT 0,
+  totp_enabled_at      DATETIME NULL,
+  totp_last_step       BIGINT NULL;
+
+CREATE TABLE TwoFactorRecoveryCodes (
+  code_id     INT IDENTITY(1,1) PRIMARY KEY,
+  user_id     INT NOT NULL REFERENCES Users(user_id),
+  code_hash   CHAR(64) NOT NULL,
+  used_at     DATETIME NULL,
+  created_at  DATETIME NOT NULL DEFAULT GETUTCDATE()
+);
+
+CREATE INDEX IX_TwoFactorRecoveryCodes_User ON TwoFactorRecoveryCodes(user_id, used_at);
@@ -0,0 +1,14 @@
+-- 013_admin_accounts.sql
+-- Admin role and account lifecycle.
+-- Self-registered Providers start as PendingApproval until an Admin approves.
+-- If Users.user_role has a CHECK constraint, it must also allow 'Admin'.
+
+ALTER TABLE Users ADD
+  account_status     VARCHAR(20) NOT NULL DEFAULT 'Active'
+                     CHECK (account_status IN ('Active', 'PendingApproval', 'Rejected', 'Deactivated')),
+  status_reason      NVARCHAR(255) NULL,
+  status_changed_by  INT NULL REFERENCES Users(user_id),
+  status_changed_at  DATETIME NULL;   -- UTC
+
+-- Bootstrap the first admin by hand, e.g.:
+--   UPDATE Users SET user_role = 'Admin' WHERE email = 'admin@clinic.example';
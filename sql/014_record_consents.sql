@@ -0,0 +1,25 @@
+-- 014_record_consents.sql
+-- Patient-controlled sharing of medical records with a doctor.
+-- scope 'All' covers every record of the patient (including future uploads);
+-- 'Selected' covers only the records listed in RecordConsentItems.
+-- A grant is active while revoked_at IS NULL and starts_at <= now < expires_at
+-- (expires_at NULL = until revoked). Times are UTC.
+
+CREATE TABLE RecordConsents (
+  consent_id  INT IDENTITY(1,1) PRIMARY KEY,
+  patient_id  INT NOT NULL REFERENCES Patients(patient_id),
+  doctor_id   INT NOT NULL REFERENCES Doctors(doctor_id),
+  scope       VARCHAR(10) NOT NULL CHECK (scope IN ('All', 'Selected')),
+  starts_at   DATETIME NOT NULL DEFAULT GETUTCDATE(),
+  expires_at  DATETIME NULL,
+  created_at  DATETIME NOT NULL DEFAULT GETUTCDATE(),
+  revoked_at  DATETIME NULL
+);
+
+CREATE TABLE RecordConsentItems (
+  consent_id  INT NOT NULL REFERENCES RecordConsents(consent_id) ON DELETE CASCADE,
+  record_id   INT NOT NULL REFERENCES MedicalRecords(record_id) ON DELETE CASCADE,
+  PRIMARY KEY (consent_id, record_id)
+);
+
+CREATE INDEX IX_RecordConsents_Doctor ON RecordConsents(doctor_id, patient_id, revoked_at);
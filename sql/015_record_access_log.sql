@@ -0,0 +1,26 @@
+-- 015_record_access_log.sql
+-- Append-only disclosure history for MedicalRecords: who listed, fetched a
+-- signed URL for, downloaded, uploaded or deleted which record, from where.
+-- No FK on record_id so entries outlive deleted records.
+
+CREATE TABLE RecordAccessLog (
+  log_id         BIGINT IDENTITY(1,1) PRIMARY KEY,
+  record_id      INT NOT NULL,
+  patient_id     INT NOT NULL,
+  actor_user_id  INT NOT NULL,
+  actor_role     VARCHAR(20) NOT NULL,
+  action         VARCHAR(20) NOT NULL,   -- List | Upload | SignedUrl | Download | Delete
+  ip_address     VARCHAR(45) NULL,
+  accessed_at    DATETIME NOT NULL DEFAULT GETUTCDATE()   -- UTC
+);
+
+CREATE INDEX IX_RecordAccessLog_Patient ON RecordAccessLog(patient_id, accessed_at);
+CREATE INDEX IX_RecordAccessLog_Time ON RecordAccessLog(accessed_at);
+GO
+
+CREATE TRIGGER TR_RecordAccessLog_AppendOnly
+ON RecordAccessLog
+INSTEAD OF UPDATE, DELETE
+AS
+  THROW 51000, 'RecordAccessLog is append-only', 1;
+GO
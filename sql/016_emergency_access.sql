@@ -0,0 +1,22 @@
+-- 016_emergency_access.sql
+-- Break-the-glass: a provider with no relationship or consent opens
+-- time-limited access to all of a patient's records by stating a reason.
+-- Active while revoked_at IS NULL and granted_at <= now < expires_at (UTC).
+-- Every grant awaits an admin review (reviewed_at IS NULL = pending).
+
+CREATE TABLE EmergencyAccessGrants (
+  grant_id        INT IDENTITY(1,1) PRIMARY KEY,
+  doctor_id       INT NOT NULL REFERENCES Doctors(doctor_id),
+  patient_id      INT NOT NULL REFERENCES Patients(patient_id),
+  reason          NVARCHAR(1000) NOT NULL,
+  granted_at      DATETIME NOT NULL DEFAULT GETUTCDATE(),
+  expires_at      DATETIME NOT NULL,
+  revoked_at      DATETIME NULL,
+  reviewed_at     DATETIME NULL,
+  reviewed_by     INT NULL REFERENCES Users(user_id),
+  review_outcome  VARCHAR(20) NULL CHECK (review_outcome IN ('Justified', 'Unjustified')),
+  review_notes    NVARCHAR(1000) NULL
+);
+
+CREATE INDEX IX_EmergencyAccess_Doctor ON EmergencyAccessGrants(doctor_id, patient_id, expires_at);
+CREATE INDEX IX_EmergencyAccess_Pending ON EmergencyAccessGrants(reviewed_at, granted_at);
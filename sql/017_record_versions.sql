@@ -0,0 +1,32 @@
+-- 017_record_versions.sql
+-- Record versions: every upload of a record's file is a RecordVersions row;
+-- MedicalRecords.file_path always points at the current (highest) version.
+-- Soft delete: deleted_at/deleted_by hide a record; it can be restored for
+-- RECORD_RETENTION_DAYS (default 30), after which the purge job removes the
+-- row, its versions and their files. RecordAccessLog.action gains 'Restore'.
+
+ALTER TABLE MedicalRecords ADD
+  current_version  INT NOT NULL DEFAULT 1,
+  deleted_at       DATETIME NULL,   -- UTC
+  deleted_by       INT NULL REFERENCES Users(user_id);
+GO
+
+CREATE TABLE RecordVersions (
+  version_id    INT IDENTITY(1,1) PRIMARY KEY,
+  record_id     INT NOT NULL REFERENCES MedicalRecords(record_id) ON DELETE CASCADE,
+  version_no    INT NOT NULL,
+  file_path     NVARCHAR(1000) NOT NULL,
+  content_type  VARCHAR(100) NULL,
+  size_bytes    BIGINT NULL,
+  note          NVARCHAR(500) NULL,
+  uploaded_by   INT NULL REFERENCES Users(user_id),
+  uploaded_at   DATETIME NOT NULL DEFAULT GETUTCDATE(),
+  CONSTRAINT UQ_RecordVersions UNIQUE (record_id, version_no)
+);
+
+CREATE INDEX IX_MedicalRecords_Deleted ON MedicalRecords(deleted_at);
+GO
+
+-- existing records become version 1
+INSERT INTO RecordVersions (record_id, version_no, file_path, uploaded_at)
+SELECT record_id, 1, file_path, uploaded_at FROM MedicalRecords;
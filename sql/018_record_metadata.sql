@@ -0,0 +1,21 @@
+-- 018_record_metadata.sql
+-- Structured metadata on medical records: a category, the date of service,
+-- the appointment it relates to, and free-form tags (lowercase, no commas).
+-- Search (?q=) matches description, file name and tags with LIKE.
+
+ALTER TABLE MedicalRecords ADD
+  category         VARCHAR(30) NULL CHECK (category IN (
+                     'LabResult', 'Imaging', 'Prescription', 'DischargeSummary',
+                     'Referral', 'Vaccination', 'ClinicalNote', 'Insurance', 'Other')),
+  date_of_service  DATE NULL,
+  appointment_id   INT NULL REFERENCES Appointments(appointment_id);
+GO
+
+CREATE TABLE RecordTags (
+  record_id  INT NOT NULL REFERENCES MedicalRecords(record_id) ON DELETE CASCADE,
+  tag        NVARCHAR(50) NOT NULL,
+  PRIMARY KEY (record_id, tag)
+);
+
+CREATE INDEX IX_RecordTags_Tag ON RecordTags(tag);
+CREATE INDEX IX_MedicalRecords_Patient_Category ON MedicalRecords(patient_id, category, date_of_service);
@@ -0,0 +1,20 @@
+-- 019_upload_quarantine.sql
+-- Uploads the malware scanner flagged. The file sits in the quarantine
+-- storage area (never served) under storage_key until an admin deletes it.
+
+CREATE TABLE QuarantinedUploads (
+  quarantine_id   INT IDENTITY(1,1) PRIMARY KEY,
+  storage_key     NVARCHAR(300) NOT NULL,
+  original_name   NVARCHAR(260) NULL,
+  detected_type   VARCHAR(100) NOT NULL,
+  claimed_type    VARCHAR(100) NULL,
+  size_bytes      BIGINT NOT NULL,
+  signature       NVARCHAR(300) NULL,
+  scanner         VARCHAR(20) NOT NULL,
+  uploaded_by     INT NOT NULL REFERENCES Users(user_id),
+  patient_id      INT NULL REFERENCES Patients(patient_id),
+  record_id       INT NULL REFERENCES MedicalRecords(record_id) ON DELETE SET NULL,
+  quarantined_at  DATETIME NOT NULL DEFAULT GETUTCDATE()
+);
+
+CREATE INDEX IX_QuarantinedUploads_Date ON QuarantinedUploads(quarantined_at);
@@ -0,0 +1,23 @@
+-- 020_active_access_views.sql
+-- The one definition of "in effect now" for access grants. Every query that
+-- decides whether a consent or emergency grant applies reads these views, so
+-- the rule cannot drift between copies.
+--   consent:   not revoked, starts_at <= now < expires_at (NULL = until revoked)
+--   emergency: not revoked, granted_at <= now < expires_at
+-- Times are UTC.
+
+CREATE VIEW ActiveRecordConsents AS
+  SELECT consent_id, patient_id, doctor_id, scope, starts_at, expires_at, created_at
+  FROM RecordConsents
+  WHERE revoked_at IS NULL
+    AND starts_at <= GETUTCDATE()
+    AND (expires_at IS NULL OR expires_at > GETUTCDATE());
+GO
+
+CREATE VIEW ActiveEmergencyAccessGrants AS
+  SELECT grant_id, doctor_id, patient_id, reason, granted_at, expires_at
+  FROM EmergencyAccessGrants
+  WHERE revoked_at IS NULL
+    AND granted_at <= GETUTCDATE()
+    AND expires_at > GETUTCDATE();
+GO
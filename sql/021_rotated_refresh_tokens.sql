@@ -0,0 +1,14 @@
+-- 021_rotated_refresh_tokens.sql
+-- Hashes of refresh token secrets a session has already rotated away from.
+-- Presenting one of these means the token was copied: the session is revoked
+-- (TokenReuse). Any other wrong secret is just rejected, so guessing session
+-- ids cannot log users out.
+-- No FK: filled by OUTPUT ... INTO, which does not allow one. Rows go with
+-- their session in purgeStaleSessions.
+
+CREATE TABLE RotatedRefreshTokens (
+  session_id  INT NOT NULL,
+  token_hash  CHAR(64) NOT NULL,
+  rotated_at  DATETIME NOT NULL DEFAULT GETUTCDATE(),   -- UTC
+  PRIMARY KEY (session_id, token_hash)
+);
@@ -6,6 +6,33 @@ const servers = [
   // { url: "https://<your-prod-host>", description: "Prod" }
 ];
 
+const recordCategories = ["LabResult", "Imaging", "Prescription", "DischargeSummary", "Referral", "Vaccination", "ClinicalNote", "Insurance", "Other"];
+
+// filters / search / paging shared by the record list endpoints
+const recordListParams = [
+  { name: "category", in: "query", schema: { type: "string", enum: recordCategories } },
+  { name: "tags", in: "query", schema: { type: "string" }, description: "Comma-separated; records must have all of them" },
+  { name: "appointment_id", in: "query", schema: { type: "integer" } },
+  { name: "from", in: "query", schema: { type: "string", format: "date" }, description: "Date of service, inclusive" },
+  { name: "to", in: "query", schema: { type: "string", format: "date" }, description: "Date of service, inclusive" },
+  { name: "q", in: "query", schema: { type: "string" }, description: "Words to find in description, file name or tags" },
+  { name: "sort", in: "query", schema: { type: "string", enum: ["uploaded_at", "date_of_service", "category"], default: "uploaded_at" } },
+  { name: "order", in: "query", schema: { type: "string", enum: ["asc", "desc"], default: "desc" } },
+  { name: "page", in: "query", schema: { type: "integer" }, description: "Paginate (default page_size 25) when page or page_size is given" },
+  { name: "page_size", in: "query", schema: { type: "integer", maximum: 100 } }
+];
+const recordListResponse = {
+  description: "OK (X-Total-Count header: number of matches)",
+  content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/MedicalRecord" } } } }
+};
+
+// upload endpoints check content type, allow-list and malware scan (utils/quarantine.js)
+const uploadRejections = {
+  415: { description: "File type not allowed, or the extension does not match the content" },
+  422: { description: "Failed the malware scan; quarantined (returns quarantine_id)" },
+  503: { description: "Malware scanner unavailable; nothing was stored" }
+};
+
 export const swaggerSpec = swaggerJsdoc({
   definition: {
     openapi: "3.1.0",
@@ -13,7 +40,7 @@ export const swaggerSpec = swaggerJsdoc({
       title: "Smart Health Portal API",
       version: "1.0.0",
       description:
-        "OpenAPI documentation for the Healthcare backend (Patients, Providers, Appointments, Records, Auth).",
+        "OpenAPI documentation for the Healthcare backend (Patients, Providers, Appointments, Records, Auth, Admin).",
     },
     servers,
     components: {
@@ -68,8 +95,101 @@ export const swaggerSpec = swaggerJsdoc({
           type: "object",
           properties: {
             token: { type: "string" },
-            role: { type: "string", enum: ["Patient", "Provider"] },
-            full_name: { type: "string" }
+            refresh_token: { type: "string", description: "Single use; rotated by /api/auth/refresh" },
+            expires_in: { type: "integer", description: "Access token lifetime in seconds" },
+            role: { type: "string", enum: ["Patient", "Provider", "Receptionist", "Admin"] },
+            full_name: { type: "string" },
+            two_factor_required: { type: "boolean", description: "Tokens withheld; complete /api/auth/login/2fa" },
+            two_factor_setup_required: { type: "boolean", description: "Tokens withheld; enroll via /api/auth/2fa/enroll with challenge_token" },
+            challenge_token: { type: "string", description: "Short-lived; only present with the two flags above" }
+          }
+        },
+        TwoFactorEnrollment: {
+          type: "object",
+          properties: {
+            secret: { type: "string", description: "Base32 TOTP secret" },
+            otpauth_uri: { type: "string", example: "otpauth://totp/Smart%20Health%3Adr%40clinic.com?secret=...&issuer=Smart+Health" }
+          }
+        },
+        AdminUser: {
+          type: "object",
+          properties: {
+            user_id: { type: "integer" },
+            full_name: { type: "string" },
+            email: { type: "string" },
+            phone_number: { type: "string", nullable: true },
+            user_role: { type: "string", enum: ["Patient", "Provider", "Receptionist", "Admin"] },
+            account_status: { type: "string", enum: ["Active", "PendingApproval", "Rejected", "Deactivated"] },
+            status_reason: { type: "string", nullable: true },
+            email_verified: { type: "boolean" },
+            totp_enabled: { type: "boolean" },
+            locked_until: { type: "string", format: "date-time", nullable: true },
+            created_at: { type: "string", format: "date-time" }
+          }
+        },
+        AccessLogEntry: {
+          type: "object",
+          properties: {
+            log_id: { type: "integer" },
+            accessed_at: { type: "string", format: "date-time" },
+            action: { type: "string", enum: ["List", "Upload", "SignedUrl", "Download", "Delete", "Restore", "Update"] },
+            record_id: { type: "integer" },
+            file_name: { type: "string", nullable: true, description: "Null once the record is deleted" },
+            actor_role: { type: "string" },
+            actor_name: { type: "string", nullable: true },
+            is_me: { type: "boolean" }
+          }
+        },
+        EmergencyAccessGrant: {
+          type: "object",
+          properties: {
+            grant_id: { type: "integer" },
+            doctor_id: { type: "integer" },
+            doctor_name: { type: "string" },
+            patient_id: { type: "integer" },
+            patient_name: { type: "string" },
+            reason: { type: "string" },
+            granted_at: { type: "string", format: "date-time" },
+            expires_at: { type: "string", format: "date-time" },
+            revoked_at: { type: "string", format: "date-time", nullable: true },
+            reviewed_at: { type: "string", format: "date-time", nullable: true },
+            reviewed_by: { type: "integer", nullable: true },
+            review_outcome: { type: "string", enum: ["Justified", "Unjustified"], nullable: true },
+            review_notes: { type: "string", nullable: true }
+          }
+        },
+        ConsentCreate: {
+          type: "object",
+          required: ["doctor_id"],
+          properties: {
+            doctor_id: { type: "integer" },
+            record_ids: { type: "array", items: { type: "integer" }, description: "Omit to share all records, including future uploads" },
+            starts_at: { type: "string", format: "date-time", description: "Default now" },
+            expires_at: { type: "string", format: "date-time", description: "Omit = until revoked" }
+          }
+        },
+        Consent: {
+          type: "object",
+          properties: {
+            consent_id: { type: "integer" },
+            doctor_id: { type: "integer" },
+            doctor_name: { type: "string" },
+            specialization: { type: "string" },
+            scope: { type: "string", enum: ["All", "Selected"] },
+            record_ids: { type: "array", items: { type: "integer" }, nullable: true },
+            starts_at: { type: "string", format: "date-time" },
+            expires_at: { type: "string", format: "date-time", nullable: true },
+            created_at: { type: "string", format: "date-time" },
+            revoked_at: { type: "string", format: "date-time", nullable: true },
+            active: { type: "boolean" }
+          }
+        },
+        TokenPair: {
+          type: "object",
+          properties: {
+            token: { type: "string" },
+            refresh_token: { type: "string" },
+            expires_in: { type: "integer" }
           }
         },
 
@@ -87,15 +207,96 @@ export const swaggerSpec = swaggerJsdoc({
           properties: {
             doctor_id: { type: "integer" },
             available_days: { type: "string", example: "Mon,Wed,Fri" },
-            working_hours: {
-              type: "object",
-              properties: {
-                start: { type: "string", example: "10:00" },
-                end: { type: "string", example: "17:00" },
-                lunch: { type: "array", items: { type: "string" } }
+            schedule: { type: "array", items: { $ref: "#/components/schemas/ScheduleDay" } },
+            booked: { type: "array", items: { type: "string", format: "date-time" } },
+            blocked: { type: "array", items: { $ref: "#/components/schemas/BlockedPeriod" } }
+          }
+        },
+        BlockedPeriod: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["time_off", "holiday"] },
+            start: { type: "string", format: "date-time" },
+            end: { type: "string", format: "date-time", description: "Exclusive" },
+            reason: { type: "string", nullable: true }
+          }
+        },
+        OpenSlots: {
+          type: "object",
+          properties: {
+            doctor_id: { type: "integer" },
+            time_zone: { type: "string", example: "Asia/Kolkata" },
+            from: { type: "string", format: "date" },
+            to: { type: "string", format: "date" },
+            slots: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  start: { type: "string", example: "2025-09-02T12:00:00+05:30" },
+                  end: { type: "string", example: "2025-09-02T12:30:00+05:30" },
+                  date: { type: "string", example: "2025-09-02", description: "Clinic-local date for booking" },
+                  time: { type: "string", example: "12:00", description: "Clinic-local time for booking" }
+                }
               }
-            },
-            booked: { type: "array", items: { type: "string", format: "date-time" } }
+            }
+          }
+        },
+        TimeOffCreate: {
+          type: "object",
+          required: ["start_date"],
+          properties: {
+            start_date: { type: "string", example: "2025-12-22" },
+            end_date: { type: "string", example: "2025-12-26", description: "Defaults to start_date" },
+            start_time: { type: "string", example: "13:00", description: "Omit for full days" },
+            end_time: { type: "string", example: "17:00", description: "Omit for full days" },
+            reason: { type: "string" }
+          }
+        },
+        TimeOff: {
+          type: "object",
+          properties: {
+            time_off_id: { type: "integer" },
+            start_at: { type: "string", format: "date-time" },
+            end_at: { type: "string", format: "date-time" },
+            all_day: { type: "boolean" },
+            reason: { type: "string", nullable: true }
+          }
+        },
+        Holiday: {
+          type: "object",
+          properties: {
+            holiday_id: { type: "integer" },
+            holiday_date: { type: "string", format: "date" },
+            name: { type: "string" }
+          }
+        },
+        ScheduleDay: {
+          type: "object",
+          required: ["weekday", "start", "end"],
+          properties: {
+            weekday: { type: "integer", minimum: 0, maximum: 6, description: "0 = Sun ... 6 = Sat" },
+            start: { type: "string", example: "09:00" },
+            end: { type: "string", example: "17:00" },
+            slot_minutes: { type: "integer", example: 30 },
+            breaks: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  start: { type: "string", example: "13:00" },
+                  end: { type: "string", example: "14:00" }
+                }
+              }
+            }
+          }
+        },
+        WeeklySchedule: {
+          type: "object",
+          properties: {
+            doctor_id: { type: "integer" },
+            source: { type: "string", enum: ["template", "legacy"] },
+            days: { type: "array", items: { $ref: "#/components/schemas/ScheduleDay" } }
           }
         },
         PatientSummary: {
@@ -123,9 +324,10 @@ export const swaggerSpec = swaggerJsdoc({
             appointment_id: { type: "integer" },
             patient_id: { type: "integer" },
             doctor_id: { type: "integer" },
-            status: { type: "string", enum: ["Scheduled", "Completed", "Cancelled"] },
+            status: { type: "string", enum: ["Requested", "Scheduled", "CheckedIn", "InProgress", "Completed", "Cancelled", "NoShow"] },
             appointment_date: { type: "string", format: "date-time" },
             doctor_name: { type: "string", nullable: true },
+            booking_source: { type: "string", enum: ["Patient", "Provider", "Waitlist", "FrontDesk"] },
             display_time: { type: "string", nullable: true }
           }
         },
@@ -133,7 +335,103 @@ export const swaggerSpec = swaggerJsdoc({
           type: "object",
           required: ["status"],
           properties: {
-            status: { type: "string", enum: ["Scheduled", "Completed", "Cancelled"] }
+            status: { type: "string", enum: ["Requested", "Scheduled", "CheckedIn", "InProgress", "Completed", "Cancelled", "NoShow"] },
+            reason: { type: "string" }
+          }
+        },
+        StatusHistoryEntry: {
+          type: "object",
+          properties: {
+            history_id: { type: "integer" },
+            from_status: { type: "string", nullable: true },
+            to_status: { type: "string" },
+            reason: { type: "string", nullable: true },
+            changed_at: { type: "string", format: "date-time" },
+            changed_by: { type: "integer", nullable: true },
+            changed_by_name: { type: "string", nullable: true },
+            changed_by_role: { type: "string", nullable: true }
+          }
+        },
+
+        AppointmentReschedule: {
+          type: "object",
+          required: ["date", "time"],
+          properties: {
+            date: { type: "string", example: "2025-09-04" },
+            time: { type: "string", example: "11:30" },
+            reason: { type: "string" }
+          }
+        },
+        RescheduleEntry: {
+          type: "object",
+          properties: {
+            reschedule_id: { type: "integer" },
+            previous_date: { type: "string", format: "date-time" },
+            new_date: { type: "string", format: "date-time" },
+            reason: { type: "string", nullable: true },
+            rescheduled_by: { type: "string" },
+            created_at: { type: "string", format: "date-time" }
+          }
+        },
+
+        SeriesCreate: {
+          type: "object",
+          required: ["doctor_id", "start_date", "time", "frequency", "count"],
+          properties: {
+            doctor_id: { type: "integer" },
+            start_date: { type: "string", example: "2025-09-02" },
+            time: { type: "string", example: "10:00" },
+            frequency: { type: "string", enum: ["weekly", "monthly"] },
+            interval: { type: "integer", default: 1, description: "Every N weeks/months" },
+            count: { type: "integer", minimum: 2, maximum: 52 }
+          }
+        },
+        SeriesResult: {
+          type: "object",
+          properties: {
+            series_id: { type: "integer" },
+            booked: {
+              type: "array",
+              items: { type: "object", properties: { date: { type: "string" }, appointment_id: { type: "integer" } } }
+            },
+            conflicts: {
+              type: "array",
+              items: { type: "object", properties: { date: { type: "string" }, error: { type: "string" } } }
+            }
+          }
+        },
+        SeriesReschedule: {
+          type: "object",
+          properties: {
+            time: { type: "string", example: "11:00" },
+            shift_days: { type: "integer", example: 1 },
+            from_date: { type: "string", format: "date", description: "Only move occurrences from this date on" },
+            reason: { type: "string" }
+          }
+        },
+
+        // ---- Waitlist ----
+        WaitlistJoin: {
+          type: "object",
+          required: ["doctor_id", "from_date", "to_date"],
+          properties: {
+            doctor_id: { type: "integer" },
+            from_date: { type: "string", format: "date" },
+            to_date: { type: "string", format: "date", description: "Within 90 days of from_date" }
+          }
+        },
+        WaitlistEntry: {
+          type: "object",
+          properties: {
+            waitlist_id: { type: "integer" },
+            doctor_id: { type: "integer" },
+            doctor_name: { type: "string" },
+            from_date: { type: "string", format: "date" },
+            to_date: { type: "string", format: "date" },
+            status: { type: "string", enum: ["Waiting", "Offered"] },
+            offer_id: { type: "integer", nullable: true },
+            offer_slot: { type: "string", format: "date-time", nullable: true },
+            offer_expires_at: { type: "string", format: "date-time", nullable: true }
           }
         },
 
@@ -145,7 +443,15 @@ export const swaggerSpec = swaggerJsdoc({
             patient_id: { type: "integer" },
             file_path: { type: "string" },
             file_name: { type: "string" },
-            uploaded_at: { type: "string", format: "date-time" }
+            uploaded_at: { type: "string", format: "date-time" },
+            description: { type: "string", nullable: true },
+            category: { type: "string", enum: recordCategories, nullable: true },
+            tags: { type: "array", items: { type: "string" } },
+            date_of_service: { type: "string", format: "date", nullable: true },
+            appointment_id: { type: "integer", nullable: true },
+            current_version: { type: "integer" },
+            file_url: { type: "string", description: "Short-lived signed URL (records endpoints only)" },
+            content_url: { type: "string", description: "Authenticated streaming endpoint (records endpoints only)" }
           }
         },
         ApiMessage: {
@@ -194,146 +500,1002 @@ export const swaggerSpec = swaggerJsdoc({
           },
           responses: {
             200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/LoginResponse" } } } },
-            401: { description: "Invalid credentials" }
+            401: { description: "Invalid credentials" },
+            403: { description: "Email not verified (EMAIL_NOT_VERIFIED), provider awaiting approval (ACCOUNT_PENDING_APPROVAL) or account inactive (ACCOUNT_INACTIVE)" },
+            423: { description: "Account temporarily locked (Retry-After header)" },
+            429: { description: "Too many attempts from this IP, or retrying too soon (Retry-After header)" }
           }
         }
       },
-
-      // ---------- Doctors ----------
-      "/api/doctor/list": {
-        get: {
-          tags: ["Doctors"],
-          summary: "Get doctor list",
-          responses: {
-            200: {
-              description: "OK",
-              content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/Doctor" } } } }
+      "/api/auth/verify-email/request": {
+        post: {
+          tags: ["Auth"],
+          summary: "Send (or resend) the email verification link",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: { type: "object", required: ["email"], properties: { email: { type: "string" } } }
+              }
             }
-          }
-        }
-      },
-      "/api/doctor/{id}/availability": {
-        get: {
-          tags: ["Doctors"],
-          summary: "Get availability + booked slots",
-          parameters: [
-            { name: "id", in: "path", required: true, schema: { type: "integer" } }
-          ],
+          },
           responses: {
-            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/Availability" } } } },
-            404: { description: "Doctor not found" }
+            200: { description: "Sent if the account exists and is unverified", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            400: { description: "Missing email" }
           }
         }
       },
-      "/api/doctor/patients": {
-        get: {
-          tags: ["Doctors"],
-          summary: "Provider: list my patients (by appointments)",
-          security: [{ bearerAuth: [] }],
+      "/api/auth/verify-email": {
+        post: {
+          tags: ["Auth"],
+          summary: "Verify an email address with the token from the link",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: { type: "object", required: ["token"], properties: { token: { type: "string" } } }
+              }
+            }
+          },
           responses: {
-            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/PatientSummary" } } } } },
-            403: { description: "Forbidden" }
+            200: { description: "Verified", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            400: { description: "Invalid, used or expired token" }
           }
         }
       },
-      "/api/doctor/patient/{patientId}/records": {
-        get: {
-          tags: ["Doctors"],
-          summary: "Provider: get patient records (only if related by appointment)",
-          security: [{ bearerAuth: [] }],
-          parameters: [
-            { name: "patientId", in: "path", required: true, schema: { type: "integer" } }
-          ],
+      "/api/auth/password/forgot": {
+        post: {
+          tags: ["Auth"],
+          summary: "Email a password reset link",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: { type: "object", required: ["email"], properties: { email: { type: "string" } } }
+              }
+            }
+          },
           responses: {
-            200: {
-              description: "OK",
-              content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/MedicalRecord" } } } }
-            },
-            403: { description: "Forbidden" }
+            200: { description: "Sent if the account exists", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            400: { description: "Missing email" }
           }
         }
       },
-      "/api/doctor/patient/{patientId}/appointments": {
-        get: {
-          tags: ["Doctors"],
-          summary: "Provider: appointments with this patient (only my own)",
-          security: [{ bearerAuth: [] }],
-          parameters: [{ name: "patientId", in: "path", required: true, schema: { type: "integer" } }],
+      "/api/auth/password/reset": {
+        post: {
+          tags: ["Auth"],
+          summary: "Set a new password with the token from the reset link; logs out all devices",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: { type: "object", required: ["token", "password"], properties: { token: { type: "string" }, password: { type: "string" } } }
+              }
+            }
+          },
           responses: {
-            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/Appointment" } } } } },
-            403: { description: "Forbidden" }
+            200: { description: "Password updated", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            400: { description: "Invalid/expired token or password too short" }
           }
         }
       },
-
-      // ---------- Appointments ----------
-      "/api/appointments/my": {
-        get: {
-          tags: ["Appointments"],
-          summary: "Patient: list my appointments",
-          security: [{ bearerAuth: [] }],
-          responses: {
-            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/Appointment" } } } } },
-            403: { description: "Forbidden" }
-          }
-        },
+      "/api/auth/login/2fa": {
         post: {
-          tags: ["Appointments"],
-          summary: "Patient: book an appointment (uses dbo.ScheduleAppointment)",
-          security: [{ bearerAuth: [] }],
+          tags: ["Auth"],
+          summary: "Complete login with a TOTP or recovery code",
           requestBody: {
             required: true,
-            content: { "application/json": { schema: { $ref: "#/components/schemas/AppointmentCreateMy" } } }
+            content: {
+              "application/json": {
+                schema: { type: "object", required: ["challenge_token"], properties: { challenge_token: { type: "string" }, code: { type: "string" }, recovery_code: { type: "string" } } }
+              }
+            }
           },
           responses: {
-            201: { description: "Created", content: { "application/json": { schema: { type: "object", properties: { appointment_id: { type: "integer" } } } } } },
-            400: { description: "Validation/proc error" },
-            403: { description: "Forbidden" }
+            200: { description: "Logged in", content: { "application/json": { schema: { $ref: "#/components/schemas/LoginResponse" } } } },
+            401: { description: "Invalid code or expired challenge" },
+            423: { description: "Account temporarily locked" }
           }
         }
       },
-      "/api/appointments/{id}": {
-        put: {
-          tags: ["Appointments"],
-          summary: "Update appointment status",
+      "/api/auth/2fa/enroll": {
+        post: {
+          tags: ["Auth"],
+          summary: "Start TOTP enrollment (bearer token, or challenge_token from a login that requires setup)",
           security: [{ bearerAuth: [] }],
-          parameters: [{ name: "id", in: "path", required: true, schema: { type: "integer" } }],
           requestBody: {
             required: true,
-            content: { "application/json": { schema: { $ref: "#/components/schemas/AppointmentStatusUpdate" } } }
+            content: {
+              "application/json": {
+                schema: { type: "object", properties: { challenge_token: { type: "string" } } }
+              }
+            }
           },
           responses: {
-            200: { description: "Updated", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
-            404: { description: "Not found" }
-          }
-        },
-        delete: {
-          tags: ["Appointments"],
-          summary: "Cancel appointment (soft delete)",
-          security: [{ bearerAuth: [] }],
-          parameters: [{ name: "id", in: "path", required: true, schema: { type: "integer" } }],
-          responses: {
-            200: { description: "Cancelled", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
-            404: { description: "Not found" }
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/TwoFactorEnrollment" } } } },
+            409: { description: "Already enabled" }
           }
         }
       },
-
-      // ---------- Records ----------
-      "/api/records/upload": {
+      "/api/auth/2fa/enroll/confirm": {
         post: {
-          tags: ["Records"],
-          summary: "Upload medical file (Patient: self, Provider: requires patientId)",
+          tags: ["Auth"],
+          summary: "Confirm enrollment with a first code; returns recovery codes (and tokens when used with challenge_token)",
           security: [{ bearerAuth: [] }],
           requestBody: {
             required: true,
             content: {
-              "multipart/form-data": {
-                schema: {
-                  type: "object",
+              "application/json": {
+                schema: { type: "object", required: ["code"], properties: { code: { type: "string" }, challenge_token: { type: "string" } } }
+              }
+            }
+          },
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "object", properties: { recovery_codes: { type: "array", items: { type: "string" } } } } } } },
+            400: { description: "Invalid code / no enrollment in progress" }
+          }
+        }
+      },
+      "/api/auth/2fa/recovery-codes": {
+        post: {
+          tags: ["Auth"],
+          summary: "Replace recovery codes",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: { type: "object", required: ["code"], properties: { code: { type: "string" } } }
+              }
+            }
+          },
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "object", properties: { recovery_codes: { type: "array", items: { type: "string" } } } } } } },
+            401: { description: "Invalid code" }
+          }
+        }
+      },
+      "/api/auth/2fa/disable": {
+        post: {
+          tags: ["Auth"],
+          summary: "Turn off two-factor",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: { type: "object", required: ["password", "code"], properties: { password: { type: "string" }, code: { type: "string" } } }
+              }
+            }
+          },
+          responses: {
+            200: { description: "Disabled", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            401: { description: "Invalid password or code" },
+            403: { description: "Required for this role" }
+          }
+        }
+      },
+      "/api/auth/refresh": {
+        post: {
+          tags: ["Auth"],
+          summary: "Exchange a refresh token for a new token pair",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: { type: "object", required: ["refresh_token"], properties: { refresh_token: { type: "string" } } }
+              }
+            }
+          },
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/TokenPair" } } } },
+            401: { description: "Invalid, expired, reused or revoked refresh token" }
+          }
+        }
+      },
+      "/api/auth/logout": {
+        post: {
+          tags: ["Auth"],
+          summary: "Revoke this session, or all of the user's sessions",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            content: {
+              "application/json": {
+                schema: { type: "object", properties: { all_devices: { type: "boolean", default: false } } }
+              }
+            }
+          },
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            401: { description: "Invalid or revoked token" }
+          }
+        }
+      },
+
+      // ---------- Doctors ----------
+      "/api/doctor/list": {
+        get: {
+          tags: ["Doctors"],
+          summary: "Get doctor list",
+          responses: {
+            200: {
+              description: "OK",
+              content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/Doctor" } } } }
+            }
+          }
+        }
+      },
+      "/api/doctor/{id}/availability": {
+        get: {
+          tags: ["Doctors"],
+          summary: "Get availability + booked slots",
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer" } }
+          ],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/Availability" } } } },
+            404: { description: "Doctor not found" }
+          }
+        }
+      },
+      "/api/doctor/{id}/slots": {
+        get: {
+          tags: ["Doctors"],
+          summary: "Open bookable slots over a date range (template, time off and bookings applied)",
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer" } },
+            { name: "from", in: "query", schema: { type: "string", format: "date" }, description: "Clinic-local date, default today" },
+            { name: "to", in: "query", schema: { type: "string", format: "date" }, description: "Inclusive, max 31 days from `from`; default from + 6" },
+            { name: "tz", in: "query", schema: { type: "string", example: "Europe/London" }, description: "IANA zone for start/end; default clinic zone" }
+          ],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/OpenSlots" } } } },
+            400: { description: "Invalid range or time zone" },
+            404: { description: "Doctor not found" }
+          }
+        }
+      },
+      "/api/doctor/me/schedule": {
+        get: {
+          tags: ["Doctors"],
+          summary: "Provider: get my weekly schedule template",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/WeeklySchedule" } } } },
+            403: { description: "Forbidden" }
+          }
+        },
+        put: {
+          tags: ["Doctors"],
+          summary: "Provider: replace my weekly schedule template (unlisted weekdays are days off)",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["days"],
+                  properties: { days: { type: "array", items: { $ref: "#/components/schemas/ScheduleDay" } } }
+                }
+              }
+            }
+          },
+          responses: {
+            200: { description: "Saved", content: { "application/json": { schema: { $ref: "#/components/schemas/WeeklySchedule" } } } },
+            400: { description: "Invalid template" },
+            403: { description: "Forbidden" }
+          }
+        }
+      },
+      "/api/doctor/me/time-off": {
+        get: {
+          tags: ["Doctors"],
+          summary: "Provider: list my upcoming time off (?all=1 for past blocks too)",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/TimeOff" } } } } },
+            403: { description: "Forbidden" }
+          }
+        },
+        post: {
+          tags: ["Doctors"],
+          summary: "Provider: block a full-day or partial period",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/TimeOffCreate" } } }
+          },
+          responses: {
+            201: {
+              description: "Created; conflicts lists scheduled appointments inside the block",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      time_off: { $ref: "#/components/schemas/TimeOff" },
+                      conflicts: { type: "array", items: { $ref: "#/components/schemas/Appointment" } }
+                    }
+                  }
+                }
+              }
+            },
+            400: { description: "Invalid range" },
+            403: { description: "Forbidden" }
+          }
+        }
+      },
+      "/api/doctor/me/time-off/{timeOffId}": {
+        delete: {
+          tags: ["Doctors"],
+          summary: "Provider: remove a time-off block",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "timeOffId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "Removed", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "Not found" }
+          }
+        }
+      },
+      "/api/doctor/me/time-off/conflicts": {
+        get: {
+          tags: ["Doctors"],
+          summary: "Provider: upcoming appointments colliding with my time off or clinic holidays",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/Appointment" } } } } }
+          }
+        }
+      },
+      "/api/doctor/holidays": {
+        get: {
+          tags: ["Doctors"],
+          summary: "Clinic holiday calendar",
+          parameters: [
+            { name: "from", in: "query", schema: { type: "string", format: "date" } },
+            { name: "to", in: "query", schema: { type: "string", format: "date" } }
+          ],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/Holiday" } } } } }
+          }
+        },
+        post: {
+          tags: ["Doctors"],
+          summary: "Admin: add a clinic-wide holiday",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["date", "name"],
+                  properties: { date: { type: "string", format: "date" }, name: { type: "string" } }
+                }
+              }
+            }
+          },
+          responses: {
+            201: { description: "Created (with colliding appointments)" },
+            400: { description: "Invalid or duplicate" }
+          }
+        }
+      },
+      "/api/doctor/holidays/{holidayId}": {
+        delete: {
+          tags: ["Doctors"],
+          summary: "Admin: remove a clinic holiday",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "holidayId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "Removed", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "Not found" }
+          }
+        }
+      },
+      "/api/doctor/patients": {
+        get: {
+          tags: ["Doctors"],
+          summary: "Provider: list my patients (by appointments)",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/PatientSummary" } } } } },
+            403: { description: "Forbidden" }
+          }
+        }
+      },
+      "/api/doctor/patient/{patientId}/records": {
+        get: {
+          tags: ["Doctors"],
+          summary: "Provider: get patient records (only if related by appointment)",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "patientId", in: "path", required: true, schema: { type: "integer" } },
+            ...recordListParams
+          ],
+          responses: {
+            200: {
+              description: "OK",
+              content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/MedicalRecord" } } } }
+            },
+            403: { description: "Forbidden" }
+          }
+        }
+      },
+      "/api/doctor/patient/{patientId}/appointments": {
+        get: {
+          tags: ["Doctors"],
+          summary: "Provider: appointments with this patient (only my own)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "patientId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/Appointment" } } } } },
+            403: { description: "Forbidden" }
+          }
+        }
+      },
+
+      // ---------- Appointments ----------
+      "/api/appointments/my": {
+        get: {
+          tags: ["Appointments"],
+          summary: "Patient: list my appointments",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/Appointment" } } } } },
+            403: { description: "Forbidden" }
+          }
+        },
+        post: {
+          tags: ["Appointments"],
+          summary: "Patient: book an appointment (uses dbo.ScheduleAppointment)",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/AppointmentCreateMy" } } }
+          },
+          responses: {
+            201: { description: "Created", content: { "application/json": { schema: { type: "object", properties: { appointment_id: { type: "integer" } } } } } },
+            400: { description: "Validation/proc error" },
+            403: { description: "Not a patient, or online booking blocked by the no-show policy" }
+          }
+        }
+      },
+      "/api/appointments/book": {
+        post: {
+          tags: ["Appointments"],
+          summary: "Front desk: book any patient with any doctor",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["patient_id", "doctor_id", "date", "time"],
+                  properties: {
+                    patient_id: { type: "integer" },
+                    doctor_id: { type: "integer" },
+                    date: { type: "string", example: "2025-09-09" },
+                    time: { type: "string", example: "10:30" }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            201: { description: "Created", content: { "application/json": { schema: { type: "object", properties: { appointment_id: { type: "integer" } } } } } },
+            400: { description: "Slot not available" },
+            403: { description: "Requires appointments:book-any" }
+          }
+        }
+      },
+      "/api/appointments/schedule": {
+        get: {
+          tags: ["Appointments"],
+          summary: "Front desk: the clinic's appointments for a day (all doctors or one)",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "date", in: "query", required: true, schema: { type: "string", format: "date" } },
+            { name: "doctor_id", in: "query", schema: { type: "integer" } }
+          ],
+          responses: {
+            200: { description: "OK" },
+            403: { description: "Requires schedule:view-day" }
+          }
+        }
+      },
+      "/api/appointments/doctor/book": {
+        post: {
+          tags: ["Appointments"],
+          summary: "Provider: book an appointment for one of my patients",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["patient_id", "date", "time"],
+                  properties: {
+                    patient_id: { type: "integer" },
+                    date: { type: "string", example: "2025-09-09" },
+                    time: { type: "string", example: "10:30" }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            201: { description: "Created", content: { "application/json": { schema: { type: "object", properties: { appointment_id: { type: "integer" } } } } } },
+            400: { description: "Slot not available" },
+            403: { description: "Not a provider / no relationship with patient" }
+          }
+        }
+      },
+      "/api/appointments/{id}": {
+        put: {
+          tags: ["Appointments"],
+          summary: "Change appointment status along the lifecycle (assigned provider; patient may only cancel own upcoming; Completed is provider-only)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "id", in: "path", required: true, schema: { type: "integer" } }],
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/AppointmentStatusUpdate" } } }
+          },
+          responses: {
+            200: { description: "Updated", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            400: { description: "Invalid status or transition not allowed" },
+            403: { description: "Not your appointment / not allowed for your role" },
+            404: { description: "Not found" }
+          }
+        },
+        delete: {
+          tags: ["Appointments"],
+          summary: "Cancel appointment (soft delete; patient: own future only, provider: assigned only)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "id", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "Cancelled", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            403: { description: "Not your appointment / already in the past" },
+            404: { description: "Not found" }
+          }
+        }
+      },
+
+      "/api/appointments/{id}/history": {
+        get: {
+          tags: ["Appointments"],
+          summary: "Status change history (patient owner or assigned provider)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "id", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/StatusHistoryEntry" } } } } },
+            403: { description: "Forbidden" },
+            404: { description: "Not found" }
+          }
+        }
+      },
+      "/api/appointments/{id}/reschedule": {
+        post: {
+          tags: ["Appointments"],
+          summary: "Move a scheduled appointment to a new slot (patient owner or assigned provider)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "id", in: "path", required: true, schema: { type: "integer" } }],
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/AppointmentReschedule" } } }
+          },
+          responses: {
+            200: { description: "Rescheduled" },
+            400: { description: "Slot not available / not Scheduled" },
+            403: { description: "Forbidden" },
+            404: { description: "Not found" }
+          }
+        }
+      },
+      "/api/appointments/{id}/reschedules": {
+        get: {
+          tags: ["Appointments"],
+          summary: "Reschedule history of an appointment",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "id", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/RescheduleEntry" } } } } },
+            403: { description: "Forbidden" },
+            404: { description: "Not found" }
+          }
+        }
+      },
+
+      "/api/appointments/series": {
+        post: {
+          tags: ["Appointments"],
+          summary: "Patient: book a recurring series (conflicts reported per occurrence)",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/SeriesCreate" } } }
+          },
+          responses: {
+            201: { description: "Created", content: { "application/json": { schema: { $ref: "#/components/schemas/SeriesResult" } } } },
+            400: { description: "Invalid rule / no occurrence available" },
+            403: { description: "Forbidden" }
+          }
+        }
+      },
+      "/api/appointments/series/{seriesId}": {
+        get: {
+          tags: ["Appointments"],
+          summary: "Series rule and its occurrences",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "seriesId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: { 200: { description: "OK" }, 403: { description: "Forbidden" }, 404: { description: "Not found" } }
+        },
+        delete: {
+          tags: ["Appointments"],
+          summary: "Cancel the remaining occurrences (use DELETE /api/appointments/{id} for one)",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "seriesId", in: "path", required: true, schema: { type: "integer" } },
+            { name: "from_date", in: "query", schema: { type: "string", format: "date" } }
+          ],
+          responses: { 200: { description: "Cancelled" }, 403: { description: "Forbidden" }, 404: { description: "Not found" } }
+        }
+      },
+      "/api/appointments/series/{seriesId}/reschedule": {
+        post: {
+          tags: ["Appointments"],
+          summary: "Move the remaining occurrences (use /api/appointments/{id}/reschedule for one)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "seriesId", in: "path", required: true, schema: { type: "integer" } }],
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/SeriesReschedule" } } }
+          },
+          responses: { 200: { description: "Moved occurrences and per-occurrence conflicts" }, 400: { description: "Invalid body" } }
+        }
+      },
+
+      // ---------- Waitlist ----------
+      "/api/waitlist": {
+        post: {
+          tags: ["Waitlist"],
+          summary: "Patient: join a doctor's waitlist for a date range",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/WaitlistJoin" } } }
+          },
+          responses: {
+            201: { description: "Created", content: { "application/json": { schema: { type: "object", properties: { waitlist_id: { type: "integer" } } } } } },
+            400: { description: "Invalid range / already waiting" },
+            404: { description: "Doctor not found" }
+          }
+        }
+      },
+      "/api/waitlist/my": {
+        get: {
+          tags: ["Waitlist"],
+          summary: "Patient: my active waitlist entries and pending offers",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/WaitlistEntry" } } } } }
+          }
+        }
+      },
+      "/api/waitlist/{waitlistId}": {
+        delete: {
+          tags: ["Waitlist"],
+          summary: "Patient: leave a waitlist",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "waitlistId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "Removed", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "Not found" }
+          }
+        }
+      },
+      "/api/waitlist/offers/{offerId}/accept": {
+        post: {
+          tags: ["Waitlist"],
+          summary: "Patient: accept a held slot and book it",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "offerId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            201: { description: "Booked", content: { "application/json": { schema: { type: "object", properties: { appointment_id: { type: "integer" } } } } } },
+            404: { description: "Offer not found" },
+            409: { description: "Offer no longer pending" },
+            410: { description: "Offer expired" }
+          }
+        }
+      },
+      "/api/waitlist/offers/{offerId}/decline": {
+        post: {
+          tags: ["Waitlist"],
+          summary: "Patient: decline a held slot (rolls to the next patient)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "offerId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "Declined", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "Offer not found" }
+          }
+        }
+      },
+
+      // ---------- Records ----------
+      "/api/records/upload": {
+        post: {
+          tags: ["Records"],
+          summary: "Upload medical file (Patient: self, Provider: requires patientId)",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "multipart/form-data": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    file: { type: "string", format: "binary", description: "PDF, image (PNG, JPEG, GIF, WebP, TIFF), DICOM or plain text, detected from the content" },
+                    patientId: { type: "integer", description: "Required only for Provider" },
+                    description: { type: "string" },
+                    category: { type: "string", enum: recordCategories },
+                    tags: { type: "string", description: "Comma-separated or a JSON array" },
+                    date_of_service: { type: "string", format: "date" },
+                    appointment_id: { type: "integer", description: "One of the patient's appointments" }
+                  },
+                  required: ["file"]
+                }
+              }
+            }
+          },
+          responses: {
+            200: { description: "Uploaded", content: { "application/json": { schema: { type: "object", properties: { message: { type: "string" }, record_id: { type: "integer" }, version: { type: "integer" }, file_url: { type: "string" }, file_name: { type: "string" }, description: { type: "string", nullable: true } } } } } },
+            403: { description: "Forbidden" },
+            ...uploadRejections
+          }
+        }
+      },
+      "/api/records/my": {
+        get: {
+          tags: ["Records"],
+          summary: "Patient: list my records (filter, search, sort, paginate)",
+          security: [{ bearerAuth: [] }],
+          parameters: recordListParams,
+          responses: {
+            200: recordListResponse,
+            400: { description: "Invalid filter" }
+          }
+        }
+      },
+      "/api/patient/search": {
+        get: {
+          tags: ["Patients"],
+          summary: "Front desk: search patients by name, email or phone (contact details only)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "q", in: "query", required: true, schema: { type: "string", minLength: 2 } }],
+          responses: {
+            200: { description: "OK (max 50)" },
+            403: { description: "Requires patients:search" }
+          }
+        }
+      },
+      "/api/patient/records": {
+        get: {
+          tags: ["Records"],
+          summary: "Alias: Patient records (if routed via /patient)",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/MedicalRecord" } } } } }
+          }
+        }
+      },
+      "/api/patient/access-log": {
+        get: {
+          tags: ["Patients"],
+          summary: "Patient: who accessed my records, newest first (default last 90 days)",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "from", in: "query", schema: { type: "string", format: "date-time" } },
+            { name: "to", in: "query", schema: { type: "string", format: "date-time" } },
+            { name: "page", in: "query", schema: { type: "integer", default: 1 } },
+            { name: "page_size", in: "query", schema: { type: "integer", default: 50, maximum: 100 } }
+          ],
+          responses: {
+            200: {
+              description: "OK",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      page: { type: "integer" },
+                      page_size: { type: "integer" },
+                      total: { type: "integer" },
+                      entries: { type: "array", items: { $ref: "#/components/schemas/AccessLogEntry" } }
+                    }
+                  }
+                }
+              }
+            },
+            400: { description: "Invalid date range" }
+          }
+        }
+      },
+      "/api/records/emergency-access": {
+        post: {
+          tags: ["Records"],
+          summary: "Provider: break the glass – time-limited access to all of a patient's records (patient and admins notified, admin review required)",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["patient_id", "reason"],
+                  properties: {
+                    patient_id: { type: "integer" },
+                    reason: { type: "string", minLength: 20 }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            201: { description: "Access open until expires_at (default 60 minutes)" },
+            400: { description: "Missing patient_id or reason too short" },
+            403: { description: "Requires records:emergency-access" },
+            404: { description: "Patient or doctor profile not found" },
+            409: { description: "Emergency access already active for this patient" }
+          }
+        }
+      },
+      "/api/records/consents": {
+        post: {
+          tags: ["Records"],
+          summary: "Patient: share all or selected records with a doctor for a period",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/ConsentCreate" } } }
+          },
+          responses: {
+            201: { description: "Created", content: { "application/json": { schema: { $ref: "#/components/schemas/Consent" } } } },
+            400: { description: "Invalid doctor, records or dates" }
+          }
+        },
+        get: {
+          tags: ["Records"],
+          summary: "Patient: my consent grants (active=true: who can currently see my records)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "active", in: "query", schema: { type: "boolean" } }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/Consent" } } } } }
+          }
+        }
+      },
+      "/api/records/consents/{consentId}": {
+        delete: {
+          tags: ["Records"],
+          summary: "Patient: revoke a consent grant",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "consentId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "Revoked", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "No active consent with that id" }
+          }
+        }
+      },
+      "/api/records/{recordId}": {
+        patch: {
+          tags: ["Records"],
+          summary: "Edit record metadata (Patient owner or the Provider who filed it); only sent fields change, null clears",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "recordId", in: "path", required: true, schema: { type: "integer" } }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    description: { type: "string", nullable: true, maxLength: 1000 },
+                    category: { type: "string", enum: recordCategories, nullable: true },
+                    tags: { type: "array", items: { type: "string" }, nullable: true },
+                    date_of_service: { type: "string", format: "date", nullable: true },
+                    appointment_id: { type: "integer", nullable: true }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: { description: "Updated", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            400: { description: "Invalid metadata" },
+            403: { description: "Forbidden" },
+            404: { description: "Not found" }
+          }
+        },
+        delete: {
+          tags: ["Records"],
+          summary: "Soft-delete a record (Patient owner or the Provider who filed it); restorable for RECORD_RETENTION_DAYS (default 30)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "recordId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "Deleted", content: { "application/json": { schema: { type: "object", properties: { message: { type: "string" }, restorable_until: { type: "string", format: "date-time" } } } } } },
+            403: { description: "Forbidden" },
+            404: { description: "Not found" }
+          }
+        }
+      },
+      "/api/records/{recordId}/content": {
+        get: {
+          tags: ["Records"],
+          summary: "Stream a record's file through the server (same access as the signed URL; supports Range)",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "recordId", in: "path", required: true, schema: { type: "integer" } },
+            { name: "download", in: "query", schema: { type: "boolean" }, description: "true: Content-Disposition attachment (default inline)" },
+            { name: "Range", in: "header", schema: { type: "string", example: "bytes=0-1048575" } }
+          ],
+          responses: {
+            200: { description: "Whole file" },
+            206: { description: "Requested byte range (Content-Range header)" },
+            403: { description: "Forbidden" },
+            404: { description: "Record or file not found" },
+            416: { description: "Range not satisfiable" }
+          }
+        }
+      },
+      "/api/records/doctor/patient/{patientId}": {
+        get: {
+          tags: ["Records"],
+          summary: "Provider: a patient's records I may see (filter, search, sort, paginate)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "patientId", in: "path", required: true, schema: { type: "integer" } }, ...recordListParams],
+          responses: {
+            200: recordListResponse,
+            400: { description: "Invalid filter" },
+            403: { description: "No relationship, consent or emergency access" }
+          }
+        }
+      },
+      "/api/records/deleted": {
+        get: {
+          tags: ["Records"],
+          summary: "Patient: my deleted records that can still be restored",
+          security: [{ bearerAuth: [] }],
+          responses: { 200: { description: "OK (with restorable_until)" } }
+        }
+      },
+      "/api/records/{recordId}/versions": {
+        get: {
+          tags: ["Records"],
+          summary: "All versions of a record, newest (current) first",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "recordId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "OK (each with content_url)" },
+            403: { description: "Forbidden" },
+            404: { description: "Not found" }
+          }
+        },
+        post: {
+          tags: ["Records"],
+          summary: "Upload a new version of a record (Patient owner or the Provider who filed it)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "recordId", in: "path", required: true, schema: { type: "integer" } }],
+          requestBody: {
+            required: true,
+            content: {
+              "multipart/form-data": {
+                schema: {
+                  type: "object",
                   properties: {
                     file: { type: "string", format: "binary" },
-                    patientId: { type: "integer", description: "Required only for Provider" }
+                    note: { type: "string", description: "What changed" }
                   },
                   required: ["file"]
                 }
@@ -341,43 +1503,339 @@ export const swaggerSpec = swaggerJsdoc({
             }
           },
           responses: {
-            200: { description: "Uploaded", content: { "application/json": { schema: { type: "object", properties: { message: { type: "string" }, url: { type: "string" }, blob: { type: "string" } } } } } },
-            403: { description: "Forbidden" }
+            201: { description: "Created (returns the new version number)" },
+            403: { description: "Forbidden" },
+            404: { description: "Not found" },
+            ...uploadRejections
           }
         }
       },
-      "/api/records/my": {
+      "/api/records/{recordId}/versions/{versionNo}/content": {
         get: {
           tags: ["Records"],
-          summary: "Patient: list my records",
+          summary: "Stream one version of a record (supports Range)",
           security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "recordId", in: "path", required: true, schema: { type: "integer" } },
+            { name: "versionNo", in: "path", required: true, schema: { type: "integer" } },
+            { name: "download", in: "query", schema: { type: "boolean" } }
+          ],
           responses: {
-            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/MedicalRecord" } } } } }
+            200: { description: "Whole file" },
+            206: { description: "Requested byte range" },
+            404: { description: "Record or version not found" },
+            416: { description: "Range not satisfiable" }
           }
         }
       },
-      "/api/patient/records": {
-        get: {
+      "/api/records/{recordId}/restore": {
+        post: {
           tags: ["Records"],
-          summary: "Alias: Patient records (if routed via /patient)",
+          summary: "Patient: restore my deleted record within the retention window",
           security: [{ bearerAuth: [] }],
+          parameters: [{ name: "recordId", in: "path", required: true, schema: { type: "integer" } }],
           responses: {
-            200: { description: "OK", content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/MedicalRecord" } } } } }
+            200: { description: "Restored", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "No deleted record with that id" },
+            410: { description: "Retention window has passed" }
           }
         }
       },
-      "/api/records/{recordId}": {
-        delete: {
+      "/api/files/{key}": {
+        get: {
           tags: ["Records"],
-          summary: "Delete a record (Patient owner or Provider related to patient)",
+          summary: "Download via a signed link (local storage driver only; the link is the permission)",
+          parameters: [
+            { name: "key", in: "path", required: true, schema: { type: "string" } },
+            { name: "expires", in: "query", required: true, schema: { type: "integer" }, description: "Unix seconds" },
+            { name: "sig", in: "query", required: true, schema: { type: "string" }, description: "HMAC-SHA256 of key and expires" }
+          ],
+          responses: {
+            200: { description: "File contents" },
+            403: { description: "Invalid or expired link" },
+            404: { description: "Not found (or storage driver is not local)" }
+          }
+        }
+      },
+      // ---------- Admin (all require the Admin role) ----------
+      "/api/admin/users": {
+        get: {
+          tags: ["Admin"],
+          summary: "List / search users",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "q", in: "query", schema: { type: "string" }, description: "Matches name or email" },
+            { name: "role", in: "query", schema: { type: "string", enum: ["Patient", "Provider", "Receptionist", "Admin"] } },
+            { name: "status", in: "query", schema: { type: "string", enum: ["Active", "PendingApproval", "Rejected", "Deactivated"] } },
+            { name: "page", in: "query", schema: { type: "integer", default: 1 } },
+            { name: "page_size", in: "query", schema: { type: "integer", default: 25, maximum: 100 } }
+          ],
+          responses: {
+            200: {
+              description: "OK",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      page: { type: "integer" },
+                      page_size: { type: "integer" },
+                      total: { type: "integer" },
+                      users: { type: "array", items: { $ref: "#/components/schemas/AdminUser" } }
+                    }
+                  }
+                }
+              }
+            },
+            403: { description: "Admins only" }
+          }
+        }
+      },
+      "/api/admin/providers/pending": {
+        get: {
+          tags: ["Admin"],
+          summary: "Provider registrations awaiting approval",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: { description: "OK" },
+            403: { description: "Admins only" }
+          }
+        }
+      },
+      "/api/admin/providers/{userId}/approve": {
+        post: {
+          tags: ["Admin"],
+          summary: "Approve a pending (or previously rejected) provider",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "userId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "Not found" },
+            409: { description: "Not in a state that allows this" }
+          }
+        }
+      },
+      "/api/admin/providers/{userId}/reject": {
+        post: {
+          tags: ["Admin"],
+          summary: "Reject a pending provider (emails the reason)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "userId", in: "path", required: true, schema: { type: "integer" } }],
+          requestBody: {
+            content: { "application/json": { schema: { type: "object", properties: { reason: { type: "string" } } } } }
+          },
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "Not found" },
+            409: { description: "Not in a state that allows this" }
+          }
+        }
+      },
+      "/api/admin/users/{userId}/deactivate": {
+        post: {
+          tags: ["Admin"],
+          summary: "Deactivate an account and log it out everywhere",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "userId", in: "path", required: true, schema: { type: "integer" } }],
+          requestBody: {
+            content: { "application/json": { schema: { type: "object", properties: { reason: { type: "string" } } } } }
+          },
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "Not found" },
+            409: { description: "Not in a state that allows this" }
+          }
+        }
+      },
+      "/api/admin/users/{userId}/reactivate": {
+        post: {
+          tags: ["Admin"],
+          summary: "Reactivate a deactivated account",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "userId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "Not found" },
+            409: { description: "Not in a state that allows this" }
+          }
+        }
+      },
+      "/api/admin/users/{userId}/role": {
+        put: {
+          tags: ["Admin"],
+          summary: "Change a user's role (logs them out)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "userId", in: "path", required: true, schema: { type: "integer" } }],
+          requestBody: {
+            content: { "application/json": { schema: { type: "object", required: ["role"], properties: { role: { type: "string", enum: ["Patient", "Provider", "Receptionist", "Admin"] } } } } }
+          },
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            400: { description: "Invalid role / own account" },
+            404: { description: "Not found" }
+          }
+        }
+      },
+      "/api/admin/users/{userId}/reset-credentials": {
+        post: {
+          tags: ["Admin"],
+          summary: "Email a password reset link, lift lockout, log out everywhere",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "userId", in: "path", required: true, schema: { type: "integer" } }],
+          requestBody: {
+            content: { "application/json": { schema: { type: "object", properties: { reset_two_factor: { type: "boolean", default: false } } } } }
+          },
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "Not found" }
+          }
+        }
+      },
+      "/api/admin/users/{userId}/unlock": {
+        post: {
+          tags: ["Admin"],
+          summary: "Clear failed logins and lift a lockout",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "userId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "Not found" }
+          }
+        }
+      },
+      "/api/admin/emergency-access": {
+        get: {
+          tags: ["Admin"],
+          summary: "Break-the-glass grants, newest first (default: awaiting review)",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "status", in: "query", schema: { type: "string", enum: ["pending", "reviewed", "all"], default: "pending" } },
+            { name: "page", in: "query", schema: { type: "integer", default: 1 } },
+            { name: "page_size", in: "query", schema: { type: "integer", default: 25, maximum: 100 } }
+          ],
+          responses: {
+            200: {
+              description: "OK",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      page: { type: "integer" },
+                      page_size: { type: "integer" },
+                      total: { type: "integer" },
+                      grants: { type: "array", items: { $ref: "#/components/schemas/EmergencyAccessGrant" } }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      "/api/admin/emergency-access/{grantId}": {
+        get: {
+          tags: ["Admin"],
+          summary: "One grant plus the record accesses made under it",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "grantId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "Grant with accesses[] from the record access log" },
+            404: { description: "Not found" }
+          }
+        }
+      },
+      "/api/admin/emergency-access/{grantId}/review": {
+        post: {
+          tags: ["Admin"],
+          summary: "Record the mandatory review (Unjustified also ends open access)",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "grantId", in: "path", required: true, schema: { type: "integer" } }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["outcome"],
+                  properties: {
+                    outcome: { type: "string", enum: ["Justified", "Unjustified"] },
+                    notes: { type: "string", description: "Required for Unjustified" }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: { description: "Review recorded" },
+            400: { description: "Invalid outcome or missing notes" },
+            404: { description: "Not found" },
+            409: { description: "Already reviewed" }
+          }
+        }
+      },
+      "/api/admin/records/deleted": {
+        get: {
+          tags: ["Admin"],
+          summary: "Deleted medical records still inside the retention window",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "patient_id", in: "query", schema: { type: "integer" } }],
+          responses: { 200: { description: "OK (with restorable_until)" } }
+        }
+      },
+      "/api/admin/records/{recordId}/restore": {
+        post: {
+          tags: ["Admin"],
+          summary: "Restore a deleted medical record within the retention window",
           security: [{ bearerAuth: [] }],
           parameters: [{ name: "recordId", in: "path", required: true, schema: { type: "integer" } }],
+          responses: {
+            200: { description: "Restored", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
+            404: { description: "Not found" },
+            409: { description: "Record is not deleted" },
+            410: { description: "Retention window has passed" }
+          }
+        }
+      },
+      "/api/admin/quarantine": {
+        get: {
+          tags: ["Admin"],
+          summary: "Uploads quarantined by the malware scan, newest first",
+          security: [{ bearerAuth: [] }],
+          responses: { 200: { description: "OK (name, detected and claimed type, signature, uploader, patient)" } }
+        }
+      },
+      "/api/admin/quarantine/{quarantineId}": {
+        delete: {
+          tags: ["Admin"],
+          summary: "Permanently delete a quarantined upload",
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: "quarantineId", in: "path", required: true, schema: { type: "integer" } }],
           responses: {
             200: { description: "Deleted", content: { "application/json": { schema: { $ref: "#/components/schemas/ApiMessage" } } } },
-            403: { description: "Forbidden" },
             404: { description: "Not found" }
           }
         }
+      },
+      "/api/admin/access-log": {
+        get: {
+          tags: ["Admin"],
+          summary: "Export the medical record access log for a date range (max one year, default last 30 days)",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "from", in: "query", schema: { type: "string", format: "date-time" } },
+            { name: "to", in: "query", schema: { type: "string", format: "date-time" } },
+            { name: "patient_id", in: "query", schema: { type: "integer" } },
+            { name: "format", in: "query", schema: { type: "string", enum: ["json", "csv"], default: "json" } }
+          ],
+          responses: {
+            200: {
+              description: "Log entries oldest first, incl. patient name and IP address",
+              content: { "application/json": { schema: { type: "object" } }, "text/csv": { schema: { type: "string" } } }
+            },
+            400: { description: "Invalid date range or format" }
+          }
+        }
       }
     }
   },
@@ -0,0 +1,72 @@
+// utils/accessLog.js
+import sql from "mssql";
+
+export const ACCESS_ACTIONS = [
+  "List",
+  "Upload",
+  "SignedUrl",
+  "Download",
+  "Delete",
+  "Restore",
+  "Update",
+];
+
+/**
+ * Append one RecordAccessLog row per record touched by this request.
+ * `records` are MedicalRecords rows (need record_id + patient_id).
+ * Awaited before responding: if the access can't be logged, the request fails.
+ */
+export async function logRecordAccess(req, action, records) {
+  if (!ACCESS_ACTIONS.includes(action)) {
+    throw new Error(`Unknown record access action: ${action}`);
+  }
+  if (!records.length) return;
+
+  const rows = JSON.stringify(
+    records.map((r) => ({ record_id: r.record_id, patient_id: r.patient_id }))
+  );
+  const { user_id, role } = req.user;
+  const ip = req.ip || null;
+
+  await sql.query`
+    INSERT INTO RecordAccessLog (record_id, patient_id, actor_user_id, actor_role, action, ip_address)
+    SELECT j.record_id, j.patient_id, ${user_id}, ${role}, ${action}, ${ip}
+    FROM OPENJSON(${rows}) WITH (record_id INT, patient_id INT) j
+  `;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse ?from=&to= (ISO dates or datetimes, UTC) into a [from, to) window.
+ * A date-only `to` covers that whole day. Defaults to the last `defaultDays`;
+ * windows longer than `maxDays` are refused. Returns { from, to } or { error }.
+ */
+export function parseLogRange(query, { defaultDays = 30, maxDays = 366 } = {}) {
+  let to = query.to ? new Date(query.to) : new Date();
+  if (Number.isNaN(to.getTime())) return { error: "Invalid to date" };
+  if (query.to && DATE_ONLY.test(query.to)) to = new Date(+to + DAY_MS);
+
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(+to - defaultDays * DAY_MS);
+  if (Number.isNaN(from.getTime())) return { error: "Invalid from date" };
+
+  if (from >= to) return { error: "from must be before to" };
+  if (to - from > maxDays * DAY_MS) {
+    return { error: `Date range cannot exceed ${maxDays} days` };
+  }
+  return { from, to };
+}
+
+/** Rows -> CSV text with a header line (RFC 4180 quoting). */
+export function toCsv(rows, columns) {
+  const cell = (v) => {
+    if (v === null || v === undefined) return "";
+    const s = v instanceof Date ? v.toISOString() : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = rows.map((row) => columns.map((c) => cell(row[c])).join(","));
+  return [columns.join(","), ...lines].join("\r\n") + "\r\n";
+}
@@ -0,0 +1,100 @@
+// utils/accountTokens.js
+import crypto from "crypto";
+import sql from "mssql";
+import { sendEmail } from "./email.js";
+
+/** Lifetimes in minutes per purpose. */
+export const TOKEN_TTL_MINUTES = {
+  VerifyEmail: 24 * 60,
+  PasswordReset: 30,
+};
+
+// where the links in emails point (the frontend handles ?token=...)
+const APP_URL = (
+  process.env.APP_URL ||
+  "https://healthcareblobstorage.z29.web.core.windows.net"
+).replace(/\/+$/, "");
+
+const sign = (secret) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(secret)
+    .digest("hex");
+
+/**
+ * Issue a fresh token for `purpose`. Older unused tokens of the same purpose
+ * are retired so only the latest email link works.
+ */
+export async function issueAccountToken(userId, purpose) {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000
+  );
+
+  await sql.query`
+    UPDATE AccountTokens SET used_at = GETUTCDATE()
+    WHERE user_id = ${userId} AND purpose = ${purpose} AND used_at IS NULL
+  `;
+  const r = await sql.query`
+    INSERT INTO AccountTokens (user_id, purpose, token_hash, expires_at)
+    OUTPUT INSERTED.token_id
+    VALUES (${userId}, ${purpose}, ${sign(secret)}, ${expiresAt})
+  `;
+  return `${r.recordset[0].token_id}.${secret}`;
+}
+
+/**
+ * Check a token and mark it used in one step.
+ * Returns the user_id it belongs to, or null if it is unknown, expired,
+ * already used or for a different purpose.
+ */
+export async function consumeAccountToken(token, purpose) {
+  const [id, secret] = String(token || "").split(".");
+  const tokenId = Number(id);
+  if (!Number.isInteger(tokenId) || tokenId <= 0 || !secret) return null;
+
+  const r = await sql.query`
+    UPDATE AccountTokens
+    SET used_at = GETUTCDATE()
+    OUTPUT INSERTED.user_id
+    WHERE token_id = ${tokenId}
+      AND purpose = ${purpose}
+      AND token_hash = ${sign(secret)}
+      AND used_at IS NULL
+      AND expires_at > GETUTCDATE()
+  `;
+  return r.recordset[0]?.user_id || null;
+}
+
+export async function sendVerificationEmail(user) {
+  const token = await issueAccountToken(user.user_id, "VerifyEmail");
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: "Confirm your email address",
+    html: `
+      <p>Hi ${user.full_name},</p>
+      <p>Please confirm your email address to activate your account:</p>
+      <p><a href="${link}">Verify my email</a></p>
+      <p>This link expires in 24 hours.</p>
+    `,
+  });
+}
+
+export async function sendPasswordResetEmail(user) {
+  const token = await issueAccountToken(user.user_id, "PasswordReset");
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  const minutes = TOKEN_TTL_MINUTES.PasswordReset;
+
+  await sendEmail({
+    to: user.email,
+    subject: "Reset your password",
+    html: `
+      <p>Hi ${user.full_name},</p>
+      <p>We received a request to reset your password:</p>
+      <p><a href="${link}">Choose a new password</a></p>
+      <p>This link expires in ${minutes} minutes. If you did not ask for this, you can ignore this email.</p>
+    `,
+  });
+}
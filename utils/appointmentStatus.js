@@ -0,0 +1,77 @@
+// utils/appointmentStatus.js
+import sql from "mssql";
+
+export const APPOINTMENT_STATUSES = [
+  "Requested",
+  "Scheduled",
+  "CheckedIn",
+  "InProgress",
+  "Completed",
+  "Cancelled",
+  "NoShow",
+];
+
+// Allowed next states. Completed, Cancelled and NoShow are terminal.
+// Scheduled -> Completed stays allowed for clinics that skip check-in.
+const TRANSITIONS = {
+  Requested: ["Scheduled", "Cancelled"],
+  Scheduled: ["CheckedIn", "Completed", "Cancelled", "NoShow"],
+  CheckedIn: ["InProgress", "Completed", "Cancelled"],
+  InProgress: ["Completed"],
+  Completed: [],
+  Cancelled: [],
+  NoShow: [],
+};
+
+/** null if `from` -> `to` is allowed, else a message for a 400 */
+export function transitionError(from, to) {
+  if (!APPOINTMENT_STATUSES.includes(to)) return "Invalid status";
+  if (from === to) return `Appointment is already ${to}`;
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    return `Cannot change status from ${from} to ${to}`;
+  }
+  return null;
+}
+
+/**
+ * Move an appointment from `from` to `to` and append a history row.
+ * The UPDATE is conditional on the current status so a concurrent change
+ * makes this a no-op; returns false in that case. Pass `tx` to enlist in a
+ * caller's transaction. `changedBy` is a user_id, or null for system jobs.
+ */
+export async function changeAppointmentStatus(
+  { appointmentId, from, to, changedBy = null, reason = null },
+  tx
+) {
+  const upd = await new sql.Request(tx)
+    .input("id", sql.Int, appointmentId)
+    .input("from", sql.VarChar(20), from)
+    .input("to", sql.VarChar(20), to).query(`
+      UPDATE Appointments
+      SET status = @to
+      WHERE appointment_id = @id AND status = @from;
+
+      SELECT @@ROWCOUNT AS affected;
+    `);
+  if (!upd.recordset?.[0]?.affected) return false;
+
+  await recordStatusHistory({ appointmentId, from, to, changedBy, reason }, tx);
+  return true;
+}
+
+/** Append a history row without touching Appointments (e.g. after booking) */
+export async function recordStatusHistory(
+  { appointmentId, from = null, to, changedBy = null, reason = null },
+  tx
+) {
+  await new sql.Request(tx)
+    .input("id", sql.Int, appointmentId)
+    .input("from", sql.VarChar(20), from)
+    .input("to", sql.VarChar(20), to)
+    .input("by", sql.Int, changedBy)
+    .input("reason", sql.NVarChar(255), reason).query(`
+      INSERT INTO AppointmentStatusHistory
+        (appointment_id, from_status, to_status, changed_by, reason)
+      VALUES (@id, @from, @to, @by, @reason)
+    `);
+}
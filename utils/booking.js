@@ -0,0 +1,237 @@
+// utils/booking.js
+import sql from "mssql";
+import { sendEmail } from "./email.js";
+import { recordStatusHistory } from "./appointmentStatus.js";
+import { validateRequestedSlot } from "./schedule.js";
+
+/**
+ * Book through dbo.ScheduleAppointment (the SP keeps its own guards), stamp
+ * who booked it and how (`source`: Patient | Provider | Waitlist) and start
+ * the status history. Slot validation is the caller's job
+ * (validateRequestedSlot in utils/schedule.js). Returns appointment_id.
+ */
+export async function scheduleAppointment({
+  patientId,
+  doctorId,
+  dateOnly,
+  timeOnly,
+  bookedBy,
+  source = "Patient",
+  reason = "Booked",
+}) {
+  // Execute SP (send time as VarChar to avoid TZ issues)
+  const result = await new sql.Request()
+    .input("patient_id", sql.Int, Number(patientId))
+    .input("doctor_id", sql.Int, Number(doctorId))
+    .input("appointment_date", sql.Date, dateOnly)
+    .input("appointment_time", sql.VarChar, timeOnly)
+    .execute("dbo.ScheduleAppointment");
+
+  const appointment_id = result.recordset?.[0]?.appointment_id;
+  if (!appointment_id) throw new Error("SP did not return appointment_id");
+
+  await sql.query`
+    UPDATE Appointments
+    SET booked_by = ${bookedBy}, booking_source = ${source}
+    WHERE appointment_id = ${appointment_id}
+  `;
+
+  try {
+    await recordStatusHistory({
+      appointmentId: appointment_id,
+      to: "Scheduled",
+      changedBy: bookedBy,
+      reason,
+    });
+  } catch (e) {
+    console.warn("⚠️ Status history logging failed:", e?.message || e);
+  }
+
+  return appointment_id;
+}
+
+/**
+ * Move a Scheduled appointment (row with appointment_id, doctor_id, status)
+ * to a new clinic-local date + time in one transaction, recording where it
+ * came from in AppointmentReschedules and dropping unsent reminders.
+ * Returns { status, error } on failure or { newDate, previousDate }.
+ */
+export async function moveAppointment(
+  appt,
+  dateOnly,
+  timeOnly,
+  { changedBy, reason = null }
+) {
+  const apptId = appt.appointment_id;
+  if (appt.status !== "Scheduled") {
+    return {
+      status: 400,
+      error: `Cannot reschedule a ${appt.status} appointment`,
+    };
+  }
+
+  const check = await validateRequestedSlot(
+    appt.doctor_id,
+    dateOnly,
+    timeOnly,
+    { ignoreAppointmentId: apptId }
+  );
+  if (check.error) return check;
+  const newDate = `${dateOnly}T${timeOnly}`;
+
+  const tx = new sql.Transaction();
+  await tx.begin();
+  try {
+    // re-check the slot under lock so two concurrent moves cannot both win
+    const clash = await new sql.Request(tx)
+      .input("doctor_id", sql.Int, appt.doctor_id)
+      .input("id", sql.Int, apptId)
+      .input("new_date", sql.VarChar, newDate).query(`
+        SELECT TOP 1 1 FROM Appointments WITH (UPDLOCK, HOLDLOCK)
+        WHERE doctor_id = @doctor_id
+          AND appointment_id <> @id
+          AND status != 'Cancelled'
+          AND appointment_date = CAST(@new_date AS DATETIME)
+      `);
+    if (clash.recordset.length) {
+      await tx.rollback();
+      return { status: 400, error: "Requested slot is no longer available" };
+    }
+
+    const moved = await new sql.Request(tx)
+      .input("id", sql.Int, apptId)
+      .input("new_date", sql.VarChar, newDate).query(`
+        UPDATE Appointments
+        SET appointment_date = CAST(@new_date AS DATETIME)
+        OUTPUT DELETED.appointment_date AS previous_date
+        WHERE appointment_id = @id AND status = 'Scheduled'
+      `);
+    if (!moved.recordset.length) {
+      await tx.rollback();
+      return { status: 409, error: "Appointment changed; try again" };
+    }
+    const previousDate = moved.recordset[0].previous_date;
+
+    await new sql.Request(tx)
+      .input("id", sql.Int, apptId)
+      .input("previous_date", sql.DateTime, previousDate)
+      .input("new_date", sql.VarChar, newDate)
+      .input("by", sql.Int, changedBy)
+      .input("reason", sql.NVarChar(255), reason).query(`
+        INSERT INTO AppointmentReschedules
+          (appointment_id, previous_date, new_date, rescheduled_by, reason)
+        VALUES (@id, @previous_date, CAST(@new_date AS DATETIME), @by, @reason)
+      `);
+
+    // reminders were for the old slot
+    await new sql.Request(tx)
+      .input("id", sql.Int, apptId)
+      .query(
+        `DELETE FROM Notifications WHERE appointment_id = @id AND sent_at IS NULL`
+      );
+
+    await tx.commit();
+    return { newDate, previousDate };
+  } catch (err) {
+    try {
+      await tx.rollback();
+    } catch {}
+    throw err;
+  }
+}
+
+/**
+ * Map dbo.ScheduleAppointment guard errors (and FK errors) to a 400.
+ * Returns { status, error } or null for anything unexpected.
+ */
+export function bookingErrorResponse(err) {
+  const num = err?.originalError?.info?.number || err?.number;
+  const msg = err?.originalError?.info?.message || err.message;
+
+  // surface your SP guard messages
+  if ([50001, 50002, 50003, 50004, 50005, 50006].includes(num)) {
+    return { status: 400, error: msg };
+  }
+  if (num === 547) {
+    // FK errors
+    return { status: 400, error: msg };
+  }
+  return null;
+}
+
+/**
+ * Send the "Appointment Confirmed" email (best effort) & log Notification.
+ * `intro` lets callers change the first sentence, e.g. for provider bookings.
+ */
+export async function sendBookingConfirmation(appointment_id, { intro } = {}) {
+  try {
+    const info = await sql.query`
+      SELECT 
+        u.email       AS patient_email,
+        u.full_name   AS patient_name,
+        a.appointment_date,
+        du.full_name  AS doctor_name
+      FROM Appointments a
+      JOIN Patients p   ON a.patient_id = p.patient_id
+      JOIN Users u      ON p.user_id    = u.user_id
+      JOIN Doctors d    ON a.doctor_id  = d.doctor_id
+      JOIN Users du     ON d.user_id    = du.user_id
+      WHERE a.appointment_id = ${appointment_id}
+    `;
+
+    const row = info.recordset[0];
+    const toEmail = (row?.patient_email ?? "").toString().trim();
+    const docName = (row?.doctor_name ?? "").toString();
+    const patName = (row?.patient_name ?? "").toString();
+    function fmtClinic(dt) {
+      const d = new Date(dt);
+      // subtract 5h30m
+      d.setMinutes(d.getMinutes() - 330);
+      return new Intl.DateTimeFormat("en-IN", {
+        timeZone: "Asia/Kolkata",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+        hour12: true,
+      }).format(d);
+    }
+
+    const whenIST = fmtClinic(row?.appointment_date);
+
+    let sentOK = false;
+
+    try {
+      await sendEmail({
+        to: toEmail,
+        subject: `Appointment Confirmed with ${docName}`,
+        html: `
+          <p>Hi ${patName || "there"},</p>
+          <p>${intro || "Your appointment"} with <b>${
+          docName || "our provider"
+        }</b> is confirmed for 
+          <b>${whenIST}</b>.</p>
+          <p>Thanks!</p>
+        `,
+      });
+      sentOK = true;
+    } catch (e) {
+      console.warn("Confirmation email send failed:", e?.message || e);
+    }
+
+    if (sentOK) {
+      await sql.query`
+        INSERT INTO Notifications (appointment_id, sent_at, status)
+        VALUES (${appointment_id}, GETUTCDATE(), 'Sent')
+      `;
+    } else {
+      await sql.query`
+        INSERT INTO Notifications (appointment_id, sent_at, status)
+        VALUES (${appointment_id}, NULL, 'Failed')
+      `;
+    }
+  } catch (e) {
+    console.warn("⚠️ Confirmation logging failed:", e?.message || e);
+  }
+}
@@ -0,0 +1,127 @@
+// utils/consent.js
+import sql from "mssql";
+
+/**
+ * Whether `doctorId` may see `record` ({ record_id, patient_id, doctor_id }):
+ * they filed it / it was addressed to them, an active consent grant from the
+ * patient covers it, or they hold active emergency access to the patient.
+ * "Active" is defined once, by the views in sql/020_active_access_views.sql.
+ */
+export async function consentCoversRecord(doctorId, record) {
+  if (!doctorId) return false;
+  if (record.doctor_id === doctorId) return true;
+
+  const r = await sql.query`
+    SELECT TOP 1 1 AS ok
+    FROM ActiveRecordConsents c
+    WHERE c.patient_id = ${record.patient_id}
+      AND c.doctor_id = ${doctorId}
+      AND (
+        c.scope = 'All'
+        OR EXISTS (
+          SELECT 1 FROM RecordConsentItems i
+          WHERE i.consent_id = c.consent_id AND i.record_id = ${record.record_id}
+        )
+      )
+    UNION ALL
+    SELECT TOP 1 1 AS ok
+    FROM ActiveEmergencyAccessGrants g
+    WHERE g.patient_id = ${record.patient_id}
+      AND g.doctor_id = ${doctorId}
+  `;
+  return r.recordset.length > 0;
+}
+
+/** Does the doctor hold any active grant from this patient? */
+export async function hasActiveConsent(doctorId, patientId) {
+  const r = await sql.query`
+    SELECT TOP 1 1 AS ok
+    FROM ActiveRecordConsents
+    WHERE patient_id = ${patientId}
+      AND doctor_id = ${doctorId}
+  `;
+  return r.recordset.length > 0;
+}
+
+/**
+ * Validate a grant request body for `patientId`.
+ * Returns { grant: { doctorId, recordIds|null, startsAt, expiresAt } } or { error }.
+ */
+export async function normalizeConsent(body = {}, patientId) {
+  const doctorId = Number(body.doctor_id);
+  if (!doctorId) return { error: "doctor_id is required" };
+
+  const doc = await sql.query`
+    SELECT doctor_id FROM Doctors WHERE doctor_id = ${doctorId}
+  `;
+  if (!doc.recordset.length) return { error: "Doctor not found" };
+
+  const startsAt = body.starts_at ? new Date(body.starts_at) : new Date();
+  const expiresAt = body.expires_at ? new Date(body.expires_at) : null;
+  if (isNaN(startsAt) || (expiresAt && isNaN(expiresAt))) {
+    return { error: "starts_at / expires_at must be ISO dates" };
+  }
+  if (expiresAt && expiresAt <= startsAt) {
+    return { error: "expires_at must be after starts_at" };
+  }
+  if (expiresAt && expiresAt <= new Date()) {
+    return { error: "expires_at must be in the future" };
+  }
+
+  // omitted record_ids = everything, including records uploaded later
+  let recordIds = null;
+  if (body.record_ids !== undefined) {
+    if (!Array.isArray(body.record_ids) || !body.record_ids.length) {
+      return { error: "record_ids must be a non-empty array when given" };
+    }
+    recordIds = [...new Set(body.record_ids.map(Number))];
+    if (recordIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+      return { error: "record_ids must be record ids" };
+    }
+
+    // every record must be this patient's
+    const idsJson = JSON.stringify(recordIds);
+    const owned = await sql.query`
+      SELECT record_id FROM MedicalRecords
+      WHERE patient_id = ${patientId}
+        AND deleted_at IS NULL
+        AND record_id IN (SELECT value FROM OPENJSON(${idsJson}))
+    `;
+    if (owned.recordset.length !== recordIds.length) {
+      return { error: "Some records were not found" };
+    }
+  }
+
+  return { grant: { doctorId, recordIds, startsAt, expiresAt } };
+}
+
+/** Store a grant (and its record list) in one transaction; returns consent_id. */
+export async function createConsent(patientId, grant) {
+  const { doctorId, recordIds, startsAt, expiresAt } = grant;
+  const scope = recordIds ? "Selected" : "All";
+
+  const tx = new sql.Transaction();
+  await tx.begin();
+  try {
+    const ins = await new sql.Request(tx).query`
+      INSERT INTO RecordConsents (patient_id, doctor_id, scope, starts_at, expires_at)
+      OUTPUT INSERTED.consent_id
+      VALUES (${patientId}, ${doctorId}, ${scope}, ${startsAt}, ${expiresAt})
+    `;
+    const consentId = ins.recordset[0].consent_id;
+
+    for (const recordId of recordIds || []) {
+      await new sql.Request(tx).query`
+        INSERT INTO RecordConsentItems (consent_id, record_id)
+        VALUES (${consentId}, ${recordId})
+      `;
+    }
+    await tx.commit();
+    return consentId;
+  } catch (err) {
+    try {
+      await tx.rollback();
+    } catch {}
+    throw err;
+  }
+}
@@ -50,3 +50,14 @@ export async function sendEmail({ to, subject, html, text }) {
   const result = await poller.pollUntilDone();
   return result;
 }
+
+// user-supplied text (names, reasons) going into an email's HTML
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+export const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
@@ -0,0 +1,151 @@
+// utils/emergencyAccess.js
+import sql from "mssql";
+import { sendEmail, escapeHtml } from "./email.js";
+
+const envInt = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+// how long a break-the-glass grant lasts (env EMERGENCY_ACCESS_MINUTES)
+export const EMERGENCY_ACCESS_MINUTES = envInt("EMERGENCY_ACCESS_MINUTES", 60);
+export const MIN_REASON_LENGTH = 20;
+export const REVIEW_OUTCOMES = ["Justified", "Unjustified"];
+
+async function activeAdminEmails() {
+  const r = await sql.query`
+    SELECT email FROM Users
+    WHERE user_role = 'Admin' AND account_status = 'Active'
+  `;
+  return r.recordset.map((a) => a.email);
+}
+
+/**
+ * Send `message` ({ subject, html }) to every active admin, one email each so
+ * no admin sees the others' addresses. A failed send is logged and skipped.
+ */
+async function emailAdmins(message) {
+  for (const to of await activeAdminEmails()) {
+    try {
+      await sendEmail({ ...message, to });
+    } catch (e) {
+      console.warn(`Admin email to ${to} failed:`, e?.message || e);
+    }
+  }
+}
+
+/** The doctor's active emergency grant for this patient, or null. */
+export async function getActiveEmergencyGrant(doctorId, patientId) {
+  if (!doctorId || !patientId) return null;
+  const r = await sql.query`
+    SELECT TOP 1 grant_id, doctor_id, patient_id, reason, granted_at, expires_at
+    FROM ActiveEmergencyAccessGrants
+    WHERE doctor_id = ${doctorId}
+      AND patient_id = ${patientId}
+    ORDER BY expires_at DESC
+  `;
+  return r.recordset[0] || null;
+}
+
+export async function hasEmergencyAccess(doctorId, patientId) {
+  return !!(await getActiveEmergencyGrant(doctorId, patientId));
+}
+
+/**
+ * Open time-limited access to all of `patientId`'s records for `doctorId`.
+ * Returns the new EmergencyAccessGrants row.
+ */
+export async function openEmergencyAccess(doctorId, patientId, reason) {
+  const r = await sql.query`
+    INSERT INTO EmergencyAccessGrants (doctor_id, patient_id, reason, expires_at)
+    OUTPUT INSERTED.grant_id, INSERTED.doctor_id, INSERTED.patient_id,
+           INSERTED.reason, INSERTED.granted_at, INSERTED.expires_at
+    VALUES (${doctorId}, ${patientId}, ${reason},
+            DATEADD(minute, ${EMERGENCY_ACCESS_MINUTES}, GETUTCDATE()))
+  `;
+  return r.recordset[0];
+}
+
+/**
+ * Tell the patient and every active admin that `grant` was opened.
+ * Best-effort: a failed email never undoes the access.
+ */
+export async function notifyEmergencyAccess(grant) {
+  const r = await sql.query`
+    SELECT du.full_name AS doctor_name, pu.full_name AS patient_name,
+           pu.email AS patient_email
+    FROM Doctors d
+    JOIN Users du ON du.user_id = d.user_id
+    JOIN Patients p ON p.patient_id = ${grant.patient_id}
+    JOIN Users pu ON pu.user_id = p.user_id
+    WHERE d.doctor_id = ${grant.doctor_id}
+  `;
+  const info = r.recordset[0];
+  if (!info) return;
+
+  const reason = escapeHtml(grant.reason);
+  const doctor = escapeHtml(info.doctor_name);
+  const patient = escapeHtml(info.patient_name);
+  const until = grant.expires_at.toISOString().replace("T", " ").slice(0, 16);
+
+  try {
+    await sendEmail({
+      to: info.patient_email,
+      subject: "Emergency access to your medical records",
+      html: `
+        <p>Hi ${patient},</p>
+        <p>Dr. ${doctor} used emergency access to view your medical records.</p>
+        <p>Reason given: ${reason}</p>
+        <p>Access ends at ${until} UTC. Every emergency access is reviewed by our staff.</p>
+      `,
+    });
+  } catch (e) {
+    console.warn("Emergency access patient email failed:", e?.message || e);
+  }
+
+  await emailAdmins({
+    subject: "Emergency record access needs review",
+    html: `
+      <p>Dr. ${doctor} opened emergency access to the records of ${patient} (grant #${grant.grant_id}).</p>
+      <p>Reason given: ${reason}</p>
+      <p>Access ends at ${until} UTC. Please review it in the admin console.</p>
+    `,
+  });
+}
+
+/**
+ * Email admins the grants still unreviewed more than a day after they were
+ * opened. Returns how many are overdue.
+ */
+export async function remindPendingReviews() {
+  const r = await sql.query`
+    SELECT g.grant_id, g.granted_at, du.full_name AS doctor_name,
+           pu.full_name AS patient_name
+    FROM EmergencyAccessGrants g
+    JOIN Doctors d  ON d.doctor_id = g.doctor_id
+    JOIN Users du   ON du.user_id = d.user_id
+    JOIN Patients p ON p.patient_id = g.patient_id
+    JOIN Users pu   ON pu.user_id = p.user_id
+    WHERE g.reviewed_at IS NULL
+      AND g.granted_at < DATEADD(day, -1, GETUTCDATE())
+    ORDER BY g.granted_at
+  `;
+  const overdue = r.recordset;
+  if (!overdue.length) return 0;
+
+  const items = overdue
+    .map(
+      (g) =>
+        `<li>#${g.grant_id}: Dr. ${escapeHtml(g.doctor_name)} → ` +
+        `${escapeHtml(g.patient_name)}</li>`
+    )
+    .join("");
+  await emailAdmins({
+    subject: `${overdue.length} emergency access review(s) overdue`,
+    html: `
+      <p>These emergency accesses are still waiting for a review:</p>
+      <ul>${items}</ul>
+    `,
+  });
+  return overdue.length;
+}
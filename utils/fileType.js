@@ -0,0 +1,131 @@
+// utils/fileType.js
+
+/**
+ * File types accepted for medical records, recognised by their leading
+ * ("magic") bytes rather than the client's Content-Type. `extensions` are the
+ * names a file of that type may have; the first is used when it has none.
+ */
+export const FILE_TYPES = [
+  {
+    id: "pdf",
+    mime: "application/pdf",
+    extensions: [".pdf"],
+    match: (b) => startsWith(b, "%PDF-"),
+  },
+  {
+    id: "png",
+    mime: "image/png",
+    extensions: [".png"],
+    match: (b) =>
+      startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    id: "jpeg",
+    mime: "image/jpeg",
+    extensions: [".jpg", ".jpeg"],
+    match: (b) => startsWith(b, [0xff, 0xd8, 0xff]),
+  },
+  {
+    id: "gif",
+    mime: "image/gif",
+    extensions: [".gif"],
+    match: (b) => startsWith(b, "GIF87a") || startsWith(b, "GIF89a"),
+  },
+  {
+    id: "webp",
+    mime: "image/webp",
+    extensions: [".webp"],
+    match: (b) => startsWith(b, "RIFF") && startsWith(b, "WEBP", 8),
+  },
+  {
+    id: "tiff",
+    mime: "image/tiff",
+    extensions: [".tif", ".tiff"],
+    match: (b) =>
+      startsWith(b, [0x49, 0x49, 0x2a, 0x00]) ||
+      startsWith(b, [0x4d, 0x4d, 0x00, 0x2a]),
+  },
+  {
+    // Part 10 files: 128-byte preamble, then "DICM"
+    id: "dicom",
+    mime: "application/dicom",
+    extensions: [".dcm", ".dicom"],
+    match: (b) => startsWith(b, "DICM", 128),
+  },
+  {
+    // no signature: checked last, by content
+    id: "text",
+    mime: "text/plain",
+    extensions: [".txt", ".csv"],
+    match: (b) => isPlainText(b),
+  },
+];
+
+function startsWith(buf, sig, offset = 0) {
+  const bytes = typeof sig === "string" ? Buffer.from(sig, "latin1") : sig;
+  if (buf.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buf[offset + i] === byte);
+}
+
+// valid UTF-8 without NULs or (besides tab / newlines) control characters
+function isPlainText(buf) {
+  if (!buf.length) return false;
+  const text = buf.toString("utf8");
+  if (text.includes("�")) return false; // invalid UTF-8
+  return !/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(text);
+}
+
+/**
+ * Type ids accepted for upload: env UPLOAD_ALLOWED_TYPES (comma-separated,
+ * e.g. "pdf,png,jpeg,dicom"), default every type in FILE_TYPES. Read once at
+ * startup; an unknown id is a configuration error, not silently dropped.
+ */
+function parseAllowedTypes(value = "") {
+  const ids = value
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  const known = FILE_TYPES.map((t) => t.id);
+  const unknown = ids.filter((id) => !known.includes(id));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown UPLOAD_ALLOWED_TYPES: ${unknown.join(", ")} (use ${known})`
+    );
+  }
+  return ids.length ? ids : known;
+}
+
+export const ALLOWED_TYPES = parseAllowedTypes(
+  process.env.UPLOAD_ALLOWED_TYPES
+);
+
+/** The FILE_TYPES entry matching the content, or null */
+export function detectFileType(buffer) {
+  return FILE_TYPES.find((t) => t.match(buffer)) || null;
+}
+
+const extensionOf = (name = "") => {
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? name.slice(dot).toLowerCase() : "";
+};
+
+/**
+ * Check an uploaded (multer) file: its content must be an allowed type and
+ * its extension, if any, must fit that type.
+ * Returns { type } or { error } (respond 415).
+ */
+export function checkFileType(file) {
+  const type = detectFileType(file.buffer);
+  if (!type || !ALLOWED_TYPES.includes(type.id)) {
+    const allowed = ALLOWED_TYPES.join(", ");
+    return { error: `Unsupported file type (allowed: ${allowed})` };
+  }
+
+  const ext = extensionOf(file.originalname);
+  if (ext && !type.extensions.includes(ext)) {
+    return {
+      error: `File content is ${type.mime} but the name ends in ${ext}`,
+    };
+  }
+  return { type };
+}
@@ -0,0 +1,159 @@
+// utils/loginThrottle.js
+import sql from "mssql";
+import { sendEmail } from "./email.js";
+
+const envInt = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+/**
+ * Login throttling policy (env):
+ * - LOGIN_MAX_FAILURES: consecutive failures that lock an account (5)
+ * - LOGIN_LOCKOUT_MINUTES: how long the lock lasts (15)
+ * - LOGIN_IP_MAX_FAILURES: failures from one IP that block it (20)
+ * - LOGIN_IP_WINDOW_MINUTES: rolling window for the IP limit (15)
+ */
+export function getLoginPolicy() {
+  return {
+    maxFailures: envInt("LOGIN_MAX_FAILURES", 5),
+    lockoutMinutes: envInt("LOGIN_LOCKOUT_MINUTES", 15),
+    ipMaxFailures: envInt("LOGIN_IP_MAX_FAILURES", 20),
+    ipWindowMinutes: envInt("LOGIN_IP_WINDOW_MINUTES", 15),
+  };
+}
+
+// wait required after the nth consecutive failure: 0, 1, 2, 4, 8... (max 60s)
+const delaySeconds = (failures) =>
+  failures < 2 ? 0 : Math.min(2 ** (failures - 2), 60);
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * Whether an IP may attempt a login at all.
+ * Returns null, or { status, error, retryAfter } to send back.
+ */
+export async function checkIpAllowed(ip) {
+  if (!ip) return null;
+  const { ipMaxFailures, ipWindowMinutes } = getLoginPolicy();
+
+  const r = await sql.query`
+    SELECT COUNT(*) AS failures, MIN(attempted_at) AS oldest
+    FROM LoginAttempts
+    WHERE ip_address = ${ip}
+      AND succeeded = 0
+      AND attempted_at > DATEADD(minute, ${-ipWindowMinutes}, GETUTCDATE())
+  `;
+  const { failures, oldest } = r.recordset[0];
+  if (failures < ipMaxFailures) return null;
+
+  // blocked until the oldest failure ages out of the window
+  const until = new Date(oldest.getTime() + ipWindowMinutes * 60 * 1000);
+  return {
+    status: 429,
+    error: "Too many failed login attempts. Try again later.",
+    retryAfter: secondsUntil(until),
+  };
+}
+
+/**
+ * Whether this account may attempt a login now (lockout + progressive delay).
+ * `user` is the Users row. Returns null, or { status, error, retryAfter }.
+ */
+export function checkAccountAllowed(user) {
+  if (user.locked_until && user.locked_until > new Date()) {
+    return {
+      status: 423,
+      error: "Account temporarily locked after too many failed attempts",
+      retryAfter: secondsUntil(user.locked_until),
+    };
+  }
+
+  const wait = delaySeconds(user.failed_login_count);
+  if (wait && user.last_failed_login_at) {
+    const next = new Date(user.last_failed_login_at.getTime() + wait * 1000);
+    if (next > new Date()) {
+      return {
+        status: 429,
+        error: "Please wait before trying again",
+        retryAfter: secondsUntil(next),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Record a failed attempt. For a known user, bump the counter and lock the
+ * account (emailing the owner) once it reaches the limit.
+ * Returns true when this failure locked the account.
+ */
+export async function recordFailedLogin({ email, user, ip }) {
+  await sql.query`
+    INSERT INTO LoginAttempts (email, user_id, ip_address, succeeded)
+    VALUES (${email || null}, ${user?.user_id || null}, ${ip || null}, 0)
+  `;
+  if (!user) return false;
+
+  const { maxFailures, lockoutMinutes } = getLoginPolicy();
+  // reaching the limit locks the account and starts the count over
+  const r = await sql.query`
+    UPDATE Users
+    SET failed_login_count = CASE
+          WHEN failed_login_count + 1 >= ${maxFailures} THEN 0
+          ELSE failed_login_count + 1
+        END,
+        last_failed_login_at = GETUTCDATE(),
+        locked_until = CASE
+          WHEN failed_login_count + 1 >= ${maxFailures}
+          THEN DATEADD(minute, ${lockoutMinutes}, GETUTCDATE())
+          ELSE locked_until
+        END
+    OUTPUT INSERTED.failed_login_count
+    WHERE user_id = ${user.user_id}
+  `;
+  if (r.recordset[0]?.failed_login_count !== 0) return false;
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: "Your account has been temporarily locked",
+      html: `
+        <p>Hi ${user.full_name},</p>
+        <p>We locked your account for ${lockoutMinutes} minutes after ${maxFailures} failed login attempts.</p>
+        <p>If this wasn't you, we recommend resetting your password once the lock expires.</p>
+      `,
+    });
+  } catch (e) {
+    console.warn("Lockout email failed:", e?.message || e);
+  }
+  return true;
+}
+
+export async function recordSuccessfulLogin({ user, ip }) {
+  await sql.query`
+    INSERT INTO LoginAttempts (email, user_id, ip_address, succeeded)
+    VALUES (${user.email}, ${user.user_id}, ${ip || null}, 1)
+  `;
+  await clearLoginFailures(user.user_id);
+}
+
+/** Reset the failure counter and lift any lock (successful login, admin unlock, password reset). */
+export async function clearLoginFailures(userId) {
+  const r = await sql.query`
+    UPDATE Users
+    SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+    WHERE user_id = ${userId}
+  `;
+  return r.rowsAffected[0] > 0;
+}
+
+/** Drop attempts older than 30 days. */
+export async function purgeOldLoginAttempts() {
+  const r = await sql.query`
+    DELETE FROM LoginAttempts
+    WHERE attempted_at < DATEADD(day, -30, GETUTCDATE())
+  `;
+  return r.rowsAffected[0];
+}
@@ -0,0 +1,101 @@
+// utils/noShow.js
+import sql from "mssql";
+import { changeAppointmentStatus } from "./appointmentStatus.js";
+import { instantToWall, toSqlWallClock } from "./schedule.js";
+
+const envInt = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+};
+
+/**
+ * Clinic no-show policy (env):
+ * - NO_SHOW_GRACE_MINUTES: minutes after start before a Scheduled visit is a NoShow (30)
+ * - NO_SHOW_LIMIT: no-shows in the window that block online booking; 0 disables (3)
+ * - NO_SHOW_WINDOW_DAYS: rolling window for the limit (90)
+ */
+export function getNoShowPolicy() {
+  return {
+    graceMinutes: envInt("NO_SHOW_GRACE_MINUTES", 30),
+    limit: envInt("NO_SHOW_LIMIT", 3),
+    windowDays: envInt("NO_SHOW_WINDOW_DAYS", 90),
+  };
+}
+
+/**
+ * Mark past appointments that were never checked in as NoShow and bump the
+ * patient's counter. Returns the number of appointments marked.
+ */
+export async function markNoShows() {
+  const { graceMinutes } = getNoShowPolicy();
+  const cutoff = toSqlWallClock(
+    new Date(instantToWall(new Date()).getTime() - graceMinutes * 60 * 1000)
+  );
+
+  const due = await sql.query`
+    SELECT appointment_id, patient_id
+    FROM Appointments
+    WHERE status = 'Scheduled'
+      AND appointment_date < ${cutoff}
+  `;
+
+  let marked = 0;
+  for (const appt of due.recordset) {
+    const tx = new sql.Transaction();
+    await tx.begin();
+    try {
+      const changed = await changeAppointmentStatus(
+        {
+          appointmentId: appt.appointment_id,
+          from: "Scheduled",
+          to: "NoShow",
+          reason: `Not checked in within ${graceMinutes} min`,
+        },
+        tx
+      );
+      if (changed) {
+        await new sql.Request(tx)
+          .input("pid", sql.Int, appt.patient_id)
+          .query(
+            `UPDATE Patients SET no_show_count = no_show_count + 1 WHERE patient_id = @pid`
+          );
+        marked++;
+      }
+      await tx.commit();
+    } catch (e) {
+      try {
+        await tx.rollback();
+      } catch {}
+      console.warn(
+        `No-show update failed for appointment ${appt.appointment_id}:`,
+        e?.message || e
+      );
+    }
+  }
+  return marked;
+}
+
+/**
+ * Null if the patient may book online, else a message explaining the block.
+ */
+export async function noShowBookingBlock(patientId) {
+  const { limit, windowDays } = getNoShowPolicy();
+  if (!limit) return null;
+
+  // appointment_date is clinic wall time, like markNoShows' cutoff
+  const now = toSqlWallClock(instantToWall(new Date()));
+  const r = await sql.query`
+    SELECT COUNT(*) AS recent
+    FROM Appointments
+    WHERE patient_id = ${patientId}
+      AND status = 'NoShow'
+      AND appointment_date >= DATEADD(day, ${-windowDays}, ${now})
+  `;
+  const recent = r.recordset[0]?.recent || 0;
+  if (recent < limit) return null;
+
+  return (
+    `Online booking is disabled after ${limit} missed appointments in ` +
+    `${windowDays} days. Please contact the clinic to book.`
+  );
+}
@@ -0,0 +1,99 @@
+// utils/quarantine.js
+import crypto from "crypto";
+import sql from "mssql";
+import { getStorage } from "./storage/index.js";
+import { checkFileType } from "./fileType.js";
+import { getScanner } from "./scanner.js";
+
+/**
+ * Move a flagged upload (multer file) into the quarantine storage area and
+ * record why. Returns the quarantine_id.
+ */
+async function quarantineUpload(file, type, signature, context) {
+  const storage = getStorage("quarantine");
+  // the original name may be crafted; it is kept in the table only
+  const key = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}`;
+  await storage.put(key, file.buffer, { contentType: type.mime });
+
+  const name = file.originalname || null;
+  const claimed = file.mimetype || null;
+  const scanner = getScanner().name;
+  const { patientId = null, recordId = null, uploadedBy } = context;
+
+  const r = await sql.query`
+    INSERT INTO QuarantinedUploads (storage_key, original_name, detected_type, claimed_type, size_bytes,
+                                    signature, scanner, uploaded_by, patient_id, record_id)
+    OUTPUT INSERTED.quarantine_id
+    VALUES (${key}, ${name}, ${type.mime}, ${claimed}, ${file.size},
+            ${signature}, ${scanner}, ${uploadedBy}, ${patientId}, ${recordId})
+  `;
+  return r.recordset[0].quarantine_id;
+}
+
+/**
+ * Check an upload before it is stored: its content must be an allowed type
+ * that fits its name (utils/fileType.js), then it must pass the malware scan.
+ * Flagged files go to quarantine, never to the records area.
+ * `context` is { uploadedBy, patientId, recordId? }.
+ * Returns { type } or { status, error, quarantineId? } for the response.
+ */
+export async function screenUpload(file, context) {
+  const { type, error } = checkFileType(file);
+  if (error) return { status: 415, error };
+
+  let result;
+  try {
+    result = await getScanner().scan(file.buffer);
+  } catch (err) {
+    // fail closed: an unscanned file is not stored
+    console.error("❌ Malware scan failed:", err.message);
+    return { status: 503, error: "File scanning unavailable, try again later" };
+  }
+  if (result.clean) return { type };
+
+  const quarantineId = await quarantineUpload(
+    file,
+    type,
+    result.signature,
+    context
+  );
+  console.warn(
+    `Upload quarantined (#${quarantineId}, user ${context.uploadedBy}):`,
+    result.signature
+  );
+  return {
+    status: 422,
+    error: "File failed the malware scan and was quarantined",
+    quarantineId,
+  };
+}
+
+/** Quarantined uploads, newest first */
+export async function listQuarantined() {
+  const r = await sql.query`
+    SELECT q.quarantine_id, q.original_name, q.detected_type, q.claimed_type,
+           q.size_bytes, q.signature, q.scanner, q.quarantined_at,
+           q.uploaded_by, u.full_name AS uploaded_by_name, u.user_role AS uploaded_by_role,
+           q.patient_id, q.record_id
+    FROM QuarantinedUploads q
+    LEFT JOIN Users u ON u.user_id = q.uploaded_by
+    ORDER BY q.quarantined_at DESC
+  `;
+  return r.recordset;
+}
+
+/** Delete a quarantined file and its entry. false if there is no such entry. */
+export async function deleteQuarantined(quarantineId) {
+  const r = await sql.query`
+    SELECT storage_key FROM QuarantinedUploads
+    WHERE quarantine_id = ${quarantineId}
+  `;
+  const entry = r.recordset[0];
+  if (!entry) return false;
+
+  await getStorage("quarantine").delete(entry.storage_key);
+  await sql.query`
+    DELETE FROM QuarantinedUploads WHERE quarantine_id = ${quarantineId}
+  `;
+  return true;
+}
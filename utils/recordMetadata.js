@@ -0,0 +1,311 @@
+// utils/recordMetadata.js
+import sql from "mssql";
+
+export const RECORD_CATEGORIES = [
+  "LabResult",
+  "Imaging",
+  "Prescription",
+  "DischargeSummary",
+  "Referral",
+  "Vaccination",
+  "ClinicalNote",
+  "Insurance",
+  "Other",
+];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_PAGE_SIZE = 100;
+const SORTS = ["uploaded_at", "date_of_service", "category"];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// real calendar dates only (new Date rolls 2024-02-30 over to March)
+const isDate = (s) =>
+  DATE_ONLY.test(s) &&
+  !isNaN(new Date(s)) &&
+  new Date(s).toISOString().slice(0, 10) === s;
+
+/** "a, b" or ["a","b"] (multipart sends strings) -> lowercase unique tags */
+function parseTags(value) {
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = value.trim().startsWith("[")
+        ? JSON.parse(value)
+        : value.split(",");
+    } catch {
+      return null;
+    }
+  }
+  if (!Array.isArray(list)) return null;
+  const tags = list.map((t) => String(t).trim().toLowerCase()).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Validate record metadata in `body` for a record of `patientId`. Only the
+ * fields present are returned, so the same call serves uploads and partial
+ * updates; null clears a field.
+ * Returns { meta: { description, category, tags, dateOfService, appointmentId } }
+ * or { error }.
+ */
+export async function normalizeMetadata(body = {}, patientId) {
+  const meta = {};
+
+  if (body.description !== undefined) {
+    const description = body.description || null;
+    if (description !== null && typeof description !== "string") {
+      return { error: "description must be text" };
+    }
+    if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+      return {
+        error: `description is at most ${MAX_DESCRIPTION_LENGTH} characters`,
+      };
+    }
+    meta.description = description;
+  }
+
+  if (body.category !== undefined) {
+    const category = body.category || null;
+    if (category && !RECORD_CATEGORIES.includes(category)) {
+      return { error: `category must be one of ${RECORD_CATEGORIES}` };
+    }
+    meta.category = category;
+  }
+
+  if (body.tags !== undefined) {
+    const tags = body.tags === null ? [] : parseTags(body.tags);
+    if (!tags) return { error: "tags must be a list or comma-separated" };
+    if (tags.length > MAX_TAGS) {
+      return { error: `At most ${MAX_TAGS} tags` };
+    }
+    if (tags.some((t) => t.length > MAX_TAG_LENGTH || t.includes(","))) {
+      return {
+        error: `Tags are at most ${MAX_TAG_LENGTH} characters, without commas`,
+      };
+    }
+    meta.tags = tags;
+  }
+
+  if (body.date_of_service !== undefined) {
+    const date = body.date_of_service || null;
+    if (date && !isDate(date)) {
+      return { error: "date_of_service must be YYYY-MM-DD" };
+    }
+    meta.dateOfService = date;
+  }
+
+  if (body.appointment_id !== undefined) {
+    const appointmentId = body.appointment_id
+      ? Number(body.appointment_id)
+      : null;
+    if (appointmentId !== null) {
+      const a = await sql.query`
+        SELECT appointment_id FROM Appointments
+        WHERE appointment_id = ${appointmentId} AND patient_id = ${patientId}
+      `;
+      if (!a.recordset.length) {
+        return { error: "Appointment not found for this patient" };
+      }
+    }
+    meta.appointmentId = appointmentId;
+  }
+
+  return { meta };
+}
+
+/** Replace a record's tags inside transaction `tx` */
+export async function saveTags(tx, recordId, tags) {
+  const tagsJson = JSON.stringify(tags);
+  await new sql.Request(tx).query`
+    DELETE FROM RecordTags WHERE record_id = ${recordId}
+  `;
+  await new sql.Request(tx).query`
+    INSERT INTO RecordTags (record_id, tag)
+    SELECT ${recordId}, value FROM OPENJSON(${tagsJson})
+  `;
+}
+
+/**
+ * Apply `changes` (normalizeMetadata's meta, plus description) to a record;
+ * fields not in `changes` keep their value.
+ */
+export async function updateMetadata(recordId, changes) {
+  const tx = new sql.Transaction();
+  await tx.begin();
+  try {
+    const cur = await new sql.Request(tx).query`
+      SELECT description, category,
+             CONVERT(char(10), date_of_service, 23) AS dateOfService,
+             appointment_id AS appointmentId
+      FROM MedicalRecords WITH (UPDLOCK)
+      WHERE record_id = ${recordId}
+    `;
+    const next = { ...cur.recordset[0], ...changes };
+    const description = next.description || null;
+
+    await new sql.Request(tx).query`
+      UPDATE MedicalRecords
+      SET description = ${description},
+          category = ${next.category},
+          date_of_service = ${next.dateOfService},
+          appointment_id = ${next.appointmentId}
+      WHERE record_id = ${recordId}
+    `;
+    if (changes.tags) await saveTags(tx, recordId, changes.tags);
+    await tx.commit();
+  } catch (err) {
+    try {
+      await tx.rollback();
+    } catch {}
+    throw err;
+  }
+}
+
+/**
+ * List-endpoint query string -> search criteria, or { error }.
+ *   category, tags (a,b: all of them), appointment_id,
+ *   from / to (date of service, YYYY-MM-DD, inclusive),
+ *   q (words; each must appear in the description, file name or a tag),
+ *   sort (uploaded_at | date_of_service | category), order (asc | desc),
+ *   page / page_size (only paginated when one of them is given)
+ */
+export function parseRecordQuery(query = {}) {
+  const c = {};
+
+  c.category = query.category || null;
+  if (c.category && !RECORD_CATEGORIES.includes(c.category)) {
+    return { error: `category must be one of ${RECORD_CATEGORIES}` };
+  }
+
+  c.tags = (query.tags && parseTags(String(query.tags))) || [];
+  c.appointmentId = Number(query.appointment_id) || null;
+
+  c.from = query.from || null;
+  c.to = query.to || null;
+  if ((c.from && !isDate(c.from)) || (c.to && !isDate(c.to))) {
+    return { error: "from / to must be YYYY-MM-DD" };
+  }
+
+  // LIKE patterns; [%_[] in user input are literals
+  c.terms = String(query.q || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 10)
+    .map((w) => `%${w.replace(/[%_[]/g, "[$&]")}%`);
+
+  c.sort = query.sort || "uploaded_at";
+  if (!SORTS.includes(c.sort)) {
+    return { error: `sort must be one of ${SORTS}` };
+  }
+  c.order = query.order === "asc" ? "asc" : "desc";
+
+  c.paged = query.page !== undefined || query.page_size !== undefined;
+  c.page = Math.max(1, Number(query.page) || 1);
+  c.pageSize = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, Number(query.page_size) || 25)
+  );
+
+  return { criteria: c };
+}
+
+/**
+ * A patient's (not deleted) records matching `criteria` (parseRecordQuery).
+ * With `doctorId`: only those that doctor may see — filed by / addressed to
+ * them, covered by an active consent grant, or under emergency access (the
+ * same rule as consentCoversRecord).
+ * Returns { total, records } with tags as arrays.
+ */
+export async function searchRecords({ patientId, doctorId = null, criteria }) {
+  const c = criteria;
+  const tagsJson = c.tags.length ? JSON.stringify(c.tags) : null;
+  const termsJson = c.terms.length ? JSON.stringify(c.terms) : null;
+  const offset = c.paged ? (c.page - 1) * c.pageSize : 0;
+  // unpaged: everything (FETCH needs a number)
+  const limit = c.paged ? c.pageSize : 2147483647;
+
+  // matches are counted before paging, so a page past the end still
+  // reports the total
+  const r = await sql.query`
+    DECLARE @matches TABLE (record_id INT PRIMARY KEY);
+    INSERT INTO @matches (record_id)
+    SELECT mr.record_id
+    FROM MedicalRecords mr
+    WHERE mr.patient_id = ${patientId}
+      AND mr.deleted_at IS NULL
+      AND (
+        ${doctorId} IS NULL
+        OR mr.doctor_id = ${doctorId}
+        OR EXISTS (
+          SELECT 1 FROM ActiveRecordConsents rc
+          WHERE rc.patient_id = mr.patient_id
+            AND rc.doctor_id = ${doctorId}
+            AND (
+              rc.scope = 'All'
+              OR EXISTS (
+                SELECT 1 FROM RecordConsentItems i
+                WHERE i.consent_id = rc.consent_id AND i.record_id = mr.record_id
+              )
+            )
+        )
+        OR EXISTS (
+          SELECT 1 FROM ActiveEmergencyAccessGrants g
+          WHERE g.patient_id = mr.patient_id
+            AND g.doctor_id = ${doctorId}
+        )
+      )
+      AND (${c.category} IS NULL OR mr.category = ${c.category})
+      AND (${c.appointmentId} IS NULL OR mr.appointment_id = ${c.appointmentId})
+      AND (${c.from} IS NULL OR mr.date_of_service >= ${c.from})
+      AND (${c.to} IS NULL OR mr.date_of_service <= ${c.to})
+      AND (${tagsJson} IS NULL OR NOT EXISTS (
+        SELECT 1 FROM OPENJSON(${tagsJson}) want
+        WHERE NOT EXISTS (
+          SELECT 1 FROM RecordTags t
+          WHERE t.record_id = mr.record_id AND t.tag = want.value
+        )
+      ))
+      AND (${termsJson} IS NULL OR NOT EXISTS (
+        SELECT 1 FROM OPENJSON(${termsJson}) term
+        WHERE ISNULL(mr.description, '') NOT LIKE term.value
+          AND mr.file_path NOT LIKE term.value
+          AND NOT EXISTS (
+            SELECT 1 FROM RecordTags t
+            WHERE t.record_id = mr.record_id AND t.tag LIKE term.value
+          )
+      ));
+
+    SELECT COUNT(*) AS total FROM @matches;
+
+    SELECT mr.record_id, mr.patient_id, mr.doctor_id,
+           u.full_name AS doctor_name, d.specialization,
+           mr.file_path, mr.description, mr.uploaded_at, mr.current_version,
+           mr.category, CONVERT(char(10), mr.date_of_service, 23) AS date_of_service,
+           mr.appointment_id, a.appointment_date,
+           RIGHT(mr.file_path, CHARINDEX('/', REVERSE(mr.file_path) + '/') - 1) AS file_name,
+           (SELECT STRING_AGG(t.tag, ',') FROM RecordTags t
+            WHERE t.record_id = mr.record_id) AS tags
+    FROM @matches m
+    JOIN MedicalRecords mr ON mr.record_id = m.record_id
+    LEFT JOIN Doctors d ON mr.doctor_id = d.doctor_id
+    LEFT JOIN Users u ON d.user_id = u.user_id
+    LEFT JOIN Appointments a ON a.appointment_id = mr.appointment_id
+    ORDER BY
+      CASE WHEN ${c.sort} = 'uploaded_at' AND ${c.order} = 'asc' THEN mr.uploaded_at END ASC,
+      CASE WHEN ${c.sort} = 'uploaded_at' AND ${c.order} = 'desc' THEN mr.uploaded_at END DESC,
+      CASE WHEN ${c.sort} = 'date_of_service' AND ${c.order} = 'asc' THEN mr.date_of_service END ASC,
+      CASE WHEN ${c.sort} = 'date_of_service' AND ${c.order} = 'desc' THEN mr.date_of_service END DESC,
+      CASE WHEN ${c.sort} = 'category' AND ${c.order} = 'asc' THEN mr.category END ASC,
+      CASE WHEN ${c.sort} = 'category' AND ${c.order} = 'desc' THEN mr.category END DESC,
+      mr.uploaded_at DESC, mr.record_id DESC
+    OFFSET ${offset} ROWS FETCH NEXT ${limit} ROWS ONLY
+  `;
+
+  const total = r.recordsets[0][0].total;
+  const records = r.recordsets[1].map(({ tags, ...row }) => ({
+    ...row,
+    tags: tags ? tags.split(",") : [],
+  }));
+  return { total, records };
+}
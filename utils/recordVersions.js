@@ -0,0 +1,175 @@
+// utils/recordVersions.js
+import sql from "mssql";
+import { getStorage, storageKey } from "./storage/index.js";
+import { saveTags } from "./recordMetadata.js";
+
+const envInt = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+// how long a deleted record can be restored before the purge job removes it
+export const RETENTION_DAYS = envInt("RECORD_RETENTION_DAYS", 30);
+
+/**
+ * Insert a MedicalRecords row, its tags and its version 1 in one transaction.
+ * `file` is { location, container, contentType, size } from storage.put;
+ * `meta` comes from normalizeMetadata (utils/recordMetadata.js).
+ * Returns { record_id, patient_id }.
+ */
+export async function createRecord({
+  patientId,
+  doctorId,
+  description,
+  meta = {},
+  file,
+  uploadedBy,
+}) {
+  const category = meta.category || null;
+  const dateOfService = meta.dateOfService || null;
+  const appointmentId = meta.appointmentId || null;
+
+  const tx = new sql.Transaction();
+  await tx.begin();
+  try {
+    const ins = await new sql.Request(tx).query`
+      INSERT INTO MedicalRecords (patient_id, doctor_id, file_path, description, uploaded_at, blob_container,
+                                  category, date_of_service, appointment_id)
+      OUTPUT INSERTED.record_id, INSERTED.patient_id
+      VALUES (${patientId}, ${doctorId}, ${file.location}, ${description}, GETUTCDATE(), ${file.container},
+              ${category}, ${dateOfService}, ${appointmentId})
+    `;
+    const record = ins.recordset[0];
+    if (meta.tags?.length) await saveTags(tx, record.record_id, meta.tags);
+
+    await new sql.Request(tx).query`
+      INSERT INTO RecordVersions (record_id, version_no, file_path, content_type, size_bytes, uploaded_by)
+      VALUES (${record.record_id}, 1, ${file.location}, ${file.contentType}, ${file.size}, ${uploadedBy})
+    `;
+    await tx.commit();
+    return record;
+  } catch (err) {
+    try {
+      await tx.rollback();
+    } catch {}
+    throw err;
+  }
+}
+
+/**
+ * Make `file` the new current version of a (not deleted) record.
+ * Returns the new version_no, or null if the record is gone.
+ */
+export async function addVersion(recordId, file, { note, uploadedBy }) {
+  const tx = new sql.Transaction();
+  await tx.begin();
+  try {
+    // bumping the counter first serializes concurrent uploads on the row lock
+    const upd = await new sql.Request(tx).query`
+      UPDATE MedicalRecords
+      SET current_version = current_version + 1, file_path = ${file.location}
+      OUTPUT INSERTED.current_version
+      WHERE record_id = ${recordId} AND deleted_at IS NULL
+    `;
+    const versionNo = upd.recordset[0]?.current_version;
+    if (!versionNo) {
+      await tx.rollback();
+      return null;
+    }
+
+    await new sql.Request(tx).query`
+      INSERT INTO RecordVersions (record_id, version_no, file_path, content_type, size_bytes, note, uploaded_by)
+      VALUES (${recordId}, ${versionNo}, ${file.location}, ${file.contentType}, ${file.size}, ${note}, ${uploadedBy})
+    `;
+    await tx.commit();
+    return versionNo;
+  } catch (err) {
+    try {
+      await tx.rollback();
+    } catch {}
+    throw err;
+  }
+}
+
+/** All versions of a record, newest first */
+export async function listVersions(recordId) {
+  const r = await sql.query`
+    SELECT v.version_no, v.content_type, v.size_bytes, v.note, v.uploaded_at,
+           v.uploaded_by, u.full_name AS uploaded_by_name,
+           RIGHT(v.file_path, CHARINDEX('/', REVERSE(v.file_path) + '/') - 1) AS file_name
+    FROM RecordVersions v
+    LEFT JOIN Users u ON u.user_id = v.uploaded_by
+    WHERE v.record_id = ${recordId}
+    ORDER BY v.version_no DESC
+  `;
+  return r.recordset;
+}
+
+export async function getVersion(recordId, versionNo) {
+  const r = await sql.query`
+    SELECT version_no, file_path FROM RecordVersions
+    WHERE record_id = ${recordId} AND version_no = ${versionNo}
+  `;
+  return r.recordset[0] || null;
+}
+
+/** Hide a record (files stay until the purge). false if already deleted. */
+export async function softDeleteRecord(recordId, userId) {
+  const r = await sql.query`
+    UPDATE MedicalRecords
+    SET deleted_at = GETUTCDATE(), deleted_by = ${userId}
+    WHERE record_id = ${recordId} AND deleted_at IS NULL
+  `;
+  return r.rowsAffected[0] > 0;
+}
+
+/** Undo a soft delete still inside the retention window. */
+export async function restoreRecord(recordId) {
+  const r = await sql.query`
+    UPDATE MedicalRecords
+    SET deleted_at = NULL, deleted_by = NULL
+    WHERE record_id = ${recordId}
+      AND deleted_at IS NOT NULL
+      AND deleted_at > DATEADD(day, -${RETENTION_DAYS}, GETUTCDATE())
+  `;
+  return r.rowsAffected[0] > 0;
+}
+
+/**
+ * Permanently remove records deleted more than RETENTION_DAYS ago: every
+ * version's file, then the row (versions and consent items cascade).
+ * A file that fails to delete keeps its record for the next run.
+ * Returns how many records were purged.
+ */
+export async function purgeDeletedRecords() {
+  const r = await sql.query`
+    SELECT m.record_id, v.file_path
+    FROM MedicalRecords m
+    LEFT JOIN RecordVersions v ON v.record_id = m.record_id
+    WHERE m.deleted_at < DATEADD(day, -${RETENTION_DAYS}, GETUTCDATE())
+  `;
+
+  const files = new Map();
+  for (const row of r.recordset) {
+    if (!files.has(row.record_id)) files.set(row.record_id, []);
+    if (row.file_path) files.get(row.record_id).push(row.file_path);
+  }
+
+  const storage = getStorage();
+  let purged = 0;
+  for (const [recordId, paths] of files) {
+    try {
+      for (const p of paths) await storage.delete(storageKey(p));
+    } catch (e) {
+      console.warn(`Purge: record ${recordId} file delete failed:`, e?.message);
+      continue;
+    }
+    const del = await sql.query`
+      DELETE FROM MedicalRecords
+      WHERE record_id = ${recordId}
+        AND deleted_at < DATEADD(day, -${RETENTION_DAYS}, GETUTCDATE())
+    `;
+    purged += del.rowsAffected[0];
+  }
+  return purged;
+}
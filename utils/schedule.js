@@ -0,0 +1,622 @@
+// utils/schedule.js
+import sql from "mssql";
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Used for doctors who have not saved a template yet (the old hard-coded hours)
+const LEGACY_DAY = {
+  start: "10:00",
+  end: "17:00",
+  slot_minutes: 30,
+  breaks: [{ start: "14:00", end: "15:00" }],
+};
+
+/* ----------------- Time helpers ----------------- */
+const pad = (n) => String(n).padStart(2, "0");
+
+/** "HH:mm" or "HH:mm:ss" -> minutes since midnight (null if invalid) */
+export function toMinutes(timeStr) {
+  const m = String(timeStr ?? "").match(/^(\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const hh = Number(m[1]),
+    mm = Number(m[2]);
+  if (hh > 24 || mm > 59 || (hh === 24 && mm > 0)) return null;
+  return hh * 60 + mm;
+}
+
+/** minutes since midnight -> "HH:mm" */
+export function toHHMM(minutes) {
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/** "YYYY-MM-DD" -> 0..6 (Sun..Sat), null if not a valid date */
+export function weekdayOf(dateStr) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || "")) return null;
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  if (Number.isNaN(d.getTime())) return null;
+  return d.getUTCDay();
+}
+
+// "Mon,Wed,Fri" -> [1, 3, 5]
+function parseAvailableDays(str) {
+  return (str || "")
+    .split(",")
+    .map((s) => WEEKDAYS.indexOf(s.trim().slice(0, 3)))
+    .filter((i) => i >= 0);
+}
+
+/* ----------------- Template validation ----------------- */
+
+/**
+ * Validate & normalize the body of PUT /api/doctor/me/schedule.
+ * Returns { days } on success or { error } with a message for a 400.
+ */
+export function normalizeWeeklyTemplate(days) {
+  if (!Array.isArray(days)) return { error: "days must be an array" };
+
+  const seen = new Set();
+  const out = [];
+  for (const d of days) {
+    const weekday = Number(d?.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return { error: "weekday must be an integer 0 (Sun) .. 6 (Sat)" };
+    }
+    if (seen.has(weekday)) {
+      return { error: `Duplicate entry for ${WEEKDAYS[weekday]}` };
+    }
+    seen.add(weekday);
+
+    const start = toMinutes(d.start);
+    const end = toMinutes(d.end);
+    if (start === null || end === null || start >= end) {
+      return { error: `Invalid hours for ${WEEKDAYS[weekday]}` };
+    }
+
+    const slot = Number(d.slot_minutes ?? 30);
+    if (!Number.isInteger(slot) || slot < 5 || slot > 240) {
+      return { error: "slot_minutes must be between 5 and 240" };
+    }
+
+    const breaks = [];
+    for (const b of d.breaks || []) {
+      const bs = toMinutes(b?.start);
+      const be = toMinutes(b?.end);
+      if (bs === null || be === null || bs >= be || bs < start || be > end) {
+        return { error: `Invalid break on ${WEEKDAYS[weekday]}` };
+      }
+      breaks.push({ start: bs, end: be });
+    }
+    breaks.sort((a, b) => a.start - b.start);
+    for (let i = 1; i < breaks.length; i++) {
+      if (breaks[i].start < breaks[i - 1].end) {
+        return { error: `Overlapping breaks on ${WEEKDAYS[weekday]}` };
+      }
+    }
+
+    out.push({
+      weekday,
+      start: toHHMM(start),
+      end: toHHMM(end),
+      slot_minutes: slot,
+      breaks: breaks.map((b) => ({
+        start: toHHMM(b.start),
+        end: toHHMM(b.end),
+      })),
+    });
+  }
+
+  out.sort((a, b) => a.weekday - b.weekday);
+  return { days: out };
+}
+
+/* ----------------- DB access ----------------- */
+
+/**
+ * Load a doctor's weekly template.
+ * Returns { doctor_id, source: "template" | "legacy", days: [...] } or null if
+ * the doctor does not exist. Doctors without a saved template fall back to
+ * their `available_days` + the legacy clinic hours.
+ */
+export async function loadWeeklySchedule(doctorId) {
+  const doc = await sql.query`
+    SELECT doctor_id, available_days FROM Doctors WHERE doctor_id = ${doctorId}
+  `;
+  if (!doc.recordset.length) return null;
+
+  const rows = await sql.query`
+    SELECT s.schedule_id, s.weekday, s.start_time, s.end_time, s.slot_minutes,
+           b.start_time AS break_start, b.end_time AS break_end
+    FROM DoctorSchedules s
+    LEFT JOIN DoctorScheduleBreaks b ON b.schedule_id = s.schedule_id
+    WHERE s.doctor_id = ${doctorId}
+    ORDER BY s.weekday, b.start_time
+  `;
+
+  if (!rows.recordset.length) {
+    return {
+      doctor_id: doc.recordset[0].doctor_id,
+      source: "legacy",
+      days: parseAvailableDays(doc.recordset[0].available_days).map(
+        (weekday) => ({ weekday, ...LEGACY_DAY })
+      ),
+    };
+  }
+
+  const byDay = new Map();
+  for (const r of rows.recordset) {
+    if (!byDay.has(r.weekday)) {
+      byDay.set(r.weekday, {
+        weekday: r.weekday,
+        start: r.start_time,
+        end: r.end_time,
+        slot_minutes: r.slot_minutes,
+        breaks: [],
+      });
+    }
+    if (r.break_start) {
+      byDay
+        .get(r.weekday)
+        .breaks.push({ start: r.break_start, end: r.break_end });
+    }
+  }
+
+  return {
+    doctor_id: doc.recordset[0].doctor_id,
+    source: "template",
+    days: [...byDay.values()],
+  };
+}
+
+/**
+ * Replace a doctor's weekly template (all weekdays) in one transaction and
+ * keep Doctors.available_days in sync for older clients.
+ */
+export async function saveWeeklySchedule(doctorId, days) {
+  const tx = new sql.Transaction();
+  await tx.begin();
+  try {
+    await new sql.Request(tx)
+      .input("doctor_id", sql.Int, doctorId)
+      .query(`DELETE FROM DoctorSchedules WHERE doctor_id = @doctor_id`);
+
+    for (const d of days) {
+      const ins = await new sql.Request(tx)
+        .input("doctor_id", sql.Int, doctorId)
+        .input("weekday", sql.TinyInt, d.weekday)
+        .input("start_time", sql.VarChar(5), d.start)
+        .input("end_time", sql.VarChar(5), d.end)
+        .input("slot_minutes", sql.Int, d.slot_minutes).query(`
+          INSERT INTO DoctorSchedules (doctor_id, weekday, start_time, end_time, slot_minutes)
+          OUTPUT INSERTED.schedule_id
+          VALUES (@doctor_id, @weekday, @start_time, @end_time, @slot_minutes)
+        `);
+      const scheduleId = ins.recordset[0].schedule_id;
+
+      for (const b of d.breaks) {
+        await new sql.Request(tx)
+          .input("schedule_id", sql.Int, scheduleId)
+          .input("start_time", sql.VarChar(5), b.start)
+          .input("end_time", sql.VarChar(5), b.end).query(`
+            INSERT INTO DoctorScheduleBreaks (schedule_id, start_time, end_time)
+            VALUES (@schedule_id, @start_time, @end_time)
+          `);
+      }
+    }
+
+    const availableDays = days.map((d) => WEEKDAYS[d.weekday]).join(",");
+    await new sql.Request(tx)
+      .input("doctor_id", sql.Int, doctorId)
+      .input("available_days", sql.VarChar, availableDays)
+      .query(
+        `UPDATE Doctors SET available_days = @available_days WHERE doctor_id = @doctor_id`
+      );
+
+    await tx.commit();
+  } catch (err) {
+    try {
+      await tx.rollback();
+    } catch {}
+    throw err;
+  }
+}
+
+/* ----------------- Slot checks ----------------- */
+
+/**
+ * Check a requested start (clinic-local "YYYY-MM-DD" + "HH:mm[:ss]") against a
+ * loaded weekly schedule. Returns an error message, or null if the slot fits.
+ */
+export function checkSlotAgainstSchedule(schedule, dateOnly, timeOnly) {
+  const weekday = weekdayOf(dateOnly);
+  if (weekday === null) return "Invalid date; expected YYYY-MM-DD";
+
+  const day = schedule.days.find((d) => d.weekday === weekday);
+  if (!day) return `Doctor is not available on ${WEEKDAYS[weekday]}`;
+
+  const start = toMinutes(timeOnly);
+  if (start === null) return "Invalid time; expected HH:mm or HH:mm:ss";
+  // toMinutes drops seconds, but the booking stores the time as given
+  const [, , seconds = "00"] = String(timeOnly).split(":");
+  if (seconds !== "00") return "Time must be on the minute (seconds 00)";
+
+  const dayStart = toMinutes(day.start);
+  const dayEnd = toMinutes(day.end);
+  const end = start + day.slot_minutes;
+
+  if (start < dayStart || end > dayEnd) {
+    return `Outside working hours (${day.start}–${day.end})`;
+  }
+  if ((start - dayStart) % day.slot_minutes !== 0) {
+    return `Time must align to ${day.slot_minutes}-minute slots starting at ${day.start}`;
+  }
+  for (const b of day.breaks) {
+    if (start < toMinutes(b.end) && end > toMinutes(b.start)) {
+      return `Requested time falls in a break (${b.start}–${b.end})`;
+    }
+  }
+  return null;
+}
+
+/* ----------------- Time off & holidays ----------------- */
+
+// Wall-clock instants: clinic local time carried in the UTC fields of a Date,
+// which is how mssql hands back Appointments.appointment_date.
+const MINUTE = 60 * 1000;
+
+/** "YYYY-MM-DD" + minutes since midnight -> wall-clock Date */
+export function wallClock(dateStr, minutes = 0) {
+  return new Date(
+    new Date(`${dateStr}T00:00:00Z`).getTime() + minutes * MINUTE
+  );
+}
+
+/** wall-clock Date -> "YYYY-MM-DDTHH:mm:ss" (unambiguous for SQL Server DATETIME) */
+export function toSqlWallClock(d) {
+  return d.toISOString().slice(0, 19);
+}
+
+/** "YYYY-MM-DD" + n days -> "YYYY-MM-DD" */
+export function addDays(dateStr, n) {
+  return wallClock(dateStr, n * 24 * 60)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Validate & normalize the body of POST /api/doctor/me/time-off.
+ * Full day(s): { start_date, end_date? }
+ * Partial:     { start_date, end_date?, start_time, end_time }
+ * Returns { start_at, end_at, all_day, reason } (wall-clock Dates) or { error }.
+ */
+export function normalizeTimeOff(body = {}) {
+  const { start_date, start_time, end_time } = body;
+  const end_date = body.end_date || start_date;
+  if (weekdayOf(start_date) === null || weekdayOf(end_date) === null) {
+    return { error: "start_date/end_date must be YYYY-MM-DD" };
+  }
+
+  const all_day = !start_time && !end_time;
+  let start_at, end_at;
+  if (all_day) {
+    start_at = wallClock(start_date);
+    end_at = wallClock(addDays(end_date, 1));
+  } else {
+    const s = toMinutes(start_time);
+    const e = toMinutes(end_time);
+    if (s === null || e === null) {
+      return { error: "start_time/end_time must be HH:mm" };
+    }
+    start_at = wallClock(start_date, s);
+    end_at = wallClock(end_date, e);
+  }
+
+  if (end_at <= start_at) return { error: "Time off must end after it starts" };
+
+  const reason = (body.reason ?? "").toString().trim().slice(0, 255) || null;
+  return { start_at, end_at, all_day, reason };
+}
+
+/**
+ * Time off + clinic holidays for a doctor overlapping [fromDate, toDate)
+ * (both "YYYY-MM-DD"; toDate exclusive). Returns wall-clock ranges:
+ * [{ type: "time_off" | "holiday", id, start, end, reason }]
+ */
+export async function loadBlockedPeriods(doctorId, fromDate, toDate) {
+  const from = toSqlWallClock(wallClock(fromDate));
+  const to = toSqlWallClock(wallClock(toDate));
+
+  const off = await sql.query`
+    SELECT time_off_id, start_at, end_at, reason
+    FROM DoctorTimeOff
+    WHERE doctor_id = ${doctorId}
+      AND end_at > ${from}
+      AND start_at < ${to}
+  `;
+  const hol = await sql.query`
+    SELECT holiday_id, CONVERT(char(10), holiday_date, 23) AS holiday_date, name
+    FROM ClinicHolidays
+    WHERE holiday_date >= ${fromDate} AND holiday_date < ${toDate}
+  `;
+
+  return [
+    ...off.recordset.map((r) => ({
+      type: "time_off",
+      id: r.time_off_id,
+      start: r.start_at,
+      end: r.end_at,
+      reason: r.reason,
+    })),
+    ...hol.recordset.map((r) => ({
+      type: "holiday",
+      id: r.holiday_id,
+      start: wallClock(r.holiday_date),
+      end: wallClock(addDays(r.holiday_date, 1)),
+      reason: r.name,
+    })),
+  ].sort((a, b) => a.start - b.start);
+}
+
+/** First blocked period overlapping [start, start + minutes), or null */
+export function findBlockingPeriod(blocks, start, minutes) {
+  const end = new Date(start.getTime() + minutes * MINUTE);
+  return blocks.find((b) => start < b.end && end > b.start) || null;
+}
+
+/** Start minutes of every bookable slot in a template day (breaks removed) */
+export function slotStartsForDay(day) {
+  const out = [];
+  const dayEnd = toMinutes(day.end);
+  const breaks = day.breaks.map((b) => [toMinutes(b.start), toMinutes(b.end)]);
+  for (
+    let t = toMinutes(day.start);
+    t + day.slot_minutes <= dayEnd;
+    t += day.slot_minutes
+  ) {
+    const clash = breaks.some(
+      ([bs, be]) => t < be && t + day.slot_minutes > bs
+    );
+    if (!clash) out.push(t);
+  }
+  return out;
+}
+
+/**
+ * Scheduled appointments for a doctor in [fromDate, toDate) that collide with
+ * time off or a clinic holiday, so the provider can reschedule them.
+ */
+export async function listCollidingAppointments(doctorId, fromDate, toDate) {
+  const [schedule, blocks] = await Promise.all([
+    loadWeeklySchedule(doctorId),
+    loadBlockedPeriods(doctorId, fromDate, toDate),
+  ]);
+  if (!schedule || !blocks.length) return [];
+
+  const appts = await sql.query`
+    SELECT a.appointment_id, a.appointment_date, a.status,
+           p.patient_id, u.full_name AS patient_name
+    FROM Appointments a
+    JOIN Patients p ON a.patient_id = p.patient_id
+    JOIN Users u    ON p.user_id    = u.user_id
+    WHERE a.doctor_id = ${doctorId}
+      AND a.status = 'Scheduled'
+      AND a.appointment_date >= ${toSqlWallClock(wallClock(fromDate))}
+      AND a.appointment_date <  ${toSqlWallClock(wallClock(toDate))}
+    ORDER BY a.appointment_date
+  `;
+
+  const out = [];
+  for (const a of appts.recordset) {
+    const weekday = a.appointment_date.getUTCDay();
+    const day = schedule.days.find((d) => d.weekday === weekday);
+    const block = findBlockingPeriod(
+      blocks,
+      a.appointment_date,
+      day?.slot_minutes || 30
+    );
+    if (block) out.push({ ...a, blocked_by: block });
+  }
+  return out;
+}
+
+/* ----------------- Time zones ----------------- */
+
+// Appointments are stored in clinic local time; this is that zone.
+export const CLINIC_TZ = process.env.CLINIC_TZ || "Asia/Kolkata";
+
+/** true if the runtime knows the IANA zone name */
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Offset (minutes east of UTC) of `tz` at the real instant `d` */
+function tzOffsetMinutes(tz, d) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(d)
+      .map((p) => [p.type, p.value])
+  );
+  const asUTC = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return Math.round((asUTC - Math.floor(d.getTime() / 1000) * 1000) / MINUTE);
+}
+
+/** clinic wall-clock Date -> real instant */
+export function wallToInstant(wall, tz = CLINIC_TZ) {
+  let t = wall.getTime() - tzOffsetMinutes(tz, wall) * MINUTE;
+  // second pass settles DST transitions
+  t = wall.getTime() - tzOffsetMinutes(tz, new Date(t)) * MINUTE;
+  return new Date(t);
+}
+
+/** real instant -> wall-clock Date in `tz` */
+export function instantToWall(instant, tz = CLINIC_TZ) {
+  return new Date(instant.getTime() + tzOffsetMinutes(tz, instant) * MINUTE);
+}
+
+/** real instant -> "YYYY-MM-DDTHH:mm:ss+hh:mm" in `tz` */
+export function formatInZone(instant, tz) {
+  const off = tzOffsetMinutes(tz, instant);
+  const sign = off < 0 ? "-" : "+";
+  const abs = Math.abs(off);
+  return `${toSqlWallClock(instantToWall(instant, tz))}${sign}${toHHMM(abs)}`;
+}
+
+/* ----------------- Open slots ----------------- */
+
+/**
+ * Concrete open slots for a doctor between two clinic-local dates
+ * (`fromDate` .. `toDate`, both inclusive). A slot is open when it is in the
+ * weekly template, outside breaks/time off/holidays, not already booked and
+ * still in the future. Returns wall-clock { start, end } pairs, or null if the
+ * doctor does not exist.
+ *
+ * `ignoreAppointmentId` lets a reschedule treat its own current slot as free;
+ * `ignoreOfferId` lets a waitlist offer holder book the slot held for them.
+ */
+export async function computeOpenSlots(
+  doctorId,
+  fromDate,
+  toDate,
+  { ignoreAppointmentId = null, ignoreOfferId = null } = {}
+) {
+  const schedule = await loadWeeklySchedule(doctorId);
+  if (!schedule) return null;
+
+  const endExclusive = addDays(toDate, 1);
+  const blocks = await loadBlockedPeriods(doctorId, fromDate, endExclusive);
+  const booked = await sql.query`
+    SELECT appointment_id, appointment_date
+    FROM Appointments
+    WHERE doctor_id = ${doctorId}
+      AND status != 'Cancelled'
+      AND appointment_date >= ${toSqlWallClock(wallClock(fromDate))}
+      AND appointment_date <  ${toSqlWallClock(wallClock(endExclusive))}
+  `;
+  // slots held for a waitlisted patient count as taken until the offer expires
+  const held = await sql.query`
+    SELECT offer_id, slot_date
+    FROM WaitlistOffers
+    WHERE doctor_id = ${doctorId}
+      AND status = 'Pending'
+      AND expires_at > GETUTCDATE()
+      AND slot_date >= ${toSqlWallClock(wallClock(fromDate))}
+      AND slot_date <  ${toSqlWallClock(wallClock(endExclusive))}
+  `;
+  const taken = [
+    ...booked.recordset
+      .filter((a) => a.appointment_id !== ignoreAppointmentId)
+      .map((a) => a.appointment_date.getTime()),
+    ...held.recordset
+      .filter((o) => o.offer_id !== ignoreOfferId)
+      .map((o) => o.slot_date.getTime()),
+  ];
+
+  const now = instantToWall(new Date());
+  const slots = [];
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    const day = schedule.days.find((d) => d.weekday === weekdayOf(date));
+    if (!day) continue;
+
+    const len = day.slot_minutes * MINUTE;
+    for (const t of slotStartsForDay(day)) {
+      const start = wallClock(date, t);
+      const end = new Date(start.getTime() + len);
+      if (start <= now) continue;
+      if (findBlockingPeriod(blocks, start, day.slot_minutes)) continue;
+      if (taken.some((b) => b < end.getTime() && b + len > start.getTime())) {
+        continue;
+      }
+      slots.push({ start, end });
+    }
+  }
+
+  return { schedule, slots };
+}
+
+/**
+ * Server-side check used by every booking path: is this clinic-local
+ * date + time an open slot for the doctor?
+ * Returns { status, error } on failure, or { schedule } on success.
+ */
+export async function validateRequestedSlot(
+  doctorId,
+  dateOnly,
+  timeOnly,
+  opts = {}
+) {
+  const schedule = await loadWeeklySchedule(doctorId);
+  if (!schedule) return { status: 404, error: "Doctor not found" };
+
+  // specific messages for template mistakes first
+  const slotError = checkSlotAgainstSchedule(schedule, dateOnly, timeOnly);
+  if (slotError) return { status: 400, error: slotError };
+
+  const start = wallClock(dateOnly, toMinutes(timeOnly));
+  const blocks = await loadBlockedPeriods(
+    doctorId,
+    dateOnly,
+    addDays(dateOnly, 1)
+  );
+  const day = schedule.days.find((d) => d.weekday === weekdayOf(dateOnly));
+  const block = findBlockingPeriod(blocks, start, day.slot_minutes);
+  if (block) {
+    return {
+      status: 400,
+      error:
+        block.type === "holiday"
+          ? `Clinic is closed on ${dateOnly} (${block.reason})`
+          : "Doctor is unavailable at the requested time (time off)",
+    };
+  }
+
+  const open = await computeOpenSlots(doctorId, dateOnly, dateOnly, opts);
+  if (!open.slots.some((s) => s.start.getTime() === start.getTime())) {
+    return { status: 400, error: "Requested slot is no longer available" };
+  }
+  return { schedule };
+}
+
+/* ----------------- Recurrence ----------------- */
+
+/**
+ * Dates of a recurring rule starting at `startDate` ("YYYY-MM-DD").
+ * weekly: every `interval` weeks; monthly: same day every `interval` months,
+ * clamped to the month's last day (Jan 31 -> Feb 28).
+ */
+export function recurrenceDates(startDate, frequency, interval, count) {
+  const [y, m, d] = startDate.split("-").map(Number);
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    if (frequency === "weekly") {
+      out.push(addDays(startDate, 7 * interval * i));
+    } else {
+      const first = new Date(Date.UTC(y, m - 1 + interval * i, 1));
+      const last = new Date(
+        Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)
+      ).getUTCDate();
+      first.setUTCDate(Math.min(d, last));
+      out.push(first.toISOString().slice(0, 10));
+    }
+  }
+  return out;
+}
@@ -0,0 +1,178 @@
+// utils/sessions.js
+import crypto from "crypto";
+import sql from "mssql";
+import jwt from "jsonwebtoken";
+
+const envInt = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+/**
+ * Token lifetimes (env):
+ * - ACCESS_TOKEN_MINUTES: JWT lifetime (15)
+ * - REFRESH_TOKEN_DAYS: how long a device stays logged in without use (30)
+ */
+export const ACCESS_TOKEN_MINUTES = envInt("ACCESS_TOKEN_MINUTES", 15);
+export const REFRESH_TOKEN_DAYS = envInt("REFRESH_TOKEN_DAYS", 30);
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+const newSecret = () => crypto.randomBytes(32).toString("hex");
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { user_id: user.user_id, role: user.user_role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_MINUTES}m` }
+  );
+}
+
+function parseRefreshToken(refreshToken) {
+  const [id, secret] = String(refreshToken || "").split(".");
+  const sessionId = Number(id);
+  if (!Number.isInteger(sessionId) || sessionId <= 0 || !secret) return null;
+  return { sessionId, secret };
+}
+
+/**
+ * Start a session for `user` (a Users row) and return
+ * { token, refresh_token, expires_in }.
+ */
+export async function createSession(user, req) {
+  const secret = newSecret();
+  const hash = hashSecret(secret);
+  const userAgent = (req.headers["user-agent"] || "").slice(0, 255) || null;
+  const ip = req.ip || null;
+
+  const r = await sql.query`
+    INSERT INTO AuthSessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    OUTPUT INSERTED.session_id
+    VALUES (${user.user_id}, ${hash}, ${userAgent}, ${ip}, ${refreshExpiry()})
+  `;
+  const sessionId = r.recordset[0].session_id;
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refresh_token: `${sessionId}.${secret}`,
+    expires_in: ACCESS_TOKEN_MINUTES * 60,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * The old refresh token stops working. Presenting an already-rotated token
+ * means it was copied, so the whole session is revoked; any other wrong
+ * secret is only refused (session ids are guessable).
+ * Returns { token, refresh_token, expires_in } or null.
+ */
+export async function rotateSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const r = await sql.query`
+    SELECT s.session_id, s.refresh_token_hash, s.expires_at, s.revoked_at,
+           u.user_id, u.user_role, u.account_status
+    FROM AuthSessions s
+    JOIN Users u ON u.user_id = s.user_id
+    WHERE s.session_id = ${parsed.sessionId}
+  `;
+  const session = r.recordset[0];
+  if (!session || session.revoked_at || session.expires_at <= new Date()) {
+    return null;
+  }
+  if (session.account_status !== "Active") return null;
+
+  const presented = Buffer.from(hashSecret(parsed.secret));
+  const current = Buffer.from(session.refresh_token_hash);
+  if (!crypto.timingSafeEqual(presented, current)) {
+    const reused = await sql.query`
+      SELECT 1 AS reused FROM RotatedRefreshTokens
+      WHERE session_id = ${session.session_id}
+        AND token_hash = ${hashSecret(parsed.secret)}
+    `;
+    if (reused.recordset.length) {
+      await revokeSession(session.session_id, "TokenReuse");
+    }
+    return null;
+  }
+
+  const secret = newSecret();
+  // conditional update so two concurrent refreshes cannot both win
+  const upd = await sql.query`
+    UPDATE AuthSessions
+    SET refresh_token_hash = ${hashSecret(secret)},
+        last_used_at = GETUTCDATE(),
+        expires_at = ${refreshExpiry()}
+    OUTPUT DELETED.session_id, DELETED.refresh_token_hash
+      INTO RotatedRefreshTokens (session_id, token_hash)
+    WHERE session_id = ${session.session_id}
+      AND refresh_token_hash = ${session.refresh_token_hash}
+      AND revoked_at IS NULL
+  `;
+  if (upd.rowsAffected[0] === 0) return null;
+
+  return {
+    token: signAccessToken(session, session.session_id),
+    refresh_token: `${session.session_id}.${secret}`,
+    expires_in: ACCESS_TOKEN_MINUTES * 60,
+  };
+}
+
+export async function revokeSession(sessionId, reason = "Logout") {
+  await sql.query`
+    UPDATE AuthSessions
+    SET revoked_at = GETUTCDATE(), revoked_reason = ${reason}
+    WHERE session_id = ${sessionId} AND revoked_at IS NULL
+  `;
+}
+
+/** Log a user out everywhere. Returns the number of sessions revoked. */
+export async function revokeAllSessions(userId, reason = "LogoutAll") {
+  const r = await sql.query`
+    UPDATE AuthSessions
+    SET revoked_at = GETUTCDATE(), revoked_reason = ${reason}
+    WHERE user_id = ${userId} AND revoked_at IS NULL
+  `;
+  return r.rowsAffected[0];
+}
+
+/**
+ * Verify a bearer token and check its session is still live.
+ * Returns the payload ({ user_id, role, sid }) or null.
+ */
+export async function verifyAccessToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+  // tokens issued before sessions existed cannot be revoked, so refuse them
+  if (!payload.sid) return null;
+
+  const r = await sql.query`
+    SELECT 1 AS ok
+    FROM AuthSessions
+    WHERE session_id = ${payload.sid}
+      AND user_id = ${payload.user_id}
+      AND revoked_at IS NULL
+      AND expires_at > GETUTCDATE()
+  `;
+  return r.recordset.length ? payload : null;
+}
+
+/** Drop sessions that expired or were revoked more than a week ago. */
+export async function purgeStaleSessions() {
+  const r = await sql.query`
+    DELETE FROM AuthSessions
+    WHERE expires_at < DATEADD(day, -7, GETUTCDATE())
+       OR revoked_at < DATEADD(day, -7, GETUTCDATE());
+
+    DELETE FROM RotatedRefreshTokens
+    WHERE session_id NOT IN (SELECT session_id FROM AuthSessions);
+  `;
+  return r.rowsAffected[0];
+}
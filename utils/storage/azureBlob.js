@@ -0,0 +1,168 @@
+// utils/storage/azureBlob.js
+import {
+  BlobServiceClient,
+  StorageSharedKeyCredential,
+  generateBlobSASQueryParameters,
+  BlobSASPermissions,
+} from "@azure/storage-blob";
+
+const _containerClients = new Map();
+let _sasSigner = null;
+
+/** Parse creds from env (supports connection string OR account/key) */
+function getStorageCredsFromEnv() {
+  const connStr =
+    process.env.AZURE_STORAGE_CONNECTION_STRING ||
+    process.env.STORAGE_CONNECTION_STRING ||
+    "";
+
+  let accountName = process.env.AZURE_STORAGE_ACCOUNT || "";
+  let accountKey = process.env.AZURE_STORAGE_KEY || "";
+
+  if ((!accountName || !accountKey) && connStr) {
+    // Try to parse AccountName/AccountKey from connection string
+    const parts = Object.fromEntries(
+      connStr.split(";").map((kv) => {
+        const [k, ...rest] = kv.split("=");
+        return [k?.trim(), rest.join("=").trim()];
+      })
+    );
+    accountName = accountName || parts.AccountName || "";
+    accountKey = accountKey || parts.AccountKey || "";
+  }
+
+  return {
+    connectionString: connStr || null,
+    accountName: accountName || null,
+    accountKey: accountKey || null,
+  };
+}
+
+// one private container per storage area (see getStorage)
+const CONTAINERS = {
+  records: () => process.env.AZURE_BLOB_CONTAINER || "medical-files",
+  quarantine: () =>
+    process.env.AZURE_QUARANTINE_CONTAINER || "medical-files-quarantine",
+};
+
+/** Lazy container client (private by default) */
+async function getContainerClient(containerName) {
+  if (_containerClients.has(containerName)) {
+    return _containerClients.get(containerName);
+  }
+
+  const { connectionString, accountName, accountKey } =
+    getStorageCredsFromEnv();
+  if (!connectionString && !(accountName && accountKey)) {
+    throw new Error(
+      "Missing Azure Storage credentials. Provide AZURE_STORAGE_CONNECTION_STRING, " +
+        "or AZURE_STORAGE_ACCOUNT + AZURE_STORAGE_KEY."
+    );
+  }
+
+  let blobServiceClient;
+  if (connectionString) {
+    blobServiceClient =
+      BlobServiceClient.fromConnectionString(connectionString);
+  } else {
+    // URL defaults to core.windows.net; if you use a different suffix, add AZURE_BLOB_ENDPOINT
+    const endpoint =
+      process.env.AZURE_BLOB_ENDPOINT ||
+      `https://${accountName}.blob.core.windows.net`;
+    const credential = new StorageSharedKeyCredential(accountName, accountKey);
+    blobServiceClient = new BlobServiceClient(endpoint, credential);
+  }
+
+  const containerClient = blobServiceClient.getContainerClient(containerName);
+  await containerClient.createIfNotExists(); // private by default (no {access:"private"})
+
+  _containerClients.set(containerName, containerClient);
+  return containerClient;
+}
+
+/** Lazy SAS signer (uses account+key either from env or parsed from conn string) */
+function getSasSigner() {
+  if (_sasSigner) return _sasSigner;
+
+  const { accountName, accountKey } = getStorageCredsFromEnv();
+  if (!accountName || !accountKey) {
+    throw new Error(
+      "Cannot sign SAS: missing AZURE_STORAGE_ACCOUNT/AZURE_STORAGE_KEY " +
+        "or non-parsable connection string."
+    );
+  }
+  _sasSigner = new StorageSharedKeyCredential(accountName, accountKey);
+  return _sasSigner;
+}
+
+/**
+ * Azure Blob driver for one storage area: files live in a private container,
+ * read via SAS URLs. Quarantined files never get a URL.
+ */
+export const createAzureBlobStorage = (area) => ({
+  name: "azure",
+  area,
+
+  get container() {
+    return CONTAINERS[area]().trim();
+  },
+
+  async put(key, buffer, { contentType } = {}) {
+    const containerClient = await getContainerClient(this.container);
+    const blockBlobClient = containerClient.getBlockBlobClient(key);
+    await blockBlobClient.uploadData(buffer, {
+      blobHTTPHeaders: {
+        blobContentType: contentType || "application/octet-stream",
+      },
+    });
+    return { key, location: blockBlobClient.url };
+  },
+
+  async stat(key) {
+    const containerClient = await getContainerClient(this.container);
+    try {
+      const props = await containerClient.getBlobClient(key).getProperties();
+      return {
+        size: props.contentLength,
+        contentType: props.contentType || "application/octet-stream",
+      };
+    } catch (err) {
+      if (err.statusCode === 404) return null;
+      throw err;
+    }
+  },
+
+  async getStream(key, { start = 0, end } = {}) {
+    const containerClient = await getContainerClient(this.container);
+    const count = end === undefined ? undefined : end - start + 1;
+    const res = await containerClient.getBlobClient(key).download(start, count);
+    return res.readableStreamBody;
+  },
+
+  async delete(key) {
+    const containerClient = await getContainerClient(this.container);
+    await containerClient.getBlockBlobClient(key).deleteIfExists();
+  },
+
+  async signedUrl(key, minutes = 15) {
+    if (area === "quarantine") {
+      throw new Error("Quarantined files are not served");
+    }
+    const containerClient = await getContainerClient(this.container);
+    const signer = getSasSigner();
+    const expiresOn = new Date();
+    expiresOn.setMinutes(expiresOn.getMinutes() + minutes);
+
+    const sas = generateBlobSASQueryParameters(
+      {
+        containerName: containerClient.containerName,
+        blobName: key,
+        permissions: BlobSASPermissions.parse("r"), // read-only
+        expiresOn,
+      },
+      signer
+    ).toString();
+
+    return `${containerClient.url}/${key}?${sas}`;
+  },
+});
@@ -0,0 +1,42 @@
+// utils/storage/index.js
+import { createAzureBlobStorage } from "./azureBlob.js";
+import { createLocalDiskStorage } from "./localDisk.js";
+
+/**
+ * Where medical record files live, picked by STORAGE_DRIVER (azure | local).
+ * Every driver offers:
+ *   put(key, buffer, { contentType }) -> { key, location }
+ *   stat(key)                         -> { size, contentType } | null
+ *   getStream(key, { start, end })    -> readable stream (end inclusive)
+ *   delete(key)
+ *   signedUrl(key, minutes)           -> read-only URL that expires
+ * `location` is what MedicalRecords.file_path stores; its last path
+ * segment is the key (storageKey). Switching drivers does not move files.
+ *
+ * Areas: "records" (default) holds medical records; "quarantine" holds
+ * uploads that failed the malware scan, kept apart and never served.
+ */
+const DRIVERS = {
+  azure: createAzureBlobStorage,
+  local: createLocalDiskStorage,
+};
+const AREAS = ["records", "quarantine"];
+const _instances = new Map();
+
+export function getStorage(area = "records") {
+  const name = (process.env.STORAGE_DRIVER || "azure").trim().toLowerCase();
+  const create = DRIVERS[name];
+  if (!create) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${name}" (use ${Object.keys(DRIVERS)})`
+    );
+  }
+  if (!AREAS.includes(area)) throw new Error(`Unknown storage area: ${area}`);
+
+  const id = `${name}:${area}`;
+  if (!_instances.has(id)) _instances.set(id, create(area));
+  return _instances.get(id);
+}
+
+/** The storage key of a MedicalRecords.file_path */
+export const storageKey = (filePath) => filePath.split("/").pop();
@@ -0,0 +1,125 @@
+// utils/storage/localDisk.js
+import crypto from "crypto";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+/**
+ * Local-disk driver for development and tests (STORAGE_DRIVER=local).
+ * - LOCAL_STORAGE_DIR: where files go (./uploads)
+ * - LOCAL_QUARANTINE_DIR: where quarantined uploads go (./uploads-quarantine)
+ * - LOCAL_STORAGE_URL: public base URL of this API, used in signed links
+ *   (http://localhost:$PORT)
+ * - LOCAL_STORAGE_SECRET: HMAC key for signed links (falls back to JWT_SECRET)
+ * Signed links point at GET /api/files/:key (routes/files.js), which plays
+ * the part of an Azure SAS URL: read-only and expiring.
+ */
+// one directory per storage area (see getStorage)
+const DIRS = {
+  records: () => process.env.LOCAL_STORAGE_DIR || "uploads",
+  quarantine: () => process.env.LOCAL_QUARANTINE_DIR || "uploads-quarantine",
+};
+const baseUrl = () => {
+  const url = process.env.LOCAL_STORAGE_URL;
+  return url
+    ? url.replace(/\/+$/, "")
+    : `http://localhost:${process.env.PORT || 3000}`;
+};
+const secret = () => process.env.LOCAL_STORAGE_SECRET || process.env.JWT_SECRET;
+
+// keys are generated by us (timestamp + safe file name); never a path
+const KEY_RE = /^[\w\-][\w.\-]*$/;
+
+function filePath(dir, key) {
+  if (!KEY_RE.test(key)) throw new Error(`Invalid storage key: ${key}`);
+  return path.join(dir, key);
+}
+// content type is kept next to the file, as Azure keeps it on the blob
+const metaPath = (dir, key) => `${filePath(dir, key)}.meta.json`;
+
+const sign = (key, expires) =>
+  crypto
+    .createHmac("sha256", secret())
+    .update(`${key}\n${expires}`)
+    .digest("hex");
+
+/**
+ * Check a signed link's query: the signature matches and it has not expired.
+ * `expires` is unix seconds.
+ */
+export function verifySignature(key, expires, sig) {
+  if (!KEY_RE.test(key || "") || !/^\d+$/.test(expires || "")) return false;
+  if (Number(expires) * 1000 < Date.now()) return false;
+
+  const expected = Buffer.from(sign(key, expires), "hex");
+  const given = Buffer.from(String(sig || ""), "hex");
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
+
+/** Local-disk driver for one storage area. Quarantined files get no URL. */
+export const createLocalDiskStorage = (area) => ({
+  name: "local",
+  area,
+
+  get dir() {
+    return path.resolve(DIRS[area]());
+  },
+
+  get container() {
+    return path.basename(this.dir);
+  },
+
+  async put(key, buffer, { contentType } = {}) {
+    await fsp.mkdir(this.dir, { recursive: true });
+    await fsp.writeFile(filePath(this.dir, key), buffer);
+    await fsp.writeFile(
+      metaPath(this.dir, key),
+      JSON.stringify({
+        contentType: contentType || "application/octet-stream",
+      })
+    );
+    return { key, location: `local://${this.container}/${key}` };
+  },
+
+  async stat(key) {
+    let stat;
+    try {
+      stat = await fsp.stat(filePath(this.dir, key));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+    let contentType = "application/octet-stream";
+    try {
+      const meta = await fsp.readFile(metaPath(this.dir, key));
+      contentType = JSON.parse(meta).contentType;
+    } catch {}
+    return { size: stat.size, contentType };
+  },
+
+  async getStream(key, { start = 0, end } = {}) {
+    return fs.createReadStream(filePath(this.dir, key), { start, end });
+  },
+
+  async delete(key) {
+    await fsp.rm(filePath(this.dir, key), { force: true });
+    await fsp.rm(metaPath(this.dir, key), { force: true });
+  },
+
+  async signedUrl(key, minutes = 15) {
+    if (area === "quarantine") {
+      throw new Error("Quarantined files are not served");
+    }
+    if (!secret()) {
+      throw new Error(
+        "Cannot sign local URLs: set LOCAL_STORAGE_SECRET or JWT_SECRET"
+      );
+    }
+    const expires = Math.floor(Date.now() / 1000) + minutes * 60;
+    const sig = sign(key, expires);
+    const name = encodeURIComponent(key);
+    return `${baseUrl()}/api/files/${name}?expires=${expires}&sig=${sig}`;
+  },
+});
@@ -0,0 +1,85 @@
+// utils/storage/serve.js
+import { pipeline } from "stream";
+
+/**
+ * Parse a `Range: bytes=...` header against a file of `size` bytes.
+ * Returns null to send the whole file (no header, or one we don't handle such
+ * as multiple ranges), { start, end } (inclusive), or { unsatisfiable: true }.
+ */
+export function parseRange(header, size) {
+  if (!header) return null;
+  const m = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!m || (m[1] === "" && m[2] === "")) return null;
+
+  let start, end;
+  if (m[1] === "") {
+    // suffix range: the last N bytes
+    const n = Number(m[2]);
+    if (!n) return { unsatisfiable: true };
+    start = Math.max(0, size - n);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === "" ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+}
+
+/** Content-Disposition value; the ASCII fallback keeps old clients happy */
+export function contentDisposition(fileName, type = "inline") {
+  const ascii = fileName.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const utf8 = encodeURIComponent(fileName).replace(
+    /['()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${utf8}`;
+}
+
+/**
+ * Stream `key` from `storage` into `res`: the whole file (200) or `range`
+ * (206). `file` is storage.stat(key). Headers are set here; a storage error
+ * mid-stream aborts the response.
+ * Text is always a download: any UTF-8 upload passes as text/plain, HTML
+ * included, and must never render in the app's origin.
+ */
+export async function streamFile(res, storage, key, file, range, opts = {}) {
+  const { fileName } = opts;
+  const isText = /^text\//i.test(file.contentType || "");
+  const disposition = isText ? "attachment" : opts.disposition || "inline";
+  const { start, end } = range || { start: 0, end: file.size - 1 };
+
+  res.set({
+    "Content-Type": file.contentType,
+    "Accept-Ranges": "bytes",
+    "Cache-Control": "private, no-store",
+    // browsers must trust the stored type, not sniff the content
+    "X-Content-Type-Options": "nosniff",
+  });
+  if (fileName || isText) {
+    const header = contentDisposition(fileName || "file.txt", disposition);
+    res.set("Content-Disposition", header);
+  }
+  if (range) {
+    res.status(206);
+    res.set("Content-Range", `bytes ${start}-${end}/${file.size}`);
+  }
+  res.set("Content-Length", String(file.size ? end - start + 1 : 0));
+
+  if (!file.size || res.req?.method === "HEAD") return res.end();
+
+  const stream = await storage.getStream(key, { start, end });
+  pipeline(stream, res, (err) => {
+    // a client closing the connection mid-download is not an error
+    if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.error("❌ File stream error:", err.message);
+    }
+  });
+}
+
+/** 416 for a Range outside the file */
+export function sendUnsatisfiable(res, size) {
+  res.set("Content-Range", `bytes */${size}`);
+  return res.status(416).json({ error: "Requested range not satisfiable" });
+}
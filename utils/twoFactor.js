@@ -0,0 +1,179 @@
+// utils/twoFactor.js
+import crypto from "crypto";
+import sql from "mssql";
+import jwt from "jsonwebtoken";
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+export const CHALLENGE_MINUTES = 5;
+const ISSUER = process.env.TOTP_ISSUER || "Smart Health";
+
+/**
+ * Clinic policy: REQUIRE_PROVIDER_2FA=true makes Providers enroll before
+ * their first login completes. Everyone else may opt in.
+ */
+export const isTwoFactorRequired = (role) =>
+  process.env.REQUIRE_PROVIDER_2FA === "true" &&
+  (role || "").toLowerCase() === "provider";
+
+/* ---------- base32 (RFC 4648, what authenticator apps expect) ---------- */
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of str.replace(/=+$/, "").toUpperCase()) {
+    const idx = ALPHABET.indexOf(ch);
+    if (idx === -1) continue;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/* ---------- TOTP ---------- */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const mac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(msg)
+    .digest();
+  const offset = mac[mac.length - 1] & 0xf;
+  const code = (mac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+/**
+ * Check `code` against the current step and one step either side (clock
+ * drift). Returns the matching step number, or null.
+ */
+export function verifyTotp(secret, code) {
+  const clean = String(code || "").replace(/\s+/g, "");
+  if (!secret || !/^\d{6}$/.test(clean)) return null;
+
+  const now = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (const step of [now - 1, now, now + 1]) {
+    const expected = Buffer.from(hotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(clean))) return step;
+  }
+  return null;
+}
+
+export function otpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/* ---------- login challenges ---------- */
+/**
+ * Short-lived token proving the password step passed.
+ * purpose "2fa": enter a code; "2fa-setup": enrollment is required first.
+ * They carry no session id, so authenticate() never accepts them.
+ */
+export const signChallenge = (userId, purpose) =>
+  jwt.sign({ user_id: userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: `${CHALLENGE_MINUTES}m`,
+  });
+
+export function verifyChallenge(token, purpose) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === purpose ? payload.user_id : null;
+  } catch {
+    return null;
+  }
+}
+
+/* ---------- DB helpers ---------- */
+const hashCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+/**
+ * Accept a TOTP code for a user with 2FA enabled, refusing replays of a
+ * code that was already used. Returns true on success.
+ */
+export async function useTotpCode(user, code) {
+  const step = verifyTotp(user.totp_secret, code);
+  if (step === null) return false;
+
+  const r = await sql.query`
+    UPDATE Users SET totp_last_step = ${step}
+    WHERE user_id = ${user.user_id}
+      AND (totp_last_step IS NULL OR totp_last_step < ${step})
+  `;
+  return r.rowsAffected[0] > 0;
+}
+
+/** Burn one recovery code. Returns true if it was valid and unused. */
+export async function useRecoveryCode(userId, code) {
+  const r = await sql.query`
+    UPDATE TOP (1) TwoFactorRecoveryCodes
+    SET used_at = GETUTCDATE()
+    WHERE user_id = ${userId}
+      AND code_hash = ${hashCode(String(code || ""))}
+      AND used_at IS NULL
+  `;
+  return r.rowsAffected[0] > 0;
+}
+
+/** Replace a user's recovery codes. Returns the plain codes (shown once). */
+export async function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  const tx = new sql.Transaction();
+  await tx.begin();
+  try {
+    await new sql.Request(tx).query`
+      DELETE FROM TwoFactorRecoveryCodes WHERE user_id = ${userId}
+    `;
+    for (const code of codes) {
+      await new sql.Request(tx).query`
+        INSERT INTO TwoFactorRecoveryCodes (user_id, code_hash)
+        VALUES (${userId}, ${hashCode(code)})
+      `;
+    }
+    await tx.commit();
+  } catch (e) {
+    await tx.rollback();
+    throw e;
+  }
+  return codes;
+}
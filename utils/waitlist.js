@@ -0,0 +1,155 @@
+// utils/waitlist.js
+import sql from "mssql";
+import { sendEmail } from "./email.js";
+import { computeOpenSlots, instantToWall, toSqlWallClock } from "./schedule.js";
+
+// How long a freed slot is held for the waitlisted patient it was offered to
+export const OFFER_HOLD_MINUTES =
+  Number(process.env.WAITLIST_HOLD_MINUTES) || 60;
+
+// wall-clock Date -> "2 Sept 2025, 12:00 pm"
+const fmtSlot = (d) =>
+  new Intl.DateTimeFormat("en-IN", {
+    timeZone: "UTC",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  }).format(new Date(d));
+
+/**
+ * A slot with `doctorId` at `slotDate` (clinic wall time) just became free:
+ * offer it to the longest-waiting patient whose range covers that day and who
+ * has not already been offered this exact slot. Best effort; returns the
+ * offer_id, or null if nobody was offered.
+ */
+export async function offerFreedSlot(doctorId, slotDate) {
+  const slot = new Date(slotDate);
+  if (slot <= instantToWall(new Date())) return null;
+
+  // still open? (not re-booked, not on time off, not already held)
+  const day = slot.toISOString().slice(0, 10);
+  const open = await computeOpenSlots(doctorId, day, day);
+  if (!open?.slots.some((s) => s.start.getTime() === slot.getTime())) {
+    return null;
+  }
+
+  const slotSql = toSqlWallClock(slot);
+  const tx = new sql.Transaction();
+  await tx.begin();
+  let offer;
+  try {
+    const next = await new sql.Request(tx)
+      .input("doctor_id", sql.Int, doctorId)
+      .input("slot", sql.VarChar, slotSql)
+      .input("day", sql.VarChar, day).query(`
+        SELECT TOP 1 w.waitlist_id, w.patient_id,
+               u.email AS patient_email, u.full_name AS patient_name,
+               du.full_name AS doctor_name
+        FROM Waitlist w WITH (UPDLOCK, READPAST)
+        JOIN Patients p ON w.patient_id = p.patient_id
+        JOIN Users u    ON p.user_id    = u.user_id
+        JOIN Doctors d  ON w.doctor_id  = d.doctor_id
+        JOIN Users du   ON d.user_id    = du.user_id
+        WHERE w.doctor_id = @doctor_id
+          AND w.status = 'Waiting'
+          AND CAST(@day AS DATE) BETWEEN w.from_date AND w.to_date
+          AND NOT EXISTS (
+            SELECT 1 FROM WaitlistOffers o
+            WHERE o.waitlist_id = w.waitlist_id
+              AND o.slot_date = CAST(@slot AS DATETIME)
+          )
+        ORDER BY w.created_at ASC, w.waitlist_id ASC
+      `);
+    const entry = next.recordset[0];
+    if (!entry) {
+      await tx.rollback();
+      return null;
+    }
+
+    const ins = await new sql.Request(tx)
+      .input("waitlist_id", sql.Int, entry.waitlist_id)
+      .input("doctor_id", sql.Int, doctorId)
+      .input("slot", sql.VarChar, slotSql)
+      .input("hold", sql.Int, OFFER_HOLD_MINUTES).query(`
+        INSERT INTO WaitlistOffers (waitlist_id, doctor_id, slot_date, expires_at)
+        OUTPUT INSERTED.offer_id, INSERTED.expires_at
+        VALUES (@waitlist_id, @doctor_id, CAST(@slot AS DATETIME),
+                DATEADD(minute, @hold, GETUTCDATE()));
+
+        UPDATE Waitlist SET status = 'Offered' WHERE waitlist_id = @waitlist_id;
+      `);
+    await tx.commit();
+    offer = { ...entry, ...ins.recordset[0] };
+  } catch (e) {
+    try {
+      await tx.rollback();
+    } catch {}
+    throw e;
+  }
+
+  const when = fmtSlot(slot);
+  const offerId = offer.offer_id;
+  try {
+    await sendEmail({
+      to: offer.patient_email,
+      subject: `A slot with ${offer.doctor_name} is available`,
+      html: `
+        <p>Hi ${offer.patient_name || "there"},</p>
+        <p>A slot with <b>${
+          offer.doctor_name
+        }</b> on <b>${when}</b> has opened up
+        and is held for you for ${OFFER_HOLD_MINUTES} minutes.</p>
+        <p>Log in to the portal and accept offer #${offerId} to book it.
+        After that it will be offered to the next patient.</p>
+      `,
+    });
+  } catch (e) {
+    console.warn("Waitlist offer email failed:", e?.message || e);
+  }
+
+  return offerId;
+}
+
+/**
+ * Close a pending offer (Expired / Declined), put the patient back in the
+ * queue and roll the slot to the next person.
+ */
+export async function releaseOffer(offerId, status) {
+  const r = await sql.query`
+    UPDATE WaitlistOffers
+    SET status = ${status}
+    OUTPUT INSERTED.waitlist_id, INSERTED.doctor_id, INSERTED.slot_date
+    WHERE offer_id = ${offerId} AND status = 'Pending'
+  `;
+  const offer = r.recordset[0];
+  if (!offer) return false;
+
+  await sql.query`
+    UPDATE Waitlist SET status = 'Waiting'
+    WHERE waitlist_id = ${offer.waitlist_id} AND status = 'Offered'
+  `;
+
+  try {
+    await offerFreedSlot(offer.doctor_id, offer.slot_date);
+  } catch (e) {
+    console.warn("Waitlist roll-over failed:", e?.message || e);
+  }
+  return true;
+}
+
+/** Expire every pending offer past its hold window. Returns the count. */
+export async function expireWaitlistOffers() {
+  const due = await sql.query`
+    SELECT offer_id FROM WaitlistOffers
+    WHERE status = 'Pending' AND expires_at <= GETUTCDATE()
+    ORDER BY expires_at ASC
+  `;
+  let expired = 0;
+  for (const { offer_id } of due.recordset) {
+    if (await releaseOffer(offer_id, "Expired")) expired++;
+  }
+  return expired;
+}